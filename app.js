@@ -4,6 +4,7 @@ const app = express();
 const cookieParser = require("cookie-parser");
 const bodyParser = require("body-parser");
 const cors = require("cors");
+const { requestContext } = require("./middleware/requestContext");
 
 // app.use(
 //   cors(
@@ -33,6 +34,9 @@ app.use(cookieParser());
 
 app.use(bodyParser.urlencoded({ extended: true, limit: "50mb" }));
 
+// makes req (actor, IP) available to the audit trail
+app.use(requestContext);
+
 // config
 if (process.env.NODE_ENV !== "PRODUCTION") {
   require("dotenv").config({
@@ -46,6 +50,18 @@ const saldo = require("./controller/saldoController");
 const transaction = require("./controller/transactionController");
 const categoryRoutes = require("./controller/categoryController");
 const dashboardRoutes = require("./controller/dashboardController");
+const transfer = require("./controller/transferController");
+const recurring = require("./controller/recurringController");
+const transactionImport = require("./controller/importController");
+const exportRoutes = require("./controller/exportController");
+const attachments = require("./controller/attachmentController");
+const trash = require("./controller/trashController");
+const audit = require("./controller/auditController");
+const exchangeRates = require("./controller/exchangeRateController");
+const tags = require("./controller/tagController");
+const reconciliation = require("./controller/reconciliationController");
+const approval = require("./controller/approvalController");
+const { getAttachmentStorage, localStorage } = require("./utils/attachmentStorage");
 
 
 // define routes
@@ -53,7 +69,35 @@ app.use("/category", categoryRoutes);
 app.use("/users", user);
 app.use("/dashboard", dashboardRoutes);
 app.use("/saldo", saldo);
+app.use("/transaction/import", transactionImport);
+app.use("/transaction/:id/attachments", attachments);
 app.use("/transaction", transaction);
+app.use("/transfer", transfer);
+app.use("/recurring", recurring);
+app.use("/export", exportRoutes);
+app.use("/trash", trash);
+app.use("/audit", audit);
+app.use("/exchange-rate", exchangeRates);
+app.use("/tag", tags);
+app.use("/reconciliation", reconciliation);
+app.use("/approval", approval);
+
+// attachments stored on local disk (development / tests) are served from
+// here, always as downloads; mounted either way since the storage can be
+// switched at runtime, it answers 404 while another one is in use
+app.use(
+  localStorage.publicPath,
+  (req, res, next) =>
+    getAttachmentStorage() === localStorage
+      ? next()
+      : res.status(404).json({ code: 404, message: "Attachment not found" }),
+  express.static(localStorage.directory, {
+    setHeaders: (res) => {
+      res.set("X-Content-Type-Options", "nosniff");
+      res.set("Content-Disposition", "attachment");
+    },
+  })
+);
 
 
 
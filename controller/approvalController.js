@@ -0,0 +1,256 @@
+const express = require("express");
+const router = express.Router();
+const mongoose = require("mongoose");
+const Validator = require("fastest-validator");
+const v = new Validator();
+
+// Models
+const Transaction = require("../model/Transaction");
+const Category = require("../model/Category");
+const Saldo = require("../model/Saldo");
+
+// Middleware & Utils
+const ErrorHandler = require("../utils/ErrorHandler");
+const catchAsyncErrors = require("../middleware/catchAsyncErrors");
+const { isAuthenticated, isAdmin } = require("../middleware/auth");
+const { idempotent } = require("../middleware/idempotency");
+const runInTransaction = require("../utils/dbTransaction");
+const { TRANSACTION_POPULATE } = require("../utils/populate");
+const { signedAmount, applySaldoDelta } = require("../utils/saldoBalance");
+const { globalApprovalThreshold } = require("../utils/approval");
+
+const THRESHOLD_MODELS = { category: Category, saldo: Saldo };
+
+const decisionSchema = {
+    note: { type: "string", max: 1024, optional: true },
+};
+
+/**
+ * Flip a pending approval to `status`. The update is conditional, so two
+ * approvers deciding at once never apply the saldo effect twice.
+ */
+const decide = (id, status, user, note) =>
+    runInTransaction(async (session) => {
+        const transaction = await Transaction.findOneAndUpdate(
+            { _id: id, approvalStatus: "pending" },
+            {
+                approvalStatus: status,
+                approvalDecidedBy: user._id,
+                approvalDecidedAt: new Date(),
+                approvalNote: note || null,
+            },
+            { new: true, session }
+        );
+        if (!transaction) {
+            const exists = await Transaction.findById(id).select("approvalStatus").session(session);
+            if (!exists) {
+                throw new ErrorHandler("Transaction not found", 404);
+            }
+            throw new ErrorHandler(`Transaction is not waiting for approval (${exists.approvalStatus || "not required"})`, 400);
+        }
+
+        // a future-dated one is posted by the pending poster once its date arrives;
+        // like POST /transaction an approval never overdraws the saldo (400)
+        if (status === "approved" && !transaction.pending) {
+            await applySaldoDelta(transaction.saldo, signedAmount(transaction.type, transaction.amount), session, {
+                allowNegative: false,
+            });
+        }
+
+        return transaction;
+    });
+
+/**
+ * @route   GET /approval/pending
+ * @desc    Transactions waiting for approval, oldest first
+ */
+router.get(
+    "/pending",
+    isAuthenticated,
+    isAdmin("admin"),
+    catchAsyncErrors(async (req, res, next) => {
+        const { page = 1, limit = 50 } = req.query;
+        const filter = { approvalStatus: "pending" };
+
+        const [transactions, total] = await Promise.all([
+            Transaction.find(filter)
+                .populate(TRANSACTION_POPULATE)
+                .sort({ date: 1 })
+                .skip((page - 1) * limit)
+                .limit(Number(limit)),
+            Transaction.countDocuments(filter),
+        ]);
+
+        res.status(200).json({
+            code: 200,
+            status: "success",
+            data: {
+                transactions,
+                pagination: {
+                    total,
+                    page: Number(page),
+                    limit: Number(limit),
+                    pages: Math.ceil(total / limit),
+                },
+            },
+        });
+    })
+);
+
+/**
+ * @route   POST /approval/:id/approve
+ * @desc    Approve a large expense and apply it to its saldo ({ note })
+ */
+router.post(
+    "/:id/approve",
+    isAuthenticated,
+    isAdmin("admin"),
+    idempotent,
+    catchAsyncErrors(async (req, res, next) => {
+        const validation = v.validate(req.body, decisionSchema);
+        if (validation !== true) {
+            return res.status(400).json({
+                code: 400,
+                status: "error",
+                data: { error: "Validation failed", details: validation },
+            });
+        }
+
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(404).json({
+                code: 404,
+                message: "Transaction not found",
+            });
+        }
+
+        const transaction = await decide(req.params.id, "approved", req.user, req.body.note);
+
+        res.status(200).json({
+            meta: {
+                message: "Transaction approved successfully",
+                code: 200,
+                status: "success",
+            },
+            data: await transaction.populate(TRANSACTION_POPULATE),
+        });
+    })
+);
+
+/**
+ * @route   POST /approval/:id/reject
+ * @desc    Reject a large expense; it never touches the saldo ({ note })
+ */
+router.post(
+    "/:id/reject",
+    isAuthenticated,
+    isAdmin("admin"),
+    idempotent,
+    catchAsyncErrors(async (req, res, next) => {
+        const validation = v.validate(req.body, decisionSchema);
+        if (validation !== true) {
+            return res.status(400).json({
+                code: 400,
+                status: "error",
+                data: { error: "Validation failed", details: validation },
+            });
+        }
+
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(404).json({
+                code: 404,
+                message: "Transaction not found",
+            });
+        }
+
+        const transaction = await decide(req.params.id, "rejected", req.user, req.body.note);
+
+        res.status(200).json({
+            meta: {
+                message: "Transaction rejected successfully",
+                code: 200,
+                status: "success",
+            },
+            data: await transaction.populate(TRANSACTION_POPULATE),
+        });
+    })
+);
+
+/**
+ * @route   GET /approval/thresholds
+ * @desc    The global threshold and every category / saldo with its own
+ */
+router.get(
+    "/thresholds",
+    isAuthenticated,
+    isAdmin("admin"),
+    catchAsyncErrors(async (req, res, next) => {
+        const withThreshold = { approvalThreshold: { $gt: 0 } };
+
+        const [categories, saldos] = await Promise.all([
+            Category.find(withThreshold).select("name approvalThreshold").sort({ name: 1 }),
+            Saldo.find(withThreshold).select("name currency approvalThreshold").sort({ name: 1 }),
+        ]);
+
+        res.status(200).json({
+            code: 200,
+            status: "success",
+            data: {
+                global: globalApprovalThreshold(),
+                categories,
+                saldos,
+            },
+        });
+    })
+);
+
+/**
+ * @route   PUT /approval/thresholds/:type/:id
+ * @desc    Set the approval threshold of a category or saldo
+ *          ({ threshold }, null to fall back to the global one)
+ */
+router.put(
+    "/thresholds/:type(category|saldo)/:id",
+    isAuthenticated,
+    isAdmin("admin"),
+    catchAsyncErrors(async (req, res, next) => {
+        const schema = {
+            threshold: { type: "number", positive: true, nullable: true },
+        };
+
+        const validation = v.validate(req.body, schema);
+        if (validation !== true) {
+            return res.status(400).json({
+                code: 400,
+                status: "error",
+                data: { error: "Validation failed", details: validation },
+            });
+        }
+
+        const Model = THRESHOLD_MODELS[req.params.type];
+        const label = req.params.type === "category" ? "Category" : "Saldo";
+
+        const document = mongoose.Types.ObjectId.isValid(req.params.id)
+            ? await Model.findById(req.params.id)
+            : null;
+        if (!document) {
+            return res.status(404).json({
+                code: 404,
+                message: `${label} not found`,
+            });
+        }
+
+        document.approvalThreshold = req.body.threshold;
+        await document.save();
+
+        res.status(200).json({
+            meta: {
+                message: `${label} approval threshold updated successfully`,
+                code: 200,
+                status: "success",
+            },
+            data: document,
+        });
+    })
+);
+
+module.exports = router;
@@ -0,0 +1,170 @@
+const express = require("express");
+const router = express.Router({ mergeParams: true });
+
+// Models
+const Transaction = require("../model/Transaction");
+
+// Middleware & Utils
+const ErrorHandler = require("../utils/ErrorHandler");
+const catchAsyncErrors = require("../middleware/catchAsyncErrors");
+const { isAuthenticated } = require("../middleware/auth");
+const { memoryUpload } = require("../middleware/upload");
+const {
+    getAttachmentStorage,
+    removeAttachmentFiles,
+} = require("../utils/attachmentStorage");
+
+// Config
+const MAX_FILE_SIZE = (Number(process.env.ATTACHMENT_MAX_SIZE_MB) || 5) * 1024 * 1024;
+const MAX_FILES_PER_UPLOAD = 5;
+const MAX_ATTACHMENTS = 10;
+const ALLOWED_EXTENSIONS = [".jpg", ".jpeg", ".png", ".webp", ".pdf"];
+const ALLOWED_MIME_TYPES = ["image/jpeg", "image/png", "image/webp", "application/pdf"];
+
+const uploadFiles = memoryUpload({
+    field: "files",
+    maxCount: MAX_FILES_PER_UPLOAD,
+    maxSize: MAX_FILE_SIZE,
+    extensions: ALLOWED_EXTENSIONS,
+    mimeTypes: ALLOWED_MIME_TYPES,
+});
+
+/**
+ * @route   POST /transaction/:id/attachments
+ * @desc    Upload receipt images / PDFs (multipart field "files")
+ */
+router.post(
+    "",
+    isAuthenticated,
+    uploadFiles,
+    catchAsyncErrors(async (req, res, next) => {
+        if (!req.files || req.files.length === 0) {
+            return next(new ErrorHandler("Please upload at least one file in the 'files' field", 400));
+        }
+
+        const transaction = await Transaction.findById(req.params.id).select("attachments");
+        if (!transaction) {
+            return res.status(404).json({
+                code: 404,
+                message: "Transaction not found",
+            });
+        }
+
+        if (transaction.attachments.length + req.files.length > MAX_ATTACHMENTS) {
+            return next(new ErrorHandler(`A transaction can have at most ${MAX_ATTACHMENTS} attachments`, 400));
+        }
+
+        const storage = getAttachmentStorage();
+        const uploaded = [];
+
+        try {
+            for (const file of req.files) {
+                const stored = await storage.upload({
+                    buffer: file.buffer,
+                    originalName: file.originalname,
+                    mimeType: file.mimetype,
+                });
+
+                uploaded.push({
+                    ...stored,
+                    provider: storage.name,
+                    fileName: file.originalname,
+                    mimeType: file.mimetype,
+                    size: file.size,
+                    uploadedBy: req.user._id,
+                });
+            }
+        } catch (err) {
+            await removeAttachmentFiles(uploaded);
+            return next(new ErrorHandler(`Failed to upload attachment: ${err.message}`, 502));
+        }
+
+        const updated = await Transaction.findOneAndUpdate(
+            { _id: req.params.id },
+            { $push: { attachments: { $each: uploaded } } },
+            { new: true }
+        ).select("attachments");
+
+        if (!updated) {
+            // transaction was deleted while uploading
+            await removeAttachmentFiles(uploaded);
+            return res.status(404).json({
+                code: 404,
+                message: "Transaction not found",
+            });
+        }
+
+        return res.status(200).json({
+            code: 200,
+            status: "success",
+            data: updated.attachments,
+        });
+    })
+);
+
+/**
+ * @route   GET /transaction/:id/attachments
+ * @desc    List attachments of a transaction
+ */
+router.get(
+    "",
+    isAuthenticated,
+    catchAsyncErrors(async (req, res, next) => {
+        const transaction = await Transaction.findById(req.params.id)
+            .select("attachments")
+            .populate("attachments.uploadedBy", "name email");
+
+        if (!transaction) {
+            return res.status(404).json({
+                code: 404,
+                message: "Transaction not found",
+            });
+        }
+
+        res.status(200).json({
+            meta: {
+                message: "Attachments retrieved successfully",
+                code: 200,
+                status: "success",
+            },
+            data: transaction.attachments,
+        });
+    })
+);
+
+/**
+ * @route   DELETE /transaction/:id/attachments/:attachmentId
+ * @desc    Remove one attachment and its stored file
+ */
+router.delete(
+    "/:attachmentId",
+    isAuthenticated,
+    catchAsyncErrors(async (req, res, next) => {
+        const transaction = await Transaction.findOne({
+            _id: req.params.id,
+            "attachments._id": req.params.attachmentId,
+        }).select("attachments");
+
+        if (!transaction) {
+            return res.status(404).json({
+                code: 404,
+                message: "Attachment not found",
+            });
+        }
+
+        const attachment = transaction.attachments.id(req.params.attachmentId);
+
+        await Transaction.updateOne(
+            { _id: req.params.id },
+            { $pull: { attachments: { _id: attachment._id } } }
+        );
+        await removeAttachmentFiles([attachment]);
+
+        return res.status(200).json({
+            code: 200,
+            message: "Attachment deleted successfully",
+        });
+    })
+);
+
+module.exports = router;
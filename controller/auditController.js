@@ -0,0 +1,140 @@
+const express = require("express");
+const router = express.Router();
+const mongoose = require("mongoose");
+
+// Models
+const AuditLog = require("../model/AuditLog");
+
+// Middleware & Utils
+const catchAsyncErrors = require("../middleware/catchAsyncErrors");
+const { isAuthenticated, isAdmin } = require("../middleware/auth");
+
+const AUDITED_MODELS = {
+    transaction: "Transaction",
+    saldo: "Saldo",
+    category: "Category",
+    user: "User",
+    reconciliation: "Reconciliation",
+};
+
+const AUDIT_ACTIONS = ["create", "update", "delete", "trash", "restore"];
+
+const invalid = (res, message) =>
+    res.status(400).json({
+        code: 400,
+        status: "error",
+        data: { error: "Validation failed", details: [{ message }] },
+    });
+
+/**
+ * Paginated, newest-first page of audit entries matching `filter`
+ */
+async function sendAuditPage(req, res, filter) {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500);
+
+    if (req.query.action) {
+        if (!AUDIT_ACTIONS.includes(req.query.action)) {
+            return invalid(res, `action must be one of: ${AUDIT_ACTIONS.join(", ")}`);
+        }
+        filter.action = req.query.action;
+    }
+
+    if (req.query.startDate || req.query.endDate) {
+        const start = req.query.startDate ? new Date(req.query.startDate) : null;
+        const end = req.query.endDate ? new Date(req.query.endDate) : null;
+        if ((start && isNaN(start)) || (end && isNaN(end))) {
+            return invalid(res, "startDate / endDate must be valid dates");
+        }
+        filter.createdAt = {};
+        if (start) filter.createdAt.$gte = start;
+        if (end) filter.createdAt.$lte = end;
+    }
+
+    const [items, total] = await Promise.all([
+        AuditLog.find(filter)
+            .populate("actor", "name email")
+            .sort({ createdAt: -1, _id: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit),
+        AuditLog.countDocuments(filter),
+    ]);
+
+    res.status(200).json({
+        meta: {
+            message: "Audit log retrieved successfully",
+            code: 200,
+            status: "success",
+            pagination: {
+                total,
+                page,
+                limit,
+                pages: Math.ceil(total / limit),
+            },
+        },
+        data: items,
+    });
+}
+
+/**
+ * @route   GET /audit?model=transaction&action=update&startDate=&endDate=
+ * @desc    Browse the whole audit log (admin only)
+ */
+router.get(
+    "",
+    isAuthenticated,
+    isAdmin("admin"),
+    catchAsyncErrors(async (req, res, next) => {
+        const filter = {};
+
+        if (req.query.model) {
+            const model = AUDITED_MODELS[req.query.model.toLowerCase()];
+            if (!model) {
+                return invalid(res, `model must be one of: ${Object.keys(AUDITED_MODELS).join(", ")}`);
+            }
+            filter.model = model;
+        }
+
+        return sendAuditPage(req, res, filter);
+    })
+);
+
+/**
+ * @route   GET /audit/actor/:userId
+ * @desc    Everything a user changed (admin only)
+ */
+router.get(
+    "/actor/:userId",
+    isAuthenticated,
+    isAdmin("admin"),
+    catchAsyncErrors(async (req, res, next) => {
+        if (!mongoose.isValidObjectId(req.params.userId)) {
+            return invalid(res, "userId must be a valid id");
+        }
+
+        return sendAuditPage(req, res, { actor: req.params.userId });
+    })
+);
+
+/**
+ * @route   GET /audit/:model/:id
+ * @desc    Audit entries of one record, e.g. /audit/saldo/:id (admin only)
+ */
+router.get(
+    "/:model/:id",
+    isAuthenticated,
+    isAdmin("admin"),
+    catchAsyncErrors(async (req, res, next) => {
+        const model = AUDITED_MODELS[req.params.model.toLowerCase()];
+        if (!model) {
+            return invalid(res, `model must be one of: ${Object.keys(AUDITED_MODELS).join(", ")}`);
+        }
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return invalid(res, "id must be a valid id");
+        }
+
+        return sendAuditPage(req, res, { model, documentId: req.params.id });
+    })
+);
+
+module.exports = router;
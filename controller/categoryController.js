@@ -173,7 +173,7 @@ router.delete(
     isAuthenticated,
     // tambahkan isAdmin jika perlu
     catchAsyncErrors(async (req, res, next) => {
-        const category = await Category.findByIdAndDelete(req.params.id);
+        const category = await Category.findById(req.params.id);
 
         if (!category) {
             return res.status(404).json({
@@ -182,9 +182,12 @@ router.delete(
             });
         }
 
+        // Soft delete: restorable from /trash until the retention period ends
+        await category.softDelete(req.user);
+
         return res.status(200).json({
             code: 200,
-            message: "Category deleted successfully",
+            message: "Category moved to trash",
         });
     })
 );
@@ -1,88 +1,62 @@
 const express = require("express");
 const router = express.Router();
 
-// Models
-const Transaction = require("../model/Transaction");
-
 // Middleware & Utils
 const catchAsyncErrors = require("../middleware/catchAsyncErrors");
 const { isAuthenticated } = require("../middleware/auth");
+const {
+    getChartData,
+    getMonthlySummary,
+    getCategoryBreakdown,
+    getTagReport,
+} = require("../utils/dashboardReport");
+const { buildTransactionQuery } = require("../utils/transactionFilter");
+const { baseCurrency } = require("../utils/exchangeRates");
+
+/**
+ * Same filters as /transaction/list (type, category, saldo, user, amount
+ * range, search...) so the dashboard totals match the list on screen
+ */
+const parseFilter = (req, res) => {
+    const query = buildTransactionQuery(req.query);
+    if (query.errors) {
+        res.status(400).json({
+            code: 400,
+            status: "error",
+            data: { error: "Validation failed", details: query.errors },
+        });
+        return null;
+    }
+    return query;
+};
 
 /**
  * @route   GET /transaction/chart/:year
- * @desc    Get transaction summary per month for chart
+ * @desc    Get transaction summary per month for chart, converted to the
+ *          base currency (BASE_CURRENCY) with the rate of each day
  */
 router.get(
     "/chart/:year",
     isAuthenticated,
     catchAsyncErrors(async (req, res, next) => {
         const year = parseInt(req.params.year);
+        const query = parseFilter(req, res);
+        if (!query) return;
 
-        const startDate = new Date(`${year}-01-01T00:00:00.000Z`);
-        const endDate = new Date(`${year + 1}-01-01T00:00:00.000Z`);
-
-        const transactions = await Transaction.aggregate([
-            {
-                $match: {
-                    createdAt: { $gte: startDate, $lt: endDate },
-                },
-            },
-            {
-                $group: {
-                    _id: {
-                        month: { $month: "$createdAt" },
-                        type: "$type",
-                    },
-                    total: { $sum: "$amount" },
-                },
-            },
-            {
-                $project: {
-                    month: "$_id.month",
-                    type: "$_id.type",
-                    total: 1,
-                    _id: 0,
-                },
-            },
-        ]);
-
-        const monthNames = [
-            "Jan", "Feb", "Mar", "Apr", "May", "Jun",
-            "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"
-        ];
-
-        // Default: 0 total untuk setiap bulan
-        const income = [];
-        const expense = [];
-
-        for (let m = 1; m <= 12; m++) {
-            const monthName = monthNames[m - 1];
-            const dateLabel = `${monthName} ${year}`; // <== DIUBAH DI SINI
-
-            const incomeData = transactions.find(t => t.month === m && t.type === 'income');
-            const expenseData = transactions.find(t => t.month === m && t.type === 'expense');
-
-            income.push({
-                date: dateLabel,
-                total: incomeData ? incomeData.total : 0,
-            });
-
-            expense.push({
-                date: dateLabel,
-                total: expenseData ? expenseData.total : 0,
-            });
-        }
+        const { income, expense } = await getChartData(year, query.filter, query.categories);
 
         res.status(200).json({
             income,
             expense,
+            currency: baseCurrency(),
         });
     })
 );
 
 /**
  * @route   GET /transaction/summary?month=5&year=2024
- * @desc    Get total income and expense for a given month and year
+ * @desc    Get total income and expense for a given month and year,
+ *          in the base currency
  */
 router.get(
     "/summary",
@@ -99,43 +73,61 @@ router.get(
             });
         }
 
-        // Start date: YYYY-MM-01
-        const startDate = new Date(Date.UTC(year, month - 1, 1));
-        // End date: next month
-        const endDate = new Date(Date.UTC(year, month, 1));
-
-        const result = await Transaction.aggregate([
-            {
-                $match: {
-                    createdAt: {
-                        $gte: startDate,
-                        $lt: endDate,
-                    },
-                },
-            },
-            {
-                $group: {
-                    _id: "$type",
-                    total: { $sum: "$amount" },
-                },
-            },
-        ]);
-
-        let income = 0;
-        let expense = 0;
-
-        for (const r of result) {
-            if (r._id === "income") income = r.total;
-            if (r._id === "expense") expense = r.total;
-        }
+        const query = parseFilter(req, res);
+        if (!query) return;
+
+        const { income, expense } = await getMonthlySummary(month, year, query.filter, query.categories);
 
         res.status(200).json({
             income,
             expense,
             month,
             year,
+            currency: baseCurrency(),
+        });
+    })
+);
+
+/**
+ * @route   GET /dashboard/categories?startDate=2024-05-01&endDate=2024-05-31
+ * @desc    Income and expense per category in the base currency (same filters
+ *          as the list); split transactions count each split toward its category
+ */
+router.get(
+    "/categories",
+    isAuthenticated,
+    catchAsyncErrors(async (req, res, next) => {
+        const query = parseFilter(req, res);
+        if (!query) return;
+
+        const categories = await getCategoryBreakdown(query.filter, query.categories);
+
+        res.status(200).json({
+            categories,
+            currency: baseCurrency(),
+        });
+    })
+);
+
+/**
+ * @route   GET /dashboard/tags?startDate=2026-01-01&endDate=2026-03-31&tags=trip-bali-2026
+ * @desc    Income, expense and transaction count per tag in the base currency
+ *          (same filters as the list; with `tags` only those tags are reported)
+ */
+router.get(
+    "/tags",
+    isAuthenticated,
+    catchAsyncErrors(async (req, res, next) => {
+        const query = parseFilter(req, res);
+        if (!query) return;
+
+        const tags = await getTagReport(query.filter, query);
+
+        res.status(200).json({
+            tags,
+            currency: baseCurrency(),
         });
     })
 );
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,265 @@
+const express = require("express");
+const router = express.Router();
+const Validator = require("fastest-validator");
+const v = new Validator();
+
+// Models
+const ExchangeRate = require("../model/ExchangeRate");
+
+// Middleware & Utils
+const ErrorHandler = require("../utils/ErrorHandler");
+const catchAsyncErrors = require("../middleware/catchAsyncErrors");
+const { isAuthenticated } = require("../middleware/auth");
+const { memoryUpload } = require("../middleware/upload");
+const { readSheetRows, parseAmount, parseDate } = require("../utils/transactionImport");
+const {
+    CURRENCY_PATTERN,
+    baseCurrency,
+    startOfDay,
+    roundAmount,
+    exchangeRate,
+} = require("../utils/exchangeRates");
+
+const MAX_IMPORT_ROWS = 10000;
+
+// Accepted header names (case-insensitive) per column of a rate file
+const RATE_COLUMNS = {
+    date: ["date", "tanggal"],
+    currency: ["currency", "mata uang", "kode"],
+    rate: ["rate", "kurs", "nilai"],
+};
+
+const uploadRates = memoryUpload({
+    field: "file",
+    maxSize: 5 * 1024 * 1024,
+    extensions: [".csv", ".xlsx", ".xls"],
+});
+
+const upsertRate = ({ currency, rate, date }, source) => ({
+    updateOne: {
+        filter: { base: baseCurrency(), currency, date: startOfDay(date) },
+        update: { $set: { rate, source } },
+        upsert: true,
+    },
+});
+
+/**
+ * @route   GET /exchange-rate/list?currency=USD&page=1&limit=50
+ * @desc    Stored rates against the base currency, newest first
+ */
+router.get(
+    "/list",
+    isAuthenticated,
+    catchAsyncErrors(async (req, res, next) => {
+        const { page = 1, limit = 50 } = req.query;
+        const skip = (Number(page) - 1) * Number(limit);
+        const filter = { base: baseCurrency() };
+        if (req.query.currency) {
+            filter.currency = String(req.query.currency).toUpperCase();
+        }
+
+        const [items, total] = await Promise.all([
+            ExchangeRate.find(filter).sort({ date: -1, currency: 1 }).skip(skip).limit(Number(limit)),
+            ExchangeRate.countDocuments(filter),
+        ]);
+
+        res.status(200).json({
+            meta: {
+                message: "Exchange rates retrieved successfully",
+                code: 200,
+                status: "success",
+                base: baseCurrency(),
+                pagination: {
+                    total,
+                    page: Number(page),
+                    limit: Number(limit),
+                    pages: Math.ceil(total / Number(limit)),
+                },
+            },
+            data: items,
+        });
+    })
+);
+
+/**
+ * @route   GET /exchange-rate/convert?amount=100&from=USD&to=IDR&date=2025-01-31
+ * @desc    Convert an amount with the stored rates
+ */
+router.get(
+    "/convert",
+    isAuthenticated,
+    catchAsyncErrors(async (req, res, next) => {
+        const schema = {
+            amount: { type: "number", convert: true },
+            from: { type: "string", pattern: CURRENCY_PATTERN, uppercase: true },
+            to: { type: "string", pattern: CURRENCY_PATTERN, uppercase: true, optional: true },
+            date: { type: "date", convert: true, optional: true },
+        };
+
+        const query = { ...req.query };
+        const validation = v.validate(query, schema);
+        if (validation !== true) {
+            return res.status(400).json({
+                code: 400,
+                status: "error",
+                data: { error: "Validation failed", details: validation },
+            });
+        }
+
+        const to = query.to || baseCurrency();
+        const date = query.date || new Date();
+        const rate = await exchangeRate(query.from, to, date);
+
+        res.status(200).json({
+            code: 200,
+            status: "success",
+            data: {
+                amount: query.amount,
+                from: query.from,
+                to,
+                date,
+                rate,
+                result: roundAmount(query.amount * rate),
+            },
+        });
+    })
+);
+
+/**
+ * @route   POST /exchange-rate
+ * @desc    Set the rate of a currency for a day ({ currency, rate, date }),
+ *          replacing the one already stored for that day
+ */
+router.post(
+    "",
+    isAuthenticated,
+    catchAsyncErrors(async (req, res, next) => {
+        const schema = {
+            currency: { type: "string", pattern: CURRENCY_PATTERN, uppercase: true },
+            rate: { type: "number", positive: true, convert: true },
+            date: { type: "date", convert: true, optional: true },
+        };
+
+        const validation = v.validate(req.body, schema);
+        if (validation !== true) {
+            return res.status(400).json({
+                code: 400,
+                status: "error",
+                data: { error: "Validation failed", details: validation },
+            });
+        }
+
+        if (req.body.currency === baseCurrency()) {
+            return next(new ErrorHandler(`${baseCurrency()} is the base currency, its rate is always 1`, 400));
+        }
+
+        const rate = await ExchangeRate.findOneAndUpdate(
+            { base: baseCurrency(), currency: req.body.currency, date: startOfDay(req.body.date || new Date()) },
+            { $set: { rate: req.body.rate, source: "manual" } },
+            { new: true, upsert: true }
+        );
+
+        return res.status(200).json({
+            code: 200,
+            status: "success",
+            data: rate,
+        });
+    })
+);
+
+/**
+ * @route   POST /exchange-rate/import
+ * @desc    Import rates from a CSV/XLSX file (multipart field "file") with
+ *          date, currency and rate columns; existing days are overwritten
+ */
+router.post(
+    "/import",
+    isAuthenticated,
+    uploadRates,
+    catchAsyncErrors(async (req, res, next) => {
+        if (!req.file) {
+            return next(new ErrorHandler("Please upload a CSV or XLSX file in the 'file' field", 400));
+        }
+
+        const rows = readSheetRows(req.file);
+        if (rows.length === 0) {
+            return next(new ErrorHandler("The file has no data rows", 400));
+        }
+        if (rows.length > MAX_IMPORT_ROWS) {
+            return next(new ErrorHandler(`A file can contain at most ${MAX_IMPORT_ROWS} rows`, 400));
+        }
+
+        const headers = Object.keys(rows[0]);
+        const columns = {};
+        for (const [field, names] of Object.entries(RATE_COLUMNS)) {
+            columns[field] = headers.find((h) => names.includes(String(h).trim().toLowerCase()));
+            if (!columns[field]) {
+                return next(new ErrorHandler(`Missing column: ${field} (${names.join(" / ")})`, 400));
+            }
+        }
+
+        const base = baseCurrency();
+        const valid = new Map(); // one rate per currency and day, the last row wins
+        const errors = [];
+
+        rows.forEach((row, index) => {
+            const date = parseDate(row[columns.date]);
+            const currency = String(row[columns.currency] || "").trim().toUpperCase();
+            const rate = parseAmount(row[columns.rate]);
+
+            const rowErrors = [];
+            if (!date) rowErrors.push("invalid date");
+            if (!CURRENCY_PATTERN.test(currency) || currency === base) rowErrors.push("invalid currency");
+            if (!(rate > 0)) rowErrors.push("rate must be a positive number");
+
+            if (rowErrors.length > 0) {
+                // +2: header row and 1-based numbering, like the spreadsheet shows it
+                errors.push({ row: index + 2, errors: rowErrors });
+            } else {
+                valid.set(`${currency}|${startOfDay(date).getTime()}`, { currency, rate, date });
+            }
+        });
+
+        const result = valid.size > 0
+            ? await ExchangeRate.bulkWrite([...valid.values()].map((rate) => upsertRate(rate, "import")))
+            : null;
+
+        return res.status(200).json({
+            code: 200,
+            status: "success",
+            data: {
+                base,
+                inserted: result ? result.upsertedCount : 0,
+                updated: result ? result.modifiedCount : 0,
+                skipped: errors.length,
+                errors,
+            },
+        });
+    })
+);
+
+/**
+ * @route   DELETE /exchange-rate/:id
+ * @desc    Delete one stored rate
+ */
+router.delete(
+    "/:id",
+    isAuthenticated,
+    catchAsyncErrors(async (req, res, next) => {
+        const rate = await ExchangeRate.findByIdAndDelete(req.params.id);
+
+        if (!rate) {
+            return res.status(404).json({
+                code: 404,
+                message: "Exchange rate not found",
+            });
+        }
+
+        return res.status(200).json({
+            code: 200,
+            message: "Exchange rate deleted successfully",
+        });
+    })
+);
+
+module.exports = router;
@@ -0,0 +1,180 @@
+const express = require("express");
+const router = express.Router();
+
+// Models
+const Transaction = require("../model/Transaction");
+
+// Middleware & Utils
+const ErrorHandler = require("../utils/ErrorHandler");
+const catchAsyncErrors = require("../middleware/catchAsyncErrors");
+const { isAuthenticated } = require("../middleware/auth");
+const {
+    excludeTransfers,
+    excludePending,
+    monthRange,
+    getChartData,
+    getMonthlySummary,
+} = require("../utils/dashboardReport");
+const { buildTransactionQuery, mergeFilters } = require("../utils/transactionFilter");
+const { TRANSACTION_POPULATE } = require("../utils/populate");
+const {
+    IDR_FORMAT,
+    TRANSACTION_COLUMNS,
+    createXlsxStream,
+    writeTransactionSheet,
+    writeReportSheet,
+    streamCsv,
+    transactionRows,
+} = require("../utils/spreadsheetExport");
+
+const EXPORT_FORMATS = ["xlsx", "csv"];
+
+const CHART_COLUMNS = [
+    { header: "Bulan", key: "month", width: 12 },
+    { header: "Pemasukan", key: "income", width: 18, style: { numFmt: IDR_FORMAT } },
+    { header: "Pengeluaran", key: "expense", width: 18, style: { numFmt: IDR_FORMAT } },
+    { header: "Selisih", key: "net", width: 18, style: { numFmt: IDR_FORMAT } },
+];
+
+/**
+ * Cursor over transactions, populated for export and read in batches
+ * so a large export never loads the whole collection into memory
+ */
+const transactionCursor = (filter, sort = { date: -1, createdAt: -1 }) =>
+    Transaction.find(filter)
+        .populate(TRANSACTION_POPULATE)
+        .sort(sort)
+        .batchSize(500)
+        .cursor();
+
+/**
+ * Filters shared with /transaction/list; pagination params are ignored
+ */
+const exportQuery = (req) => {
+    const query = buildTransactionQuery(req.query);
+    if (query.errors) {
+        throw new ErrorHandler(query.errors.map((e) => e.message).join(", "), 400);
+    }
+    return query;
+};
+
+const exportFormat = (req) => {
+    const format = (req.query.format || "xlsx").toLowerCase();
+    if (!EXPORT_FORMATS.includes(format)) {
+        throw new ErrorHandler(`format must be one of: ${EXPORT_FORMATS.join(", ")}`, 400);
+    }
+    return format;
+};
+
+/**
+ * Stream transactions matching `filter`: CSV as one file, XLSX with
+ * separate Income and Expense sheets (each with a totals row per currency)
+ */
+async function exportTransactions(res, format, filename, filter, sort) {
+    if (format === "csv") {
+        return streamCsv(res, `${filename}.csv`, TRANSACTION_COLUMNS, transactionRows(transactionCursor(filter, sort)));
+    }
+
+    const workbook = createXlsxStream(res, `${filename}.xlsx`);
+    await writeTransactionSheet(workbook, "Income", transactionCursor(mergeFilters(filter, { type: "income" }), sort));
+    await writeTransactionSheet(workbook, "Expense", transactionCursor(mergeFilters(filter, { type: "expense" }), sort));
+    await workbook.commit();
+}
+
+/**
+ * @route   GET /export/transactions?format=xlsx|csv
+ * @desc    Export the transaction list, same filters and sorting as /transaction/list
+ */
+router.get(
+    "/transactions",
+    isAuthenticated,
+    catchAsyncErrors(async (req, res, next) => {
+        const format = exportFormat(req);
+        const { filter, sort } = exportQuery(req);
+        const stamp = new Date().toISOString().slice(0, 10);
+
+        await exportTransactions(res, format, `transactions-${stamp}`, filter, sort);
+    })
+);
+
+/**
+ * @route   GET /export/chart/:year?format=xlsx|csv
+ * @desc    Export the monthly income/expense totals of /dashboard/chart/:year
+ */
+router.get(
+    "/chart/:year",
+    isAuthenticated,
+    catchAsyncErrors(async (req, res, next) => {
+        const format = exportFormat(req);
+        const year = parseInt(req.params.year);
+        if (!year) {
+            return next(new ErrorHandler("Invalid year", 400));
+        }
+
+        const { filter, categories } = exportQuery(req);
+        const { income, expense } = await getChartData(year, filter, categories);
+        const rows = income.map((entry, i) => ({
+            month: entry.date,
+            income: entry.total,
+            expense: expense[i].total,
+            net: entry.total - expense[i].total,
+        }));
+
+        if (format === "csv") {
+            return streamCsv(res, `chart-${year}.csv`, CHART_COLUMNS, rows);
+        }
+
+        const workbook = createXlsxStream(res, `chart-${year}.xlsx`);
+        writeReportSheet(workbook, `Chart ${year}`, CHART_COLUMNS, rows, ["income", "expense", "net"]);
+        await workbook.commit();
+    })
+);
+
+/**
+ * @route   GET /export/summary?month=5&year=2024&format=xlsx|csv
+ * @desc    Export one month: totals from /dashboard/summary plus that month's
+ *          transactions (XLSX: Summary, Income and Expense sheets)
+ */
+router.get(
+    "/summary",
+    isAuthenticated,
+    catchAsyncErrors(async (req, res, next) => {
+        const format = exportFormat(req);
+        const month = parseInt(req.query.month); // 1-12
+        const year = parseInt(req.query.year);
+
+        if (!month || !year || month < 1 || month > 12) {
+            return res.status(400).json({
+                message: "Invalid month or year",
+                code: 400,
+                status: "error",
+            });
+        }
+
+        const { filter: extraFilter, categories } = exportQuery(req);
+        const { startDate, endDate } = monthRange(month, year);
+        const filter = mergeFilters(
+            { date: { $gte: startDate, $lt: endDate } },
+            excludeTransfers,
+            excludePending,
+            extraFilter
+        );
+        const filename = `summary-${year}-${String(month).padStart(2, "0")}`;
+
+        if (format === "csv") {
+            return exportTransactions(res, format, filename, filter);
+        }
+
+        const { income, expense } = await getMonthlySummary(month, year, extraFilter, categories);
+
+        const workbook = createXlsxStream(res, `${filename}.xlsx`);
+        writeReportSheet(workbook, "Summary", CHART_COLUMNS, [
+            { month: `${month}/${year}`, income, expense, net: income - expense },
+        ]);
+        await writeTransactionSheet(workbook, "Income", transactionCursor(mergeFilters(filter, { type: "income" })));
+        await writeTransactionSheet(workbook, "Expense", transactionCursor(mergeFilters(filter, { type: "expense" })));
+        await workbook.commit();
+    })
+);
+
+module.exports = router;
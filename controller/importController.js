@@ -0,0 +1,616 @@
+const express = require("express");
+const router = express.Router();
+const Validator = require("fastest-validator");
+const v = new Validator();
+
+// Models
+const Transaction = require("../model/Transaction");
+const Saldo = require("../model/Saldo");
+const Category = require("../model/Category");
+
+// Middleware & Utils
+const ErrorHandler = require("../utils/ErrorHandler");
+const catchAsyncErrors = require("../middleware/catchAsyncErrors");
+const { isAuthenticated } = require("../middleware/auth");
+const { idempotent } = require("../middleware/idempotency");
+const { memoryUpload } = require("../middleware/upload");
+const runInTransaction = require("../utils/dbTransaction");
+const { signedAmount, applySaldoDelta, isFutureDated } = require("../utils/saldoBalance");
+const { createTransactionSchema } = require("../utils/transactionSchemas");
+const { tagsSchema } = require("../utils/tags");
+const { predictCategory, learnTransactions } = require("../utils/categoryClassifier");
+const { loadApprovalThresholds, notifyApprovers } = require("../utils/approval");
+const {
+    readSheetRows,
+    resolveColumns,
+    parseAmount,
+    parseDate,
+    parseType,
+    importHash,
+} = require("../utils/transactionImport");
+const { STATEMENT_FORMATS, parseStatement } = require("../utils/statementParsers");
+
+const MAX_IMPORT_ROWS = 5000;
+
+const uploadSheet = memoryUpload({
+    field: "file",
+    maxSize: 10 * 1024 * 1024,
+    extensions: [".csv", ".xlsx", ".xls"],
+});
+
+const uploadStatement = memoryUpload({
+    field: "file",
+    maxSize: 5 * 1024 * 1024,
+    extensions: [".ofx", ".qfx", ".qif", ".sta", ".940", ".mt940", ".txt"],
+});
+
+const optionsSchema = {
+    mapping: { type: "string", optional: true },
+    saldo: { type: "string", empty: false, optional: true },
+    type: { type: "enum", values: ["income", "expense"], optional: true },
+    user: { type: "string", empty: false, optional: true },
+    predictCategory: { type: "boolean", convert: true, optional: true },
+    skipInvalid: { type: "boolean", convert: true, optional: true },
+};
+
+/**
+ * Match a cell against an ID or a (case-insensitive) name
+ */
+const findByIdOrName = (items, value, extra = () => true) => {
+    const text = String(value || "").trim();
+    if (!text) return null;
+
+    return (
+        items.find((item) => item._id.toString() === text) ||
+        items.find((item) => item.name.toLowerCase() === text.toLowerCase() && extra(item)) ||
+        null
+    );
+};
+
+/**
+ * Parse the uploaded sheet into rows ready for insert, each carrying its own
+ * validation errors and a duplicate flag (already imported before)
+ */
+async function prepareImport(req) {
+    if (!req.file) {
+        throw new ErrorHandler("Please upload a CSV or Excel file in the 'file' field", 400);
+    }
+
+    const validation = v.validate(req.body, optionsSchema);
+    if (validation !== true) {
+        throw new ErrorHandler(validation.map((e) => e.message).join(", "), 400);
+    }
+
+    let mapping = {};
+    try {
+        mapping = req.body.mapping ? JSON.parse(req.body.mapping) : {};
+    } catch (err) {
+        throw new ErrorHandler("mapping must be a JSON object, e.g. {\"date\":\"Tanggal\"}", 400);
+    }
+
+    const rawRows = readSheetRows(req.file);
+    if (rawRows.length === 0) {
+        throw new ErrorHandler("The file has no data rows", 400);
+    }
+    if (rawRows.length > MAX_IMPORT_ROWS) {
+        throw new ErrorHandler(`Too many rows (max ${MAX_IMPORT_ROWS} per import)`, 400);
+    }
+
+    const columns = resolveColumns(Object.keys(rawRows[0]), mapping);
+    if (!columns.description || !columns.amount) {
+        throw new ErrorHandler("Description and amount columns are required, check the mapping", 400);
+    }
+
+    const [saldos, categories] = await Promise.all([
+        Saldo.find().select("name").lean(),
+        Category.find().select("name type").lean(),
+    ]);
+
+    const user = req.body.user || req.user._id.toString();
+    const occurrences = new Map();
+    const rows = [];
+
+    for (let i = 0; i < rawRows.length; i++) {
+        const raw = rawRows[i];
+        const errors = [];
+
+        const parsedAmount = parseAmount(raw[columns.amount]);
+        let type = columns.type ? parseType(raw[columns.type]) : null;
+        if (!type) type = req.body.type || null;
+        // signed amounts without a type column: negative is an expense
+        if (!type && !isNaN(parsedAmount)) type = parsedAmount < 0 ? "expense" : "income";
+
+        const date = columns.date ? parseDate(raw[columns.date]) : null;
+        if (columns.date && raw[columns.date] !== "" && !date) {
+            errors.push({ field: "date", message: "Unrecognized date, use YYYY-MM-DD or DD/MM/YYYY" });
+        }
+
+        const saldoCell = columns.saldo ? String(raw[columns.saldo]).trim() : "";
+        const saldo = findByIdOrName(saldos, saldoCell || req.body.saldo);
+        if (!saldo && (saldoCell || req.body.saldo)) {
+            errors.push({ field: "saldo", message: `Saldo "${saldoCell || req.body.saldo}" not found` });
+        }
+
+        const description = String(raw[columns.description] ?? "").trim();
+        const categoryCell = columns.category ? String(raw[columns.category]).trim() : "";
+        const matchesType = (category) => category.type === type;
+
+        let category = findByIdOrName(categories, categoryCell, matchesType);
+        let predictedCategory = null;
+
+        if (categoryCell && !category) {
+            errors.push({ field: "category", message: `Category "${categoryCell}" not found` });
+        } else if (!categoryCell && req.body.predictCategory && description && type) {
+            predictedCategory = await predictCategory(description, type, parsedAmount);
+            category = findByIdOrName(categories, predictedCategory, matchesType);
+            if (!category) {
+                errors.push({ field: "category", message: `Predicted category "${predictedCategory}" does not exist` });
+            }
+        }
+
+        const data = {
+            user,
+            category: category ? category._id.toString() : "",
+            saldo: saldo ? saldo._id.toString() : "",
+            amount: isNaN(parsedAmount) ? raw[columns.amount] : Math.abs(parsedAmount),
+            description,
+            type: type || "",
+        };
+
+        const rowValidation = v.validate(data, createTransactionSchema);
+        if (rowValidation !== true) {
+            rowValidation
+                .filter((e) => !errors.some((error) => error.field === e.field))
+                .forEach((e) => errors.push({ field: e.field, message: e.message }));
+        }
+
+        const fingerprint = importHash({ ...data, date }, 0);
+        const occurrence = occurrences.get(fingerprint) || 0;
+        occurrences.set(fingerprint, occurrence + 1);
+
+        rows.push({
+            row: i + 2, // spreadsheet row number (header is row 1)
+            data: { ...data, date },
+            predictedCategory,
+            importHash: importHash({ ...data, date }, occurrence),
+            duplicate: false,
+            errors,
+        });
+    }
+
+    // trashed transactions count too: their importHash is only released on purge
+    const existing = await Transaction.find({
+        importHash: { $in: rows.map((row) => row.importHash) },
+    })
+        .select("importHash")
+        .setOptions({ withDeleted: true });
+    const imported = new Set(existing.map((tx) => tx.importHash));
+
+    rows.forEach((row) => {
+        row.duplicate = imported.has(row.importHash);
+    });
+
+    return { columns, rows };
+}
+
+const statementOptionsSchema = {
+    saldo: { type: "string", empty: false },
+    format: { type: "enum", values: STATEMENT_FORMATS, optional: true },
+    // QIF dates are locale dependent: 31/01/2025 (dmy, default) or 01/31/2025 (mdy)
+    dateOrder: { type: "enum", values: ["dmy", "mdy"], optional: true },
+    user: { type: "string", empty: false, optional: true },
+    predictCategory: { type: "boolean", convert: true, optional: true },
+    overrides: { type: "string", optional: true },
+    skipInvalid: { type: "boolean", convert: true, optional: true },
+};
+
+// Corrections from the review screen, per statement line
+const overridesSchema = {
+    $$root: true,
+    type: "array",
+    items: {
+        type: "object",
+        strict: "remove",
+        props: {
+            line: { type: "number", integer: true, positive: true, convert: true },
+            category: { type: "string", empty: false, optional: true },
+            description: { type: "string", empty: false, max: 1024, optional: true },
+            tags: tagsSchema,
+            skip: { type: "boolean", optional: true },
+        },
+    },
+};
+
+/**
+ * Parse an uploaded bank statement into transaction drafts for one saldo.
+ * Lines the bank gave an ID are matched on it (per saldo), others on the
+ * same fingerprint as spreadsheet rows; both count as already imported.
+ */
+async function prepareStatementImport(req) {
+    if (!req.file) {
+        throw new ErrorHandler("Please upload an OFX, QIF or MT940 file in the 'file' field", 400);
+    }
+
+    const validation = v.validate(req.body, statementOptionsSchema);
+    if (validation !== true) {
+        throw new ErrorHandler(validation.map((e) => e.message).join(", "), 400);
+    }
+
+    let overrides = [];
+    try {
+        overrides = req.body.overrides ? JSON.parse(req.body.overrides) : [];
+    } catch (err) {
+        throw new ErrorHandler("overrides must be a JSON array, e.g. [{\"line\":1,\"category\":\"Makan\"}]", 400);
+    }
+    const overridesValidation = v.validate(overrides, overridesSchema);
+    if (overridesValidation !== true) {
+        throw new ErrorHandler(overridesValidation.map((e) => e.message).join(", "), 400);
+    }
+    const overrideByLine = new Map(overrides.map((override) => [override.line, override]));
+
+    const statement = parseStatement(req.file, req.body);
+    if (!statement) {
+        throw new ErrorHandler("Unrecognized statement format, pass format=ofx|qif|mt940", 400);
+    }
+    if (statement.lines.length === 0) {
+        throw new ErrorHandler(`No transactions found in the ${statement.format.toUpperCase()} file`, 400);
+    }
+    if (statement.lines.length > MAX_IMPORT_ROWS) {
+        throw new ErrorHandler(`Too many transactions (max ${MAX_IMPORT_ROWS} per import)`, 400);
+    }
+
+    const [saldos, categories] = await Promise.all([
+        Saldo.find().select("name currency").lean(),
+        Category.find().select("name type").lean(),
+    ]);
+
+    const saldo = findByIdOrName(saldos, req.body.saldo);
+    if (!saldo) {
+        throw new ErrorHandler(`Saldo "${req.body.saldo}" not found`, 404);
+    }
+    if (statement.currency && statement.currency !== saldo.currency) {
+        throw new ErrorHandler(
+            `The statement is in ${statement.currency} but saldo "${saldo.name}" is in ${saldo.currency}`,
+            400
+        );
+    }
+
+    const user = req.body.user || req.user._id.toString();
+    const predict = req.body.predictCategory !== false;
+    const occurrences = new Map();
+    const seenIds = new Set();
+    const rows = [];
+
+    for (let i = 0; i < statement.lines.length; i++) {
+        const line = statement.lines[i];
+        const override = overrideByLine.get(i + 1) || {};
+        const errors = [];
+
+        if (!line.date) {
+            errors.push({ field: "date", message: `Unrecognized date "${line.rawDate}"` });
+        }
+        if (isNaN(line.amount) || line.amount === 0) {
+            errors.push({ field: "amount", message: `Invalid amount "${line.rawAmount}"` });
+        }
+
+        const type = line.amount < 0 ? "expense" : "income";
+        const description = override.description || line.description;
+        const matchesType = (category) => category.type === type;
+
+        let category = null;
+        let predictedCategory = null;
+
+        if (override.category) {
+            category = findByIdOrName(categories, override.category, matchesType);
+            if (!category) {
+                errors.push({ field: "category", message: `Category "${override.category}" not found` });
+            }
+        } else if (predict && description) {
+            predictedCategory = await predictCategory(description, type, line.amount);
+            category = findByIdOrName(categories, predictedCategory, matchesType);
+            if (!category) {
+                errors.push({ field: "category", message: `Predicted category "${predictedCategory}" does not exist, pick one` });
+            }
+        }
+
+        const data = {
+            user,
+            category: category ? category._id.toString() : "",
+            saldo: saldo._id.toString(),
+            amount: isNaN(line.amount) ? line.rawAmount : Math.abs(line.amount),
+            description,
+            type,
+            tags: override.tags || [],
+        };
+
+        const rowValidation = v.validate(data, createTransactionSchema);
+        if (rowValidation !== true) {
+            rowValidation
+                .filter((e) => !errors.some((error) => error.field === e.field))
+                .forEach((e) => errors.push({ field: e.field, message: e.message }));
+        }
+
+        let duplicate = false;
+        let hash = null;
+        if (line.externalId) {
+            // some banks repeat a line across overlapping downloads in one file
+            duplicate = seenIds.has(line.externalId);
+            seenIds.add(line.externalId);
+        } else {
+            const fingerprint = importHash({ ...data, date: line.date }, 0);
+            const occurrence = occurrences.get(fingerprint) || 0;
+            occurrences.set(fingerprint, occurrence + 1);
+            hash = importHash({ ...data, date: line.date }, occurrence);
+        }
+
+        rows.push({
+            line: i + 1,
+            externalId: line.externalId,
+            data: { ...data, date: line.date },
+            predictedCategory,
+            importHash: hash,
+            duplicate,
+            skipped: Boolean(override.skip),
+            errors,
+        });
+    }
+
+    // trashed transactions count too, see prepareImport
+    const externalIds = rows.filter((row) => row.externalId).map((row) => row.externalId);
+    const hashes = rows.filter((row) => row.importHash).map((row) => row.importHash);
+    const existing = await Transaction.find({
+        $or: [
+            { saldo: saldo._id, externalId: { $in: externalIds } },
+            { importHash: { $in: hashes } },
+        ],
+    })
+        .select("externalId importHash")
+        .setOptions({ withDeleted: true });
+    const imported = new Set(existing.flatMap((tx) => [tx.externalId, tx.importHash]).filter(Boolean));
+
+    rows.forEach((row) => {
+        row.duplicate = row.duplicate || imported.has(row.externalId || row.importHash);
+        // a skipped or already imported line needs no fixing
+        if (row.skipped || row.duplicate) row.errors = [];
+    });
+
+    const dates = statement.lines.map((line) => line.date).filter(Boolean).sort((a, b) => a - b);
+    const amounts = statement.lines.map((line) => line.amount).filter((amount) => !isNaN(amount));
+
+    return {
+        statement: {
+            format: statement.format,
+            account: statement.account,
+            currency: statement.currency || saldo.currency,
+            saldo: { _id: saldo._id, name: saldo.name, currency: saldo.currency },
+            from: dates[0] || null,
+            to: dates[dates.length - 1] || null,
+            totalIncome: amounts.filter((amount) => amount > 0).reduce((sum, amount) => sum + amount, 0),
+            totalExpense: -amounts.filter((amount) => amount < 0).reduce((sum, amount) => sum + amount, 0),
+        },
+        rows,
+    };
+}
+
+const isImportable = (row) => row.errors.length === 0 && !row.duplicate && !row.skipped;
+
+const summarize = (rows) => ({
+    total: rows.length,
+    valid: rows.filter(isImportable).length,
+    invalid: rows.filter((row) => row.errors.length > 0).length,
+    duplicates: rows.filter((row) => row.duplicate).length,
+    skipped: rows.filter((row) => row.skipped).length,
+});
+
+/**
+ * Insert the rows and move their saldos, all or nothing. Future-dated rows
+ * are imported as pending and move their saldo once their date arrives;
+ * expenses above their approval threshold wait for an approver like
+ * POST /transaction does. Resolves with the inserted transactions.
+ */
+const importRows = async (rows) => {
+    // thresholds are read before the transaction, once per saldo / category /
+    // currency: a lookup per row would outlast its time limit on large files
+    const thresholdOf = await loadApprovalThresholds(rows.map((row) => row.data));
+    const approvalThresholds = rows.map(({ data }) => thresholdOf(data));
+
+    const deltas = new Map();
+    rows.forEach(({ data }, i) => {
+        if (isFutureDated(data.date) || approvalThresholds[i]) return;
+        deltas.set(data.saldo, (deltas.get(data.saldo) || 0) + signedAmount(data.type, data.amount));
+    });
+
+    return runInTransaction(async (session) => {
+        for (const [saldoId, delta] of deltas) {
+            await applySaldoDelta(saldoId, delta, session);
+        }
+
+        return Transaction.insertMany(
+            rows.map(({ data, importHash, externalId }, i) => ({
+                user: data.user,
+                category: data.category,
+                saldo: data.saldo,
+                amount: data.amount,
+                description: data.description,
+                type: data.type,
+                ...(approvalThresholds[i] && { approvalStatus: "pending", approvalThreshold: approvalThresholds[i] }),
+                ...(data.tags?.length && { tags: data.tags }),
+                ...(externalId ? { externalId } : { importHash }),
+                ...(data.date && { date: data.date, pending: isFutureDated(data.date) }),
+            })),
+            { session }
+        );
+    });
+};
+
+/**
+ * Import the rows, let the model learn them and ask the approvers about the
+ * ones waiting for approval. Resolves with how many of those there are.
+ */
+const commitRows = async (rows, requester) => {
+    const transactions = await importRows(rows);
+
+    // their categories were confirmed in the preview, the model learns them
+    await learnTransactions(transactions);
+
+    const awaitingApproval = transactions.filter((tx) => tx.approvalStatus === "pending");
+    for (const transaction of awaitingApproval) {
+        await notifyApprovers(transaction, requester);
+    }
+    return awaitingApproval.length;
+};
+
+/**
+ * @route   POST /transaction/import/preview
+ * @desc    Dry run: parse a CSV/XLSX upload and report per-row validation
+ *          errors, predicted categories and already-imported rows
+ */
+router.post(
+    "/preview",
+    isAuthenticated,
+    uploadSheet,
+    catchAsyncErrors(async (req, res, next) => {
+        const { columns, rows } = await prepareImport(req);
+
+        res.status(200).json({
+            meta: {
+                message: "Import preview generated successfully",
+                code: 200,
+                status: "success",
+            },
+            data: {
+                columns,
+                summary: summarize(rows),
+                rows,
+            },
+        });
+    })
+);
+
+/**
+ * @route   POST /transaction/import/commit
+ * @desc    Import every valid, not yet imported row and adjust saldos, all
+ *          or nothing. Refused if any row is invalid unless skipInvalid=true.
+ *          Expenses above their approval threshold wait for approval
+ *          (awaitingApproval) instead of moving the saldo.
+ */
+router.post(
+    "/commit",
+    isAuthenticated,
+    uploadSheet,
+    idempotent,
+    catchAsyncErrors(async (req, res, next) => {
+        const { rows } = await prepareImport(req);
+        const summary = summarize(rows);
+
+        if (summary.invalid > 0 && !req.body.skipInvalid) {
+            return res.status(400).json({
+                code: 400,
+                status: "error",
+                data: {
+                    error: "Some rows are invalid, fix them or pass skipInvalid=true",
+                    summary,
+                    rows: rows.filter((row) => row.errors.length > 0),
+                },
+            });
+        }
+
+        const toImport = rows.filter(isImportable);
+        const awaitingApproval = toImport.length > 0 ? await commitRows(toImport, req.user) : 0;
+
+        res.status(200).json({
+            meta: {
+                message: "Transactions imported successfully",
+                code: 200,
+                status: "success",
+            },
+            data: {
+                imported: toImport.length,
+                awaitingApproval,
+                skippedDuplicates: summary.duplicates,
+                skippedInvalid: summary.invalid,
+            },
+        });
+    })
+);
+
+/**
+ * @route   POST /transaction/import/statement/preview
+ * @desc    Review screen for a bank statement (OFX/QFX, QIF or MT940) upload
+ *          into `saldo`: transaction drafts with predicted categories, lines
+ *          already imported and lines that need fixing. Corrections go in
+ *          `overrides` ([{ line, category, description, tags, skip }]) and
+ *          are sent again with the commit.
+ */
+router.post(
+    "/statement/preview",
+    isAuthenticated,
+    uploadStatement,
+    catchAsyncErrors(async (req, res, next) => {
+        const { statement, rows } = await prepareStatementImport(req);
+
+        res.status(200).json({
+            meta: {
+                message: "Statement preview generated successfully",
+                code: 200,
+                status: "success",
+            },
+            data: {
+                statement,
+                summary: summarize(rows),
+                rows,
+            },
+        });
+    })
+);
+
+/**
+ * @route   POST /transaction/import/statement/commit
+ * @desc    Import the reviewed statement (same file and overrides as the
+ *          preview), all or nothing. Lines already imported are skipped;
+ *          refused if any line is invalid unless skipInvalid=true. Expenses
+ *          above their approval threshold wait for approval.
+ */
+router.post(
+    "/statement/commit",
+    isAuthenticated,
+    uploadStatement,
+    idempotent,
+    catchAsyncErrors(async (req, res, next) => {
+        const { statement, rows } = await prepareStatementImport(req);
+        const summary = summarize(rows);
+
+        if (summary.invalid > 0 && !req.body.skipInvalid) {
+            return res.status(400).json({
+                code: 400,
+                status: "error",
+                data: {
+                    error: "Some lines are invalid, fix them in overrides or pass skipInvalid=true",
+                    summary,
+                    rows: rows.filter((row) => row.errors.length > 0),
+                },
+            });
+        }
+
+        const toImport = rows.filter(isImportable);
+        const awaitingApproval = toImport.length > 0 ? await commitRows(toImport, req.user) : 0;
+
+        res.status(200).json({
+            meta: {
+                message: "Statement imported successfully",
+                code: 200,
+                status: "success",
+            },
+            data: {
+                statement,
+                imported: toImport.length,
+                awaitingApproval,
+                skippedDuplicates: summary.duplicates,
+                skippedInvalid: summary.invalid,
+                skipped: summary.skipped,
+            },
+        });
+    })
+);
+
+module.exports = router;
@@ -0,0 +1,461 @@
+const express = require("express");
+const router = express.Router();
+const mongoose = require("mongoose");
+const Validator = require("fastest-validator");
+const v = new Validator();
+
+// Models
+const Reconciliation = require("../model/Reconciliation");
+const Transaction = require("../model/Transaction");
+const Saldo = require("../model/Saldo");
+
+// Middleware & Utils
+const ErrorHandler = require("../utils/ErrorHandler");
+const catchAsyncErrors = require("../middleware/catchAsyncErrors");
+const { isAuthenticated } = require("../middleware/auth");
+const runInTransaction = require("../utils/dbTransaction");
+const { TRANSACTION_POPULATE } = require("../utils/populate");
+const { statementCutoff, reconciliationSummary } = require("../utils/reconciliation");
+const { UNAPPROVED } = require("../utils/saldoBalance");
+
+const RECONCILIATION_POPULATE = [
+    { path: "saldo", select: "name amount currency", options: { withDeleted: true } },
+    { path: "startedBy", select: "name email" },
+    { path: "completedBy", select: "name email" },
+];
+
+/**
+ * Transactions still to be ticked off against the statement: everything up
+ * to the statement date that no earlier reconciliation has locked
+ */
+const openTransactionsFilter = (reconciliation) => ({
+    saldo: reconciliation.saldo,
+    reconciliation: null,
+    pending: { $ne: true },
+    approvalStatus: { $nin: UNAPPROVED },
+    date: { $lt: statementCutoff(reconciliation.statementDate) },
+});
+
+const findOpenReconciliation = async (id, session = null) => {
+    const reconciliation = await Reconciliation.findById(id).session(session);
+    if (!reconciliation) {
+        throw new ErrorHandler("Reconciliation not found", 404);
+    }
+    if (reconciliation.status !== "open") {
+        throw new ErrorHandler("Reconciliation is already completed", 400);
+    }
+    return reconciliation;
+};
+
+/**
+ * A new statement must not end before the last reconciled one
+ */
+const assertAfterLastReconciliation = async (saldo, statementDate, excludeId = null) => {
+    const last = await Reconciliation.findOne({
+        saldo,
+        status: "completed",
+        ...(excludeId && { _id: { $ne: excludeId } }),
+    }).sort({ statementDate: -1 });
+
+    if (last && statementDate < last.statementDate) {
+        throw new ErrorHandler(
+            `Statement date is before the last reconciled statement (${last.statementDate.toISOString().slice(0, 10)})`,
+            400
+        );
+    }
+};
+
+/**
+ * @route   POST /reconciliation
+ * @desc    Start reconciling a saldo against a bank statement
+ *          ({ saldo, statementDate, statementBalance, note })
+ */
+router.post(
+    "",
+    isAuthenticated,
+    catchAsyncErrors(async (req, res, next) => {
+        const schema = {
+            saldo: { type: "string", empty: false },
+            statementDate: { type: "date", convert: true },
+            statementBalance: { type: "number", convert: true },
+            note: { type: "string", max: 1024, optional: true },
+        };
+
+        const validation = v.validate(req.body, schema);
+        if (validation !== true) {
+            return res.status(400).json({
+                code: 400,
+                status: "error",
+                data: { error: "Validation failed", details: validation },
+            });
+        }
+
+        const { saldo, statementDate, statementBalance, note } = req.body;
+
+        const saldoExists = mongoose.Types.ObjectId.isValid(saldo) && (await Saldo.exists({ _id: saldo }));
+        if (!saldoExists) {
+            return res.status(404).json({
+                code: 404,
+                message: "Saldo not found",
+            });
+        }
+
+        const open = await Reconciliation.findOne({ saldo, status: "open" });
+        if (open) {
+            return next(new ErrorHandler(`Saldo already has a reconciliation in progress (${open._id})`, 409));
+        }
+
+        await assertAfterLastReconciliation(saldo, statementDate);
+
+        const reconciliation = await Reconciliation.create({
+            saldo,
+            statementDate,
+            statementBalance,
+            note,
+            startedBy: req.user._id,
+        });
+
+        res.status(200).json({
+            meta: {
+                message: "Reconciliation started successfully",
+                code: 200,
+                status: "success",
+            },
+            data: {
+                reconciliation,
+                summary: await reconciliationSummary(reconciliation),
+            },
+        });
+    })
+);
+
+/**
+ * @route   GET /reconciliation/saldo/:saldoId
+ * @desc    Reconciliation history of a saldo, latest statement first
+ */
+router.get(
+    "/saldo/:saldoId",
+    isAuthenticated,
+    catchAsyncErrors(async (req, res, next) => {
+        const { page = 1, limit = 50 } = req.query;
+        const skip = (Number(page) - 1) * Number(limit);
+        const filter = { saldo: req.params.saldoId };
+
+        const [items, total] = await Promise.all([
+            Reconciliation.find(filter)
+                .select("-transactions")
+                .populate(RECONCILIATION_POPULATE)
+                .sort({ statementDate: -1, createdAt: -1 })
+                .skip(skip)
+                .limit(Number(limit)),
+            Reconciliation.countDocuments(filter),
+        ]);
+
+        res.status(200).json({
+            meta: {
+                message: "Reconciliation history retrieved successfully",
+                code: 200,
+                status: "success",
+                pagination: {
+                    total,
+                    page: Number(page),
+                    limit: Number(limit),
+                    pages: Math.ceil(total / Number(limit)),
+                },
+            },
+            data: items,
+        });
+    })
+);
+
+/**
+ * @route   GET /reconciliation/:id
+ * @desc    An open reconciliation with its live difference and the
+ *          transactions to tick off, or a completed one with the
+ *          transactions it locked
+ */
+router.get(
+    "/:id",
+    isAuthenticated,
+    catchAsyncErrors(async (req, res, next) => {
+        const reconciliation = await Reconciliation.findById(req.params.id).populate(RECONCILIATION_POPULATE);
+        if (!reconciliation) {
+            return res.status(404).json({
+                code: 404,
+                message: "Reconciliation not found",
+            });
+        }
+
+        const open = reconciliation.status === "open";
+        const { statementDate, statementBalance } = reconciliation;
+        const unpopulated = { saldo: reconciliation.populated("saldo"), statementDate, statementBalance };
+        const filter = open
+            ? openTransactionsFilter(unpopulated)
+            : { _id: { $in: reconciliation.transactions } };
+
+        const [summary, transactions] = await Promise.all([
+            open ? reconciliationSummary(unpopulated) : null,
+            Transaction.find(filter)
+                .setOptions({ withDeleted: !open })
+                .populate(TRANSACTION_POPULATE)
+                .sort({ date: 1, createdAt: 1 }),
+        ]);
+
+        res.status(200).json({
+            meta: {
+                message: "Reconciliation retrieved successfully",
+                code: 200,
+                status: "success",
+            },
+            data: {
+                reconciliation,
+                summary,
+                transactions,
+            },
+        });
+    })
+);
+
+/**
+ * @route   PUT /reconciliation/:id
+ * @desc    Correct the statement date, balance or note of an open reconciliation
+ */
+router.put(
+    "/:id",
+    isAuthenticated,
+    catchAsyncErrors(async (req, res, next) => {
+        const schema = {
+            statementDate: { type: "date", convert: true, optional: true },
+            statementBalance: { type: "number", convert: true, optional: true },
+            note: { type: "string", max: 1024, optional: true },
+        };
+
+        const validation = v.validate(req.body, schema);
+        if (validation !== true) {
+            return res.status(400).json({
+                code: 400,
+                status: "error",
+                data: { error: "Validation failed", details: validation },
+            });
+        }
+
+        const reconciliation = await findOpenReconciliation(req.params.id);
+        if (req.body.statementDate) {
+            await assertAfterLastReconciliation(reconciliation.saldo, req.body.statementDate, reconciliation._id);
+        }
+
+        const { statementDate, statementBalance, note } = req.body;
+        reconciliation.set({
+            ...(statementDate && { statementDate }),
+            ...(statementBalance !== undefined && { statementBalance }),
+            ...(note !== undefined && { note }),
+        });
+        await reconciliation.save();
+
+        res.status(200).json({
+            meta: {
+                message: "Reconciliation updated successfully",
+                code: 200,
+                status: "success",
+            },
+            data: {
+                reconciliation,
+                summary: await reconciliationSummary(reconciliation),
+            },
+        });
+    })
+);
+
+/**
+ * @route   PUT /reconciliation/:id/clear
+ * @desc    Mark transactions as cleared (on the statement) or not
+ *          ({ transactions: [ids], cleared: true })
+ */
+router.put(
+    "/:id/clear",
+    isAuthenticated,
+    catchAsyncErrors(async (req, res, next) => {
+        const schema = {
+            transactions: { type: "array", min: 1, max: 1000, items: { type: "string", empty: false } },
+            cleared: { type: "boolean", convert: true, optional: true },
+        };
+
+        const validation = v.validate(req.body, schema);
+        if (validation !== true) {
+            return res.status(400).json({
+                code: 400,
+                status: "error",
+                data: { error: "Validation failed", details: validation },
+            });
+        }
+
+        const reconciliation = await findOpenReconciliation(req.params.id);
+        const ids = [...new Set(req.body.transactions)];
+        if (!ids.every((id) => mongoose.Types.ObjectId.isValid(id))) {
+            return next(new ErrorHandler("Invalid transaction ID", 400));
+        }
+
+        const matching = await Transaction.find({ ...openTransactionsFilter(reconciliation), _id: { $in: ids } })
+            .select("_id");
+        if (matching.length !== ids.length) {
+            const found = new Set(matching.map((tx) => tx._id.toString()));
+            return res.status(400).json({
+                code: 400,
+                status: "error",
+                data: {
+                    error: "Some transactions are not on this saldo, dated after the statement, or already reconciled",
+                    transactions: ids.filter((id) => !found.has(id)),
+                },
+            });
+        }
+
+        const cleared = req.body.cleared ?? true;
+        await Transaction.updateMany({ _id: { $in: ids } }, { cleared });
+
+        res.status(200).json({
+            meta: {
+                message: `Transactions marked as ${cleared ? "cleared" : "uncleared"}`,
+                code: 200,
+                status: "success",
+            },
+            data: {
+                transactions: ids,
+                summary: await reconciliationSummary(reconciliation),
+            },
+        });
+    })
+);
+
+/**
+ * @route   POST /reconciliation/:id/complete
+ * @desc    Finish a reconciliation once the cleared balance matches the
+ *          statement; its cleared transactions are locked against edits
+ */
+router.post(
+    "/:id/complete",
+    isAuthenticated,
+    catchAsyncErrors(async (req, res, next) => {
+        const reconciliation = await runInTransaction(async (session) => {
+            const reconciliation = await findOpenReconciliation(req.params.id, session);
+
+            const summary = await reconciliationSummary(reconciliation, session);
+            if (!summary.balanced) {
+                throw new ErrorHandler(
+                    `Cleared balance ${summary.clearedBalance} differs from the statement balance ${summary.statementBalance} by ${summary.difference}`,
+                    400
+                );
+            }
+
+            const filter = { ...openTransactionsFilter(reconciliation), cleared: true };
+            const ids = await Transaction.find(filter).distinct("_id").session(session);
+            await Transaction.updateMany({ _id: { $in: ids } }, { reconciliation: reconciliation._id }, { session });
+
+            reconciliation.set({
+                status: "completed",
+                clearedBalance: summary.clearedBalance,
+                difference: summary.difference,
+                transactions: ids,
+                completedBy: req.user._id,
+                completedAt: new Date(),
+            });
+            return reconciliation.save({ session });
+        });
+
+        res.status(200).json({
+            meta: {
+                message: "Reconciliation completed successfully",
+                code: 200,
+                status: "success",
+            },
+            data: reconciliation,
+        });
+    })
+);
+
+/**
+ * @route   DELETE /reconciliation/:id
+ * @desc    Abandon an open reconciliation (cleared marks are kept)
+ */
+router.delete(
+    "/:id",
+    isAuthenticated,
+    catchAsyncErrors(async (req, res, next) => {
+        const reconciliation = await findOpenReconciliation(req.params.id);
+        await reconciliation.deleteOne();
+
+        return res.status(200).json({
+            code: 200,
+            message: "Reconciliation cancelled successfully",
+        });
+    })
+);
+
+/**
+ * @route   POST /reconciliation/transaction/:id/unlock
+ * @desc    Unlock a reconciled transaction (every leg of a transfer) so it
+ *          can be edited or deleted again ({ reason }). It stays cleared;
+ *          the unlock is kept in the reconciliation's history.
+ */
+router.post(
+    "/transaction/:id/unlock",
+    isAuthenticated,
+    catchAsyncErrors(async (req, res, next) => {
+        const validation = v.validate(req.body, {
+            reason: { type: "string", max: 1024, optional: true },
+        });
+        if (validation !== true) {
+            return res.status(400).json({
+                code: 400,
+                status: "error",
+                data: { error: "Validation failed", details: validation },
+            });
+        }
+
+        const transaction = await Transaction.findById(req.params.id).select("transferLeg transferPair reconciliation");
+        if (!transaction) {
+            return res.status(404).json({
+                code: 404,
+                message: "Transaction not found",
+            });
+        }
+
+        // transfer legs: the 'out' leg is the one the others point at
+        const outId = transaction.transferLeg === "out" ? transaction._id : transaction.transferPair;
+        const filter = transaction.transferLeg
+            ? { $or: [{ _id: outId }, { transferPair: outId }], reconciliation: { $ne: null } }
+            : { _id: transaction._id, reconciliation: { $ne: null } };
+
+        const unlocked = await runInTransaction(async (session) => {
+            const locked = await Transaction.find(filter).select("reconciliation").session(session);
+            if (locked.length === 0) {
+                throw new ErrorHandler("Transaction is not locked", 400);
+            }
+
+            for (const tx of locked) {
+                await Reconciliation.updateOne(
+                    { _id: tx.reconciliation },
+                    { $push: { unlocks: { transaction: tx._id, user: req.user._id, reason: req.body.reason } } },
+                    { session }
+                );
+            }
+            await Transaction.updateMany(
+                { _id: { $in: locked.map((tx) => tx._id) } },
+                { reconciliation: null },
+                { session }
+            );
+
+            return locked.map((tx) => tx._id);
+        });
+
+        res.status(200).json({
+            meta: {
+                message: "Transaction unlocked successfully",
+                code: 200,
+                status: "success",
+            },
+            data: { transactions: unlocked },
+        });
+    })
+);
+
+module.exports = router;
@@ -0,0 +1,405 @@
+const express = require("express");
+const router = express.Router();
+const Validator = require("fastest-validator");
+const v = new Validator();
+
+// Models
+const RecurringTransaction = require("../model/RecurringTransaction");
+const Saldo = require("../model/Saldo");
+
+// Middleware & Utils
+const ErrorHandler = require("../utils/ErrorHandler");
+const catchAsyncErrors = require("../middleware/catchAsyncErrors");
+const { isAuthenticated } = require("../middleware/auth");
+const { idempotent } = require("../middleware/idempotency");
+const {
+    occurrenceAt,
+    upcomingOccurrences,
+    firstIndexFrom,
+} = require("../utils/recurrence");
+const { runRecurringTransactions } = require("../utils/recurringScheduler");
+const { TRANSACTION_POPULATE } = require("../utils/populate");
+
+const populateRule = (query) => query.populate(TRANSACTION_POPULATE);
+
+/**
+ * @route   POST /recurring
+ * @desc    Create a recurring transaction rule
+ */
+router.post(
+    "",
+    isAuthenticated,
+    catchAsyncErrors(async (req, res, next) => {
+        const schema = {
+            user: { type: "string", empty: false },
+            category: { type: "string", empty: false },
+            saldo: { type: "string", empty: false },
+            amount: { type: "number", positive: true, convert: true },
+            description: { type: "string", empty: false, max: 1024 },
+            type: { type: "enum", values: ["income", "expense"] },
+            frequency: { type: "enum", values: ["daily", "weekly", "monthly", "yearly"] },
+            interval: { type: "number", integer: true, min: 1, convert: true, optional: true },
+            startDate: { type: "date", convert: true },
+            endDate: { type: "date", convert: true, optional: true },
+            maxOccurrences: { type: "number", integer: true, min: 1, convert: true, optional: true },
+            dayOfMonth: { type: "number", integer: true, min: 1, max: 31, convert: true, optional: true },
+        };
+
+        const validation = v.validate(req.body, schema);
+        if (validation !== true) {
+            return res.status(400).json({
+                code: 400,
+                status: "error",
+                data: { error: "Validation failed", details: validation },
+            });
+        }
+
+        if (req.body.endDate && req.body.endDate < req.body.startDate) {
+            return next(new ErrorHandler("endDate must be after startDate", 400));
+        }
+
+        const saldoExists = await Saldo.exists({ _id: req.body.saldo });
+        if (!saldoExists) {
+            return res.status(404).json({
+                code: 404,
+                message: "Saldo not found",
+            });
+        }
+
+        const rule = new RecurringTransaction({
+            user: req.body.user,
+            category: req.body.category,
+            saldo: req.body.saldo,
+            amount: req.body.amount,
+            description: req.body.description,
+            type: req.body.type,
+            frequency: req.body.frequency,
+            interval: req.body.interval,
+            startDate: req.body.startDate,
+            endDate: req.body.endDate,
+            maxOccurrences: req.body.maxOccurrences,
+            dayOfMonth: req.body.dayOfMonth || req.body.startDate.getUTCDate(),
+        });
+        rule.nextRunAt = occurrenceAt(rule, 0);
+        if (!rule.nextRunAt) {
+            rule.status = "completed";
+        }
+        await rule.save();
+
+        return res.status(200).json({
+            code: 200,
+            status: "success",
+            data: rule,
+        });
+    })
+);
+
+/**
+ * @route   GET /recurring/list
+ * @desc    Get all recurring rules
+ */
+router.get(
+    "/list",
+    isAuthenticated,
+    catchAsyncErrors(async (req, res, next) => {
+        const { page = 1, limit = 50, status } = req.query;
+        const skip = (Number(page) - 1) * Number(limit);
+        const filter = status ? { status } : {};
+
+        const [items, total] = await Promise.all([
+            populateRule(RecurringTransaction.find(filter))
+                .sort({ nextRunAt: 1 })
+                .skip(skip)
+                .limit(Number(limit)),
+            RecurringTransaction.countDocuments(filter),
+        ]);
+
+        res.status(200).json({
+            meta: {
+                message: "Recurring transaction retrieved successfully",
+                code: 200,
+                status: "success",
+                pagination: {
+                    total,
+                    page: Number(page),
+                    limit: Number(limit),
+                    pages: Math.ceil(total / Number(limit)),
+                },
+            },
+            data: items,
+        });
+    })
+);
+
+/**
+ * @route   POST /recurring/run
+ * @desc    Post every due occurrence now (same catch-up the scheduler runs on startup)
+ */
+router.post(
+    "/run",
+    isAuthenticated,
+    idempotent,
+    catchAsyncErrors(async (req, res, next) => {
+        const result = await runRecurringTransactions();
+
+        res.status(200).json({
+            meta: {
+                message: result.alreadyRunning
+                    ? "Recurring run already in progress"
+                    : "Recurring transactions processed",
+                code: 200,
+                status: "success",
+            },
+            data: result,
+        });
+    })
+);
+
+/**
+ * @route   GET /recurring/:id
+ * @desc    Get recurring rule by ID
+ */
+router.get(
+    "/:id",
+    isAuthenticated,
+    catchAsyncErrors(async (req, res, next) => {
+        const rule = await populateRule(RecurringTransaction.findById(req.params.id));
+        if (!rule) {
+            return res.status(404).json({
+                code: 404,
+                message: "Recurring transaction not found",
+            });
+        }
+
+        res.status(200).json({
+            meta: {
+                message: "Recurring transaction retrieved successfully",
+                code: 200,
+                status: "success",
+            },
+            data: rule,
+        });
+    })
+);
+
+/**
+ * @route   GET /recurring/:id/upcoming?count=5
+ * @desc    List the next occurrences of a rule (skipped ones are flagged)
+ */
+router.get(
+    "/:id/upcoming",
+    isAuthenticated,
+    catchAsyncErrors(async (req, res, next) => {
+        const count = Math.min(Math.max(parseInt(req.query.count) || 5, 1), 100);
+
+        const rule = await RecurringTransaction.findById(req.params.id);
+        if (!rule) {
+            return res.status(404).json({
+                code: 404,
+                message: "Recurring transaction not found",
+            });
+        }
+
+        res.status(200).json({
+            meta: {
+                message: "Upcoming occurrences retrieved successfully",
+                code: 200,
+                status: "success",
+            },
+            data: rule.status === "completed" ? [] : upcomingOccurrences(rule, count),
+        });
+    })
+);
+
+/**
+ * @route   PUT /recurring/:id
+ * @desc    Update a rule. The schedule itself (frequency, interval, startDate,
+ *          dayOfMonth) is fixed; create a new rule to change it.
+ */
+router.put(
+    "/:id",
+    isAuthenticated,
+    catchAsyncErrors(async (req, res, next) => {
+        const schema = {
+            category: { type: "string", empty: false, optional: true },
+            saldo: { type: "string", empty: false, optional: true },
+            amount: { type: "number", positive: true, convert: true, optional: true },
+            description: { type: "string", empty: false, max: 1024, optional: true },
+            type: { type: "enum", values: ["income", "expense"], optional: true },
+            endDate: { type: "date", convert: true, optional: true, nullable: true },
+            maxOccurrences: { type: "number", integer: true, min: 1, convert: true, optional: true, nullable: true },
+            $$strict: "remove",
+        };
+
+        const validation = v.validate(req.body, schema);
+        if (validation !== true) {
+            return res.status(400).json({
+                code: 400,
+                status: "error",
+                data: { error: "Validation failed", details: validation },
+            });
+        }
+
+        const rule = await RecurringTransaction.findById(req.params.id);
+        if (!rule) {
+            return res.status(404).json({
+                code: 404,
+                message: "Recurring transaction not found",
+            });
+        }
+
+        rule.set(req.body);
+        rule.nextRunAt = occurrenceAt(rule, rule.nextIndex);
+        if (!rule.nextRunAt) {
+            rule.status = "completed";
+        } else if (rule.status === "completed") {
+            rule.status = "active";
+        }
+        await rule.save();
+
+        res.status(200).json({
+            meta: {
+                message: "Recurring transaction updated successfully",
+                code: 200,
+                status: "success",
+            },
+            data: rule,
+        });
+    })
+);
+
+/**
+ * @route   POST /recurring/:id/skip
+ * @desc    Skip one upcoming occurrence ({ date }), it will never be posted
+ */
+router.post(
+    "/:id/skip",
+    isAuthenticated,
+    catchAsyncErrors(async (req, res, next) => {
+        const validation = v.validate(req.body, { date: { type: "date", convert: true } });
+        if (validation !== true) {
+            return res.status(400).json({
+                code: 400,
+                status: "error",
+                data: { error: "Validation failed", details: validation },
+            });
+        }
+
+        const rule = await RecurringTransaction.findById(req.params.id);
+        if (!rule) {
+            return res.status(404).json({
+                code: 404,
+                message: "Recurring transaction not found",
+            });
+        }
+
+        // Match by calendar day so clients don't need the exact time of day
+        const day = req.body.date.toISOString().slice(0, 10);
+        const occurrence = upcomingOccurrences(rule, 1000).find(
+            (o) => o.date.toISOString().slice(0, 10) === day
+        );
+
+        if (!occurrence) {
+            return next(new ErrorHandler("No upcoming occurrence on that date", 400));
+        }
+
+        if (!occurrence.skipped) {
+            rule.skippedDates.push(occurrence.date);
+            await rule.save();
+        }
+
+        res.status(200).json({
+            meta: {
+                message: "Occurrence skipped successfully",
+                code: 200,
+                status: "success",
+            },
+            data: rule,
+        });
+    })
+);
+
+/**
+ * @route   POST /recurring/:id/pause
+ * @desc    Pause a rule; nothing is posted while paused
+ */
+router.post(
+    "/:id/pause",
+    isAuthenticated,
+    catchAsyncErrors(async (req, res, next) => {
+        const rule = await RecurringTransaction.findOneAndUpdate(
+            { _id: req.params.id, status: "active" },
+            { status: "paused" },
+            { new: true }
+        );
+
+        if (!rule) {
+            return next(new ErrorHandler("Active recurring transaction not found", 404));
+        }
+
+        res.status(200).json({
+            meta: {
+                message: "Recurring transaction paused",
+                code: 200,
+                status: "success",
+            },
+            data: rule,
+        });
+    })
+);
+
+/**
+ * @route   POST /recurring/:id/resume
+ * @desc    Resume a paused rule. Occurrences that fell inside the pause are
+ *          not posted retroactively; the rule continues from today.
+ */
+router.post(
+    "/:id/resume",
+    isAuthenticated,
+    catchAsyncErrors(async (req, res, next) => {
+        const rule = await RecurringTransaction.findOne({ _id: req.params.id, status: "paused" });
+        if (!rule) {
+            return next(new ErrorHandler("Paused recurring transaction not found", 404));
+        }
+
+        rule.nextIndex = firstIndexFrom(rule, new Date());
+        rule.nextRunAt = occurrenceAt(rule, rule.nextIndex);
+        rule.status = rule.nextRunAt ? "active" : "completed";
+        await rule.save();
+
+        res.status(200).json({
+            meta: {
+                message: "Recurring transaction resumed",
+                code: 200,
+                status: "success",
+            },
+            data: rule,
+        });
+    })
+);
+
+/**
+ * @route   DELETE /recurring/:id
+ * @desc    Delete a rule (transactions it already posted are kept)
+ */
+router.delete(
+    "/:id",
+    isAuthenticated,
+    catchAsyncErrors(async (req, res, next) => {
+        const rule = await RecurringTransaction.findByIdAndDelete(req.params.id);
+
+        if (!rule) {
+            return res.status(404).json({
+                code: 404,
+                message: "Recurring transaction not found",
+            });
+        }
+
+        return res.status(200).json({
+            code: 200,
+            message: "Recurring transaction deleted successfully",
+        });
+    })
+);
+
+module.exports = router;
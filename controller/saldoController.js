@@ -2,12 +2,15 @@ const express = require("express");
 const router = express.Router();
 
 const Saldo = require("../model/Saldo");
+const Transaction = require("../model/Transaction");
 const Validator = require("fastest-validator");
 const v = new Validator();
 
 const ErrorHandler = require("../utils/ErrorHandler");
 const catchAsyncErrors = require("../middleware/catchAsyncErrors");
 const { isAuthenticated, isAdmin } = require("../middleware/auth");
+const { idempotent } = require("../middleware/idempotency");
+const { DEFAULT_CURRENCY, CURRENCY_PATTERN } = require("../utils/exchangeRates");
 
 /**
  * @route   POST /create
@@ -16,6 +19,7 @@ const { isAuthenticated, isAdmin } = require("../middleware/auth");
 router.post(
     "",
     isAuthenticated,
+    idempotent,
     // kalau hanya admin yang boleh create, tambahkan isAdmin di sini
     catchAsyncErrors(async (req, res, next) => {
         try {
@@ -23,6 +27,7 @@ router.post(
                 name: { type: "string", empty: false, max: 255 },
                 amount: { type: "number", empty: false, convert: true },
                 description: { type: "string", empty: false, max: 1024 },
+                currency: { type: "string", pattern: CURRENCY_PATTERN, uppercase: true, optional: true },
             };
 
             const { body } = req;
@@ -40,6 +45,7 @@ router.post(
                 name: body.name,
                 amount: body.amount,
                 description: body.description,
+                currency: body.currency || DEFAULT_CURRENCY,
             });
 
             return res.status(200).json({
@@ -121,6 +127,7 @@ router.get(
 router.put(
     "/:id",
     isAuthenticated,
+    idempotent,
     // tambahkan isAdmin jika perlu
     catchAsyncErrors(async (req, res, next) => {
         try {
@@ -128,6 +135,7 @@ router.put(
                 name: { type: "string", empty: false, max: 255, optional: true },
                 amount: { type: "number", empty: false, convert: true, optional: true },
                 description: { type: "string", empty: false, max: 1024, optional: true },
+                currency: { type: "string", pattern: CURRENCY_PATTERN, uppercase: true, optional: true },
             };
 
             const validation = v.validate(req.body, schema);
@@ -139,6 +147,17 @@ router.put(
                 });
             }
 
+            // Existing transactions are in the old currency, so it is fixed once used
+            if (req.body.currency) {
+                const used = await Transaction.exists({
+                    saldo: req.params.id,
+                    currency: { $ne: req.body.currency },
+                }).setOptions({ withDeleted: true });
+                if (used) {
+                    return next(new ErrorHandler("Currency of a saldo with transactions cannot be changed", 400));
+                }
+            }
+
             const saldo = await Saldo.findByIdAndUpdate(
                 req.params.id,
                 req.body,
@@ -176,7 +195,7 @@ router.delete(
     isAuthenticated,
     // tambahkan isAdmin jika perlu
     catchAsyncErrors(async (req, res, next) => {
-        const saldo = await Saldo.findByIdAndDelete(req.params.id);
+        const saldo = await Saldo.findById(req.params.id);
 
         if (!saldo) {
             return res.status(404).json({
@@ -185,9 +204,12 @@ router.delete(
             });
         }
 
+        // Soft delete: restorable from /trash until the retention period ends
+        await saldo.softDelete(req.user);
+
         return res.status(200).json({
             code: 200,
-            message: "Saldo deleted successfully",
+            message: "Saldo moved to trash",
         });
     })
 );
@@ -0,0 +1,186 @@
+const express = require("express");
+const router = express.Router();
+const Validator = require("fastest-validator");
+const v = new Validator();
+
+// Models
+const Transaction = require("../model/Transaction");
+
+// Middleware & Utils
+const ErrorHandler = require("../utils/ErrorHandler");
+const catchAsyncErrors = require("../middleware/catchAsyncErrors");
+const { isAuthenticated } = require("../middleware/auth");
+const runInTransaction = require("../utils/dbTransaction");
+const { MAX_TAG_LENGTH, normalizeTag, normalizeTags } = require("../utils/tags");
+
+/**
+ * Replace every tag in `sources` by `target` (or just remove them when
+ * `target` is null) on all transactions, trashed ones included so a restore
+ * does not bring an old tag back. Returns the number of transactions changed.
+ */
+async function replaceTags(sources, target, session) {
+    const from = sources.filter((tag) => tag !== target);
+    if (from.length === 0) return 0;
+
+    const filter = { tags: { $in: from } };
+    const options = { session, withDeleted: true };
+
+    if (target) {
+        await Transaction.updateMany(filter, { $addToSet: { tags: target } }, options);
+    }
+    const result = await Transaction.updateMany(filter, { $pull: { tags: { $in: from } } }, options);
+    return result.modifiedCount;
+}
+
+const tagExists = (tag) => Transaction.exists({ tags: tag }).setOptions({ withDeleted: true });
+
+/**
+ * @route   GET /tag/list?search=trip
+ * @desc    All tags with how many transactions use them, most used first
+ */
+router.get(
+    "/list",
+    isAuthenticated,
+    catchAsyncErrors(async (req, res, next) => {
+        const search = req.query.search ? normalizeTag(req.query.search) : "";
+
+        const tags = await Transaction.aggregate([
+            { $match: { "tags.0": { $exists: true } } },
+            { $unwind: "$tags" },
+            ...(search ? [{ $match: { tags: { $regex: search.replace(/\./g, "\\.") } } }] : []),
+            {
+                $group: {
+                    _id: "$tags",
+                    count: { $sum: 1 },
+                    lastUsedAt: { $max: "$date" },
+                },
+            },
+            { $project: { _id: 0, tag: "$_id", count: 1, lastUsedAt: 1 } },
+            { $sort: { count: -1, tag: 1 } },
+        ]);
+
+        res.status(200).json({
+            meta: {
+                message: "Tags retrieved successfully",
+                code: 200,
+                status: "success",
+            },
+            data: tags,
+        });
+    })
+);
+
+/**
+ * @route   POST /tag/merge
+ * @desc    Merge tags into one ({ tags: ["bali", "trip-bali"], into: "trip-bali-2026" })
+ */
+router.post(
+    "/merge",
+    isAuthenticated,
+    catchAsyncErrors(async (req, res, next) => {
+        const schema = {
+            tags: { type: "array", min: 1, max: 50, items: { type: "string", empty: false } },
+            into: { type: "string", empty: false, max: MAX_TAG_LENGTH },
+        };
+
+        const validation = v.validate(req.body, schema);
+        if (validation !== true) {
+            return res.status(400).json({
+                code: 400,
+                status: "error",
+                data: { error: "Validation failed", details: validation },
+            });
+        }
+
+        const sources = normalizeTags(req.body.tags);
+        const target = normalizeTag(req.body.into);
+        if (!target) {
+            return next(new ErrorHandler("Target tag is empty after normalization", 400));
+        }
+
+        const modified = await runInTransaction((session) => replaceTags(sources, target, session));
+
+        res.status(200).json({
+            meta: {
+                message: "Tags merged successfully",
+                code: 200,
+                status: "success",
+            },
+            data: { tags: sources, into: target, transactions: modified },
+        });
+    })
+);
+
+/**
+ * @route   PUT /tag/:name
+ * @desc    Rename a tag ({ name }); renaming onto an existing tag merges them
+ */
+router.put(
+    "/:name",
+    isAuthenticated,
+    catchAsyncErrors(async (req, res, next) => {
+        const validation = v.validate(req.body, {
+            name: { type: "string", empty: false, max: MAX_TAG_LENGTH },
+        });
+        if (validation !== true) {
+            return res.status(400).json({
+                code: 400,
+                status: "error",
+                data: { error: "Validation failed", details: validation },
+            });
+        }
+
+        const tag = normalizeTag(req.params.name);
+        const name = normalizeTag(req.body.name);
+        if (!name) {
+            return next(new ErrorHandler("New tag name is empty after normalization", 400));
+        }
+
+        if (!tag || !(await tagExists(tag))) {
+            return res.status(404).json({
+                code: 404,
+                message: "Tag not found",
+            });
+        }
+
+        const modified = await runInTransaction((session) => replaceTags([tag], name, session));
+
+        res.status(200).json({
+            meta: {
+                message: "Tag renamed successfully",
+                code: 200,
+                status: "success",
+            },
+            data: { tag, name, transactions: modified },
+        });
+    })
+);
+
+/**
+ * @route   DELETE /tag/:name
+ * @desc    Remove a tag from every transaction (the transactions are kept)
+ */
+router.delete(
+    "/:name",
+    isAuthenticated,
+    catchAsyncErrors(async (req, res, next) => {
+        const tag = normalizeTag(req.params.name);
+
+        if (!tag || !(await tagExists(tag))) {
+            return res.status(404).json({
+                code: 404,
+                message: "Tag not found",
+            });
+        }
+
+        const modified = await runInTransaction((session) => replaceTags([tag], null, session));
+
+        return res.status(200).json({
+            code: 200,
+            message: "Tag deleted successfully",
+            data: { tag, transactions: modified },
+        });
+    })
+);
+
+module.exports = router;
@@ -1,8 +1,5 @@
 const express = require("express");
 const router = express.Router();
-const fs = require("fs");
-const path = require("path");
-const bayes = require("bayes");
 const Validator = require("fastest-validator");
 const v = new Validator();
 
@@ -10,429 +7,314 @@ const v = new Validator();
 const Transaction = require("../model/Transaction");
 const Saldo = require("../model/Saldo");
 const Category = require("../model/Category");
+const AuditLog = require("../model/AuditLog");
+const EvaluationRun = require("../model/EvaluationRun");
+const ClassifierJob = require("../model/ClassifierJob");
 
 // Middleware & Utils
 const ErrorHandler = require("../utils/ErrorHandler");
 const catchAsyncErrors = require("../middleware/catchAsyncErrors");
 const { isAuthenticated } = require("../middleware/auth");
-
-// Config
-const MODEL_PATH = path.join(__dirname, "../model.json");
-const BACKUP_MODEL_PATH = path.join(__dirname, "../model_backup.json");
-
-// Initialize Bayes Classifier
-let classifier = bayes();
-let isModelReady = false;
-let lastTrainingDate = null;
+const { idempotent } = require("../middleware/idempotency");
+const runInTransaction = require("../utils/dbTransaction");
+const {
+    signedAmount,
+    applySaldoDelta,
+    isFutureDated,
+    revertTransactionEffect,
+} = require("../utils/saldoBalance");
+const {
+    splitsSchema,
+    createTransactionSchema,
+    validateSplits,
+} = require("../utils/transactionSchemas");
+const { escapeRegex, buildTransactionQuery } = require("../utils/transactionFilter");
+const { tagsSchema } = require("../utils/tags");
+const { TRANSACTION_POPULATE } = require("../utils/populate");
+const { findDuplicateCandidates, scanDuplicates } = require("../utils/duplicateDetection");
+const { assertUnlocked } = require("../utils/reconciliation");
+const { exceededApprovalThreshold, notifyApprovers } = require("../utils/approval");
+const { BACKEND_NAMES, listBackends } = require("../utils/classifiers");
+const { listVersions, storageInfo } = require("../utils/modelRegistry");
+const { pipelineSchema } = require("../utils/textPreprocessing");
+const { JOB_TYPES, startJob, cancelJob } = require("../utils/classifierJobs");
+const {
+    suggestCategories,
+    learnTransactions,
+    relearnTransaction,
+    promoteModelVersion,
+    rollbackModel,
+    resetModel,
+    getModelState,
+} = require("../utils/categoryClassifier");
 
 // ========================
 //  🧠 MODEL HANDLING
 // ========================
 
-/**
- * Generate confusion matrix from test data
- */
-async function generateConfusionMatrix(testData) {
-    const matrix = {};
-    const categories = new Set();
-
-    // Initialize matrix
-    testData.forEach(item => {
-        categories.add(item.actualCategory);
-        categories.add(item.predictedCategory);
-    });
+const classifierOptionsSchema = {
+    backend: { type: "enum", values: BACKEND_NAMES, optional: true },
+    pipeline: pipelineSchema,
+};
 
-    Array.from(categories).forEach(cat => {
-        matrix[cat] = {};
-        Array.from(categories).forEach(otherCat => {
-            matrix[cat][otherCat] = 0;
-        });
-    });
-
-    // Populate matrix
-    testData.forEach(item => {
-        matrix[item.actualCategory][item.predictedCategory]++;
-    });
-
-    return matrix;
-}
+const evaluationOptionsSchema = {
+    ...classifierOptionsSchema,
+    seed: { type: "number", integer: true, min: 0, convert: true, optional: true },
+    limit: { type: "number", integer: true, min: 10, max: 5000, convert: true, optional: true },
+};
 
 /**
- * Calculate evaluation metrics from confusion matrix
+ * 202 response of a started background job
  */
-function calculateMetrics(matrix) {
-    const metrics = {};
-    const categories = Object.keys(matrix);
-
-    categories.forEach(category => {
-        const truePositives = matrix[category][category];
-        let falsePositives = 0;
-        let falseNegatives = 0;
-
-        categories.forEach(otherCategory => {
-            if (otherCategory !== category) {
-                falsePositives += matrix[otherCategory][category] || 0;
-                falseNegatives += matrix[category][otherCategory] || 0;
-            }
-        });
-
-        const precision = truePositives / (truePositives + falsePositives) || 0;
-        const recall = truePositives / (truePositives + falseNegatives) || 0;
-        const f1Score = 2 * (precision * recall) / (precision + recall) || 0;
-
-        metrics[category] = {
-            precision: parseFloat(precision.toFixed(4)),
-            recall: parseFloat(recall.toFixed(4)),
-            f1Score: parseFloat(f1Score.toFixed(4)),
-            support: truePositives + falseNegatives
-        };
+function jobStarted(res, job, message) {
+    return res.status(202).json({
+        code: 202,
+        status: "success",
+        message,
+        data: {
+            jobId: job._id,
+            type: job.type,
+            status: job.status,
+        },
     });
-
-    return metrics;
 }
 
 /**
  * @route   POST /api/transactions/evaluate-model
- * @desc    Evaluate model performance with confusion matrix
+ * @desc    Start a background evaluation on a train / test split; the run is
+ *          stored ({ backend, pipeline: text preprocessing overrides,
+ *          split: random | stratified | time, testRatio = 0.2, seed, limit = 1000,
+ *          version: score that stored model version as it is instead)
  */
 router.post(
     "/evaluate-model",
     isAuthenticated,
     catchAsyncErrors(async (req, res) => {
-        try {
-            // Split data into training and testing (80/20)
-            const allTransactions = await Transaction.find()
-                .populate("category")
-                .limit(1000); // Limit for performance
-
-            if (allTransactions.length < 10) {
-                return res.status(400).json({
-                    code: 400,
-                    status: "error",
-                    message: "Not enough data for evaluation (min 10 transactions)"
-                });
-            }
-
-            const splitIndex = Math.floor(allTransactions.length * 0.8);
-            const trainingData = allTransactions.slice(0, splitIndex);
-            const testData = allTransactions.slice(splitIndex);
-
-            // Train temporary classifier
-            const tempClassifier = bayes();
-
-            trainingData.forEach(tx => {
-                const inputText = `${tx.description} ${tx.type}`.toLowerCase();
-                const categoryName = tx.category?.name || "unknown";
-                tempClassifier.learn(inputText, categoryName);
-            });
-
-            // Test predictions
-            const predictions = [];
-
-            testData.forEach(tx => {
-                const inputText = `${tx.description} ${tx.type}`.toLowerCase();
-                const actualCategory = tx.category?.name || "unknown";
-                const predictedCategory = tempClassifier.categorize(inputText);
-
-                predictions.push({
-                    description: tx.description,
-                    type: tx.type,
-                    actualCategory,
-                    predictedCategory,
-                    isCorrect: actualCategory === predictedCategory
-                });
-            });
-
-            // Calculate metrics
-            const accuracy = predictions.filter(p => p.isCorrect).length / predictions.length;
-            const confusionMatrix = await generateConfusionMatrix(predictions);
-            const metrics = calculateMetrics(confusionMatrix);
-
-            return res.status(200).json({
-                code: 200,
-                status: "success",
-                data: {
-                    accuracy: parseFloat(accuracy.toFixed(4)),
-                    totalTestSamples: predictions.length,
-                    confusionMatrix,
-                    metrics,
-                    predictions: predictions.slice(0, 20) // Sample predictions
-                }
-            });
+        const schema = {
+            ...evaluationOptionsSchema,
+            split: { type: "enum", values: ["random", "stratified", "time"], optional: true },
+            testRatio: { type: "number", min: 0.05, max: 0.5, convert: true, optional: true },
+            version: { type: "number", integer: true, min: 1, convert: true, optional: true },
+        };
 
-        } catch (err) {
-            return res.status(500).json({
-                code: 500,
+        const validation = v.validate(req.body, schema);
+        if (validation !== true) {
+            return res.status(400).json({
+                code: 400,
                 status: "error",
-                message: "Model evaluation failed",
-                error: err.message
+                data: { error: "Validation failed", details: validation },
             });
         }
+
+        const job = await startJob("evaluate", req.body, req.user._id);
+        return jobStarted(res, job, "Model evaluation started");
     })
 );
 
 /**
  * @route   POST /api/transactions/cross-validate
- * @desc    Perform k-fold cross validation
+ * @desc    Start a background k-fold cross validation; the run is stored
+ *          ({ k = 5, backend, pipeline, stratified = true, seed, limit = 500 })
  */
 router.post(
     "/cross-validate",
     isAuthenticated,
     catchAsyncErrors(async (req, res) => {
-        try {
-            const k = req.body.k || 5; // Number of folds
-            const transactions = await Transaction.find()
-                .populate("category")
-                .limit(500);
-
-            if (transactions.length < k * 2) {
-                return res.status(400).json({
-                    code: 400,
-                    status: "error",
-                    message: `Not enough data for ${k}-fold cross validation`
-                });
-            }
-
-            const foldSize = Math.floor(transactions.length / k);
-            const results = [];
-
-            for (let i = 0; i < k; i++) {
-                const testStart = i * foldSize;
-                const testEnd = (i + 1) * foldSize;
-                const testData = transactions.slice(testStart, testEnd);
-                const trainingData = [
-                    ...transactions.slice(0, testStart),
-                    ...transactions.slice(testEnd)
-                ];
-
-                const tempClassifier = bayes();
-
-                // Train
-                trainingData.forEach(tx => {
-                    const inputText = `${tx.description} ${tx.type}`.toLowerCase();
-                    const categoryName = tx.category?.name || "unknown";
-                    tempClassifier.learn(inputText, categoryName);
-                });
-
-                // Test
-                let correct = 0;
-                testData.forEach(tx => {
-                    const inputText = `${tx.description} ${tx.type}`.toLowerCase();
-                    const actualCategory = tx.category?.name || "unknown";
-                    const predictedCategory = tempClassifier.categorize(inputText);
-
-                    if (actualCategory === predictedCategory) {
-                        correct++;
-                    }
-                });
-
-                const accuracy = correct / testData.length;
-                results.push({
-                    fold: i + 1,
-                    accuracy: parseFloat(accuracy.toFixed(4)),
-                    testSamples: testData.length
-                });
-            }
-
-            const avgAccuracy = results.reduce((sum, result) => sum + result.accuracy, 0) / results.length;
-
-            return res.status(200).json({
-                code: 200,
-                status: "success",
-                data: {
-                    k,
-                    averageAccuracy: parseFloat(avgAccuracy.toFixed(4)),
-                    folds: results,
-                    totalSamples: transactions.length
-                }
-            });
+        const schema = {
+            ...evaluationOptionsSchema,
+            k: { type: "number", integer: true, min: 2, max: 20, convert: true, optional: true },
+            stratified: { type: "boolean", convert: true, optional: true },
+        };
 
-        } catch (err) {
-            return res.status(500).json({
-                code: 500,
+        const validation = v.validate(req.body, schema);
+        if (validation !== true) {
+            return res.status(400).json({
+                code: 400,
                 status: "error",
-                message: "Cross validation failed",
-                error: err.message
+                data: { error: "Validation failed", details: validation },
             });
         }
+
+        const job = await startJob("cross-validate", req.body, req.user._id);
+        return jobStarted(res, job, "Cross validation started");
     })
 );
 
 /**
- * Save the trained model to a JSON file with backup
+ * @route   GET /api/transactions/jobs
+ * @desc    Recent background model jobs, newest first (type, status, page, limit)
  */
-function saveModel() {
-    try {
-        const modelState = classifier.toJson();
-
-        // Create backup if existing model exists
-        if (fs.existsSync(MODEL_PATH)) {
-            fs.copyFileSync(MODEL_PATH, BACKUP_MODEL_PATH);
-            console.log("💾 Created model backup");
-        }
-
-        fs.writeFileSync(MODEL_PATH, modelState, "utf8");
-        console.log("💾 Model saved successfully.");
-        return true;
-    } catch (err) {
-        console.error("❌ Failed to save model:", err);
-        return false;
-    }
-}
+router.get(
+    "/jobs",
+    isAuthenticated,
+    catchAsyncErrors(async (req, res) => {
+        const schema = {
+            type: { type: "enum", values: JOB_TYPES, optional: true },
+            status: { type: "enum", values: ["queued", "running", "completed", "failed", "cancelled"], optional: true },
+        };
 
-/**
- * Load the model from a JSON file (if exists) with fallback
- */
-function loadModel() {
-    try {
-        if (fs.existsSync(MODEL_PATH)) {
-            console.log("ℹ Model file found at:", MODEL_PATH);
-            const modelData = fs.readFileSync(MODEL_PATH, "utf8");
-
-            // Verify the file isn't empty
-            if (!modelData.trim()) {
-                throw new Error("Model file is empty");
-            }
+        const validation = v.validate(req.query, schema);
+        if (validation !== true) {
+            return res.status(400).json({
+                code: 400,
+                status: "error",
+                data: { error: "Validation failed", details: validation },
+            });
+        }
 
-            // Try parsing to verify JSON is valid
-            JSON.parse(modelData);
+        const { type, status, page = 1, limit = 20 } = req.query;
+        const filter = {};
+        if (type) filter.type = type;
+        if (status) filter.status = status;
 
-            // If we got here, JSON is valid
-            classifier = bayes.fromJson(modelData);
-            console.log("✅ Model loaded successfully.");
-            isModelReady = true;
-            return true;
-        } else {
-            console.log("ℹ No pre-trained model found at:", MODEL_PATH);
-            // Initialize fresh classifier
-            classifier = bayes();
-            isModelReady = false;
-            return false;
-        }
-    } catch (err) {
-        console.error("❌ Failed to load model:", err);
-
-        // Try loading from backup
-        if (fs.existsSync(BACKUP_MODEL_PATH)) {
-            console.log("🔄 Attempting to load from backup...");
-            try {
-                const backupData = fs.readFileSync(BACKUP_MODEL_PATH, "utf8");
-                classifier = bayes.fromJson(backupData);
-                console.log("✅ Backup model loaded successfully.");
-                isModelReady = true;
-
-                // Restore the backup
-                fs.copyFileSync(BACKUP_MODEL_PATH, MODEL_PATH);
-                console.log("🔄 Restored model from backup");
-                return true;
-            } catch (backupErr) {
-                console.error("❌ Failed to load backup model:", backupErr);
-            }
-        }
+        const [jobs, total] = await Promise.all([
+            ClassifierJob.find(filter)
+                .select("-result")
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(Number(limit)),
+            ClassifierJob.countDocuments(filter),
+        ]);
 
-        // Initialize fresh classifier if all fails
-        console.log("🆕 Initializing fresh classifier...");
-        classifier = bayes();
-        isModelReady = false;
+        return res.status(200).json({
+            code: 200,
+            status: "success",
+            data: {
+                jobs,
+                pagination: {
+                    total,
+                    page: Number(page),
+                    limit: Number(limit),
+                    pages: Math.ceil(total / limit),
+                },
+            },
+        });
+    })
+);
 
-        // Clean up corrupt files
-        if (fs.existsSync(MODEL_PATH)) {
-            fs.unlinkSync(MODEL_PATH);
-            console.log("🗑 Deleted corrupt model file");
+/**
+ * @route   GET /api/transactions/jobs/:id
+ * @desc    Status of a background model job: progress of the current phase
+ *          (documents processed, ETA) and, once completed, its result
+ */
+router.get(
+    "/jobs/:id",
+    isAuthenticated,
+    catchAsyncErrors(async (req, res) => {
+        const job = await ClassifierJob.findById(req.params.id);
+        if (!job) {
+            return res.status(404).json({
+                code: 404,
+                message: "Job not found",
+            });
         }
-        return false;
-    }
-}
+
+        return res.status(200).json({
+            code: 200,
+            status: "success",
+            data: job,
+        });
+    })
+);
 
 /**
- * Train the classifier using existing transactions
+ * @route   POST /api/transactions/jobs/:id/cancel
+ * @desc    Cancel a queued or running job; a cancelled training never
+ *          replaces the active model
  */
-async function trainClassifier() {
-    try {
-        console.log("🔁 Training model...");
-        const startTime = Date.now();
-
-        const batchSize = 100;
-        let skip = 0;
-        let trainedCount = 0;
-        let categoriesUsed = new Set();
-
-        while (true) {
-            const transactions = await Transaction.find()
-                .skip(skip)
-                .limit(batchSize)
-                .populate("category");
+router.post(
+    "/jobs/:id/cancel",
+    isAuthenticated,
+    catchAsyncErrors(async (req, res) => {
+        const job = await cancelJob(req.params.id);
+
+        return res.status(200).json({
+            code: 200,
+            status: "success",
+            message: "Job cancellation requested",
+            data: job,
+        });
+    })
+);
 
-            if (transactions.length === 0) break;
+/**
+ * @route   GET /api/transactions/evaluations
+ * @desc    Stored evaluation runs, newest first, to compare them over time
+ *          (kind, backend, modelVersion, page, limit)
+ */
+router.get(
+    "/evaluations",
+    isAuthenticated,
+    catchAsyncErrors(async (req, res) => {
+        const schema = {
+            kind: { type: "enum", values: ["holdout", "cross-validation"], optional: true },
+            backend: { type: "enum", values: BACKEND_NAMES, optional: true },
+            modelVersion: { type: "number", integer: true, convert: true, optional: true },
+        };
 
-            transactions.forEach((tx) => {
-                const inputText = `${tx.description} ${tx.type}`.toLowerCase();
-                const categoryName = tx.category?.name || "unknown";
-                classifier.learn(inputText, categoryName);
-                categoriesUsed.add(categoryName);
-                trainedCount++;
+        const validation = v.validate(req.query, schema);
+        if (validation !== true) {
+            return res.status(400).json({
+                code: 400,
+                status: "error",
+                data: { error: "Validation failed", details: validation },
             });
-
-            skip += batchSize;
         }
 
-        if (trainedCount > 0) {
-            const success = saveModel();
-            if (success) {
-                lastTrainingDate = new Date();
-                isModelReady = true;
-                const duration = (Date.now() - startTime) / 1000;
-                console.log(`🎉 Model training completed in ${duration}s`);
-                console.log(`📊 Trained with ${trainedCount} transactions`);
-                console.log(`🏷️ Categories used: ${Array.from(categoriesUsed).join(', ')}`);
-                return true;
-            }
-        } else {
-            console.log("ℹ No transactions found for training.");
-        }
-        return false;
-    } catch (err) {
-        console.error("❌ Model training failed:", err);
-        isModelReady = false;
-        return false;
-    }
-}
+        const { kind, backend, modelVersion, page = 1, limit = 20 } = req.query;
+        const filter = {};
+        if (kind) filter.kind = kind;
+        if (backend) filter.backend = backend;
+        if (modelVersion !== undefined) filter.modelVersion = Number(modelVersion);
 
-/**
- * Ensure the model is ready before making predictions
- */
-async function ensureModelReady() {
-    if (!isModelReady) {
-        console.log("⚠ Model not ready - attempting to train...");
-        return await trainClassifier();
-    }
-    return true;
-}
+        const [runs, total] = await Promise.all([
+            EvaluationRun.find(filter)
+                .select("-metrics -confusionMatrix -folds")
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(Number(limit)),
+            EvaluationRun.countDocuments(filter),
+        ]);
+
+        return res.status(200).json({
+            code: 200,
+            status: "success",
+            data: {
+                runs,
+                pagination: {
+                    total,
+                    page: Number(page),
+                    limit: Number(limit),
+                    pages: Math.ceil(total / limit),
+                },
+            },
+        });
+    })
+);
 
 /**
- * Predict category for a transaction
+ * @route   GET /api/transactions/evaluations/:id
+ * @desc    A stored evaluation run with its folds or per category metrics
  */
-async function predictCategory(description, type) {
-    try {
-        if (!isModelReady) {
-            await ensureModelReady();
-        }
-
-        if (isModelReady) {
-            const inputText = `${description} ${type}`.toLowerCase();
-            const prediction = classifier.categorize(inputText);
-            console.log(`🔮 Prediction: '${inputText}' → '${prediction}'`);
-            return prediction || "uncategorized";
-        }
-        return "uncategorized";
-    } catch (err) {
-        console.error("❌ Prediction failed:", err);
-        return "uncategorized";
-    }
-}
+router.get(
+    "/evaluations/:id",
+    isAuthenticated,
+    catchAsyncErrors(async (req, res) => {
+        const run = await EvaluationRun.findById(req.params.id);
+        if (!run) {
+            return res.status(404).json({
+                code: 404,
+                message: "Evaluation run not found",
+            });
+        }
 
-// Load model on startup
-loadModel();
+        return res.status(200).json({
+            code: 200,
+            status: "success",
+            data: run,
+        });
+    })
+);
 
 // ========================
 //  🏦 MODELS ROUTES
@@ -445,18 +327,26 @@ loadModel();
 router.get(
     "/model-status",
     catchAsyncErrors(async (req, res) => {
+        const { classifier, activeVersion, isModelReady, lastTrainingDate, pipeline, onlineStats } = getModelState();
+
         return res.status(200).json({
             code: 200,
             status: "success",
             data: {
                 isModelReady,
                 lastTrainingDate,
-                modelPath: MODEL_PATH,
-                modelExists: fs.existsSync(MODEL_PATH),
-                backupExists: fs.existsSync(BACKUP_MODEL_PATH),
+                activeVersion: activeVersion && activeVersion.version,
+                backend: activeVersion && activeVersion.backend,
+                scores: activeVersion && activeVersion.scores,
+                pipeline,
+                ...storageInfo(),
+                backends: listBackends(),
                 classifierInfo: {
-                    totalCategories: isModelReady ? classifier.categories.length : 0,
+                    totalCategories: isModelReady ? classifier.labels().length : 0,
                 },
+                // learned from new and corrected transactions since the last full retrain
+                correctionsSinceRetrain: onlineStats ? onlineStats.corrections : 0,
+                onlineLearning: onlineStats,
             },
         });
     })
@@ -464,49 +354,44 @@ router.get(
 
 /**
  * @route   POST /api/transactions/train-model
- * @desc    Manually trigger model training
+ * @desc    Start a background training; the new version becomes active once
+ *          stored unless activate=false ({ backend, activate, pipeline }).
+ *          The current model keeps serving predictions meanwhile.
  */
 router.post(
     "/train-model",
     isAuthenticated,
     catchAsyncErrors(async (req, res) => {
-        const success = await trainClassifier();
-        return res.status(200).json({
-            code: 200,
-            status: success ? "success" : "error",
-            message: success
-                ? "Model trained successfully"
-                : "Model training failed",
-            data: {
-                isModelReady,
-                lastTrainingDate,
-                modelPath: MODEL_PATH,
-            },
-        });
+        const schema = {
+            ...classifierOptionsSchema,
+            activate: { type: "boolean", convert: true, optional: true },
+        };
+
+        const validation = v.validate(req.body, schema);
+        if (validation !== true) {
+            return res.status(400).json({
+                code: 400,
+                status: "error",
+                data: { error: "Validation failed", details: validation },
+            });
+        }
+
+        const job = await startJob("train", req.body, req.user._id);
+        return jobStarted(res, job, "Model training started");
     })
 );
 
 /**
  * @route   POST /api/transactions/reset-model
- * @desc    Reset the ML model
+ * @desc    Reset the ML model (stored versions stay available for promotion)
  */
 router.post(
     "/reset-model",
     isAuthenticated,
     catchAsyncErrors(async (req, res) => {
         try {
-            // Delete existing model files
-            if (fs.existsSync(MODEL_PATH)) {
-                fs.unlinkSync(MODEL_PATH);
-            }
-            if (fs.existsSync(BACKUP_MODEL_PATH)) {
-                fs.unlinkSync(BACKUP_MODEL_PATH);
-            }
-
-            // Create fresh classifier
-            classifier = bayes();
-            isModelReady = false;
-            lastTrainingDate = null;
+            await resetModel();
+            const { isModelReady, lastTrainingDate } = getModelState();
 
             return res.status(200).json({
                 code: 200,
@@ -528,18 +413,149 @@ router.post(
     })
 );
 
+/**
+ * @route   GET /api/transactions/model-versions
+ * @desc    Stored model versions, newest first, with training metadata and scores
+ */
+router.get(
+    "/model-versions",
+    isAuthenticated,
+    catchAsyncErrors(async (req, res) => {
+        return res.status(200).json({
+            code: 200,
+            status: "success",
+            data: await listVersions(),
+        });
+    })
+);
+
+/**
+ * @route   POST /api/transactions/model-versions/rollback
+ * @desc    Go back to the version that was active before the current one
+ */
+router.post(
+    "/model-versions/rollback",
+    isAuthenticated,
+    catchAsyncErrors(async (req, res) => {
+        const version = await rollbackModel(req.user._id);
+
+        return res.status(200).json({
+            code: 200,
+            status: "success",
+            message: `Rolled back to model version ${version.version}`,
+            data: version,
+        });
+    })
+);
+
+/**
+ * @route   POST /api/transactions/model-versions/:version/promote
+ * @desc    Make a stored version the active model
+ */
+router.post(
+    "/model-versions/:version(\\d+)/promote",
+    isAuthenticated,
+    catchAsyncErrors(async (req, res) => {
+        const version = await promoteModelVersion(Number(req.params.version), req.user._id);
+
+        return res.status(200).json({
+            code: 200,
+            status: "success",
+            message: `Model version ${version.version} is now active`,
+            data: version,
+        });
+    })
+);
+
+/**
+ * @route   GET /api/transactions/suggest-category
+ * @desc    Top-k categories for a description with normalized probabilities
+ *          (description, type, amount, k = 3)
+ */
+router.get(
+    "/suggest-category",
+    isAuthenticated,
+    catchAsyncErrors(async (req, res) => {
+        const schema = {
+            description: { type: "string", empty: false, max: 1024 },
+            type: { type: "enum", values: ["income", "expense"] },
+            amount: { type: "number", positive: true, convert: true, optional: true },
+            k: { type: "number", integer: true, min: 1, max: 20, convert: true, optional: true },
+        };
+
+        const validation = v.validate(req.query, schema);
+        if (validation !== true) {
+            return res.status(400).json({
+                code: 400,
+                status: "error",
+                data: { error: "Validation failed", details: validation },
+            });
+        }
+
+        const { description, type, amount } = req.query;
+        const result = await suggestCategories({ description, type, amount }, { k: Number(req.query.k) || undefined });
+
+        // attach the matching categories so clients can pick one directly
+        const categories = await Category.find({
+            type,
+            name: { $in: result.suggestions.map((s) => new RegExp(`^${escapeRegex(s.name)}$`, "i")) },
+        }).select("name");
+
+        return res.status(200).json({
+            code: 200,
+            status: "success",
+            data: {
+                ...result,
+                suggestions: result.suggestions.map((suggestion) => ({
+                    ...suggestion,
+                    category: categories.find((c) => c.name.toLowerCase() === suggestion.name.toLowerCase()) || null,
+                })),
+            },
+        });
+    })
+);
+
 
 // ========================
 //  🏦 TRANSACTION ROUTES
 // ========================
 
+/**
+ * Refuse a new transaction that looks like one already entered (same saldo
+ * and type, similar amount and description, close in time) unless the
+ * client confirms with allowDuplicate=true. Returns true when refused.
+ */
+async function rejectLikelyDuplicate(req, res) {
+    if (req.body.allowDuplicate) return false;
+
+    const { saldo, type, amount, description, date } = req.body;
+    const duplicates = await findDuplicateCandidates({ saldo, type, amount, description, date });
+    if (duplicates.length === 0) return false;
+
+    res.status(409).json({
+        code: 409,
+        status: "warning",
+        data: {
+            error: "Possible duplicate transaction",
+            message: "Send allowDuplicate=true to create it anyway",
+            duplicates,
+        },
+    });
+    return true;
+}
+
 /**
  * @route   POST /api/transactions
- * @desc    Create a new transaction & update saldo
+ * @desc    Create a new transaction & update saldo, categorized by the model.
+ *          When the top suggestion is below the confidence threshold (or names
+ *          no existing category) it is saved with needsReview and no category,
+ *          to be confirmed in GET /transaction/review. An expense above its
+ *          approval threshold is saved with approvalStatus "pending" (202).
  */
 router.post(
     "/models",
     isAuthenticated,
+    idempotent,
     catchAsyncErrors(async (req, res, next) => {
         // 1️⃣ Input Validation
         const schema = {
@@ -548,6 +564,8 @@ router.post(
             amount: { type: "number", empty: false, convert: true },
             description: { type: "string", empty: false, max: 1024 },
             type: { type: "enum", values: ["income", "expense"] },
+            date: { type: "date", convert: true, optional: true },
+            allowDuplicate: { type: "boolean", convert: true, optional: true },
         };
 
         const validation = v.validate(req.body, schema);
@@ -560,91 +578,124 @@ router.post(
         }
 
         const { user, saldo: saldoId, amount, description, type } = req.body;
+        const date = req.body.date || new Date();
+        const pending = isFutureDated(date);
 
         // 2️⃣ Check if Saldo exists
-        const saldo = await Saldo.findById(saldoId);
-        if (!saldo) {
+        const saldoExists = await Saldo.exists({ _id: saldoId });
+        if (!saldoExists) {
             return res.status(404).json({
                 code: 404,
                 message: "Saldo not found",
             });
         }
 
-        // 3️⃣ Predict Category
-        const predictedCategoryName = await predictCategory(description, type);
+        if (await rejectLikelyDuplicate(req, res)) return;
+
+        // 3️⃣ Suggest Categories (outside the DB transaction; none while no model is trained yet)
+        const { suggestions, confident } = await suggestCategories({ description, type, amount });
+
+        const { transaction, predictedCategory } = await runInTransaction(async (session) => {
+            // 4️⃣ Find Category (Case-Insensitive); never created on the fly,
+            // an unsure or unknown prediction goes to the review queue
+            const predictedCategory = confident
+                ? await Category.findOne({
+                    name: { $regex: new RegExp(`^${escapeRegex(suggestions[0].name)}$`, "i") },
+                    type,
+                }).session(session)
+                : null;
+
+            // 5️⃣ Update Saldo (refuses to go below zero; future-dated waits for its
+            // date, a large expense for its approval)
+            const approvalThreshold = await exceededApprovalThreshold(
+                { type, saldo: saldoId, category: predictedCategory && predictedCategory._id, amount, date },
+                session
+            );
+            if (!pending && !approvalThreshold) {
+                await applySaldoDelta(saldoId, signedAmount(type, amount), session, {
+                    allowNegative: false,
+                });
+            }
 
-        // 4️⃣ Find or Create Category (Case-Insensitive)
-        let predictedCategory = await Category.findOne({
-            name: { $regex: new RegExp(`^${predictedCategoryName}$`, "i") },
-            type,
+            // 6️⃣ Save Transaction
+            const [transaction] = await Transaction.create(
+                [
+                    {
+                        user,
+                        category: predictedCategory ? predictedCategory._id : null,
+                        saldo: saldoId,
+                        amount,
+                        description,
+                        type,
+                        date,
+                        pending,
+                        needsReview: !predictedCategory,
+                        suggestedCategories: suggestions,
+                        approvalStatus: approvalThreshold ? "pending" : null,
+                        approvalThreshold,
+                    },
+                ],
+                { session }
+            );
+
+            return { transaction, predictedCategory };
         });
 
-        if (!predictedCategory) {
-            predictedCategory = await Category.create({
-                name: predictedCategoryName.toLowerCase(),
-                type,
-                description: `Auto-generated category for ${predictedCategoryName}`,
-            });
-        }
+        // 7️⃣ Return Response
+        const resTransaction = await Transaction.findById(transaction._id)
+            .populate(TRANSACTION_POPULATE);
+        const data = {
+            ...resTransaction.toObject(),
+            predicted_category: predictedCategory ? predictedCategory.name : null,
+            needs_review: !predictedCategory,
+            suggestions,
+            model_status: getModelState().isModelReady ? "ready" : "not_ready",
+        };
 
-        // 5️⃣ Update Saldo (with validation)
-        const newAmount = type === "income"
-            ? saldo.amount + amount
-            : saldo.amount - amount;
+        if (transaction.approvalStatus === "pending") {
+            await notifyApprovers(transaction, req.user);
 
-        if (newAmount < 0 && type === "expense") {
-            return res.status(400).json({
-                code: 400,
-                status: "error",
-                message: "Insufficient balance for this transaction",
+            return res.status(202).json({
+                code: 202,
+                status: "success",
+                message: "Transaction is waiting for approval",
+                data,
             });
         }
 
-        saldo.amount = newAmount;
-        await saldo.save();
-
-        // 6️⃣ Save Transaction
-        const transaction = await Transaction.create({
-            user,
-            category: predictedCategory._id,
-            saldo: saldoId,
-            amount,
-            description,
-            type,
-        });
-
-        // 7️⃣ Return Response
-        const resTransaction = await Transaction.findById(transaction._id)
-            .populate("user", "name email")
-            .populate("category", "name")
-            .populate("saldo", "name amount");
-
         return res.status(200).json({
             code: 200,
             status: "success",
-            data: {
-                ...resTransaction.toObject(),
-                predicted_category: predictedCategory.name,
-                model_status: isModelReady ? "ready" : "not_ready",
-            },
+            data,
         });
     })
 );
 
+/**
+ * @route   POST /transaction
+ * @desc    Create a transaction & update saldo. Either `category`, or `splits`
+ *          ([{ category, amount, note }], summing to `amount`) to spread it
+ *          over several categories; the saldo moves once by the total.
+ *          `date` (default now) can be backdated or in the future; a future
+ *          transaction is pending and moves the saldo once its date arrives.
+ *          A likely duplicate of an existing transaction is refused with a
+ *          409 listing the matches, unless `allowDuplicate: true`.
+ *          An expense above its approval threshold is saved with
+ *          approvalStatus "pending" (202) and only moves the saldo once an
+ *          admin approves it (POST /approval/:id/approve).
+ */
 router.post(
     "",
     isAuthenticated,
+    idempotent,
     catchAsyncErrors(async (req, res, next) => {
-        const schema = {
-            user: { type: "string", empty: false },
-            category: { type: "string", empty: false },
-            saldo: { type: "string", empty: false },
-            amount: { type: "number", empty: false, convert: true },
-            description: { type: "string", empty: false, max: 1024 },
-            type: { type: "enum", values: ["income", "expense"] },
-        };
-
-        const validation = v.validate(req.body, schema);
+        let validation = v.validate(req.body, {
+            ...createTransactionSchema,
+            allowDuplicate: { type: "boolean", convert: true, optional: true },
+        });
+        if (validation === true) {
+            validation = validateSplits(req.body);
+        }
         if (validation !== true) {
             return res.status(400).json({
                 code: 400,
@@ -653,34 +704,65 @@ router.post(
             });
         }
 
-        const { user, category, saldo: saldoId, amount, description, type } = req.body;
+        const { user, category, saldo: saldoId, amount, description, type, splits, tags } = req.body;
+        const date = req.body.date || new Date();
+        const pending = isFutureDated(date);
 
-        const saldo = await Saldo.findById(saldoId);
-        if (!saldo) {
+        const saldoExists = await Saldo.exists({ _id: saldoId });
+        if (!saldoExists) {
             return res.status(404).json({
                 code: 404,
                 message: "Saldo not found",
             });
         }
 
-        // Update saldo amount
-        if (type === "income") {
-            saldo.amount += amount;
-        } else if (type === "expense") {
-            saldo.amount -= amount;
-        }
+        if (await rejectLikelyDuplicate(req, res)) return;
 
-        await saldo.save();
+        const transaction = await runInTransaction(async (session) => {
+            const approvalThreshold = await exceededApprovalThreshold(
+                { type, saldo: saldoId, category, splits, amount, date },
+                session
+            );
+            if (!pending && !approvalThreshold) {
+                await applySaldoDelta(saldoId, signedAmount(type, amount), session);
+            }
 
-        const transaction = await Transaction.create({
-            user,
-            category,
-            saldo: saldoId,
-            amount,
-            description,
-            type,
+            const [transaction] = await Transaction.create(
+                [
+                    {
+                        user,
+                        category,
+                        saldo: saldoId,
+                        amount,
+                        description,
+                        type,
+                        date,
+                        pending,
+                        approvalStatus: approvalThreshold ? "pending" : null,
+                        approvalThreshold,
+                        splits,
+                        tags,
+                    },
+                ],
+                { session }
+            );
+
+            return transaction;
         });
 
+        await learnTransactions([transaction]);
+
+        if (transaction.approvalStatus === "pending") {
+            await notifyApprovers(transaction, req.user);
+
+            return res.status(202).json({
+                code: 202,
+                status: "success",
+                message: "Transaction is waiting for approval",
+                data: transaction,
+            });
+        }
+
         return res.status(200).json({
             code: 200,
             status: "success",
@@ -691,24 +773,34 @@ router.post(
 
 /**
  * @route   GET /transaction/list
- * @desc    Get all transactions
+ * @desc    Get transactions, filtered and sorted by query parameters
+ *          (startDate, endDate, type, category, saldo, user, minAmount,
+ *          maxAmount, search, tags, tagMode, status, approval, sortBy, sortOrder,
+ *          page, limit)
  */
 router.get(
     "/list",
     isAuthenticated,
     catchAsyncErrors(async (req, res, next) => {
-        const { page = 1, limit = 50 } = req.query;
-        const skip = (Number(page) - 1) * Number(limit);
+        const query = buildTransactionQuery(req.query);
+        if (query.errors) {
+            return res.status(400).json({
+                code: 400,
+                status: "error",
+                data: { error: "Validation failed", details: query.errors },
+            });
+        }
+
+        const { filter, sort, page, limit } = query;
+        const skip = (page - 1) * limit;
 
         const [items, total] = await Promise.all([
-            Transaction.find()
-                .populate("user", "name email")
-                .populate("category", "name")
-                .populate("saldo", "name amount")
-                .sort({ createdAt: -1 })
+            Transaction.find(filter)
+                .populate(TRANSACTION_POPULATE)
+                .sort(sort)
                 .skip(skip)
-                .limit(Number(limit)),
-            Transaction.countDocuments(),
+                .limit(limit),
+            Transaction.countDocuments(filter),
         ]);
 
         res.status(200).json({
@@ -716,14 +808,298 @@ router.get(
                 message: "Transaction retrieved successfully",
                 code: 200,
                 status: "success",
+                pagination: {
+                    total,
+                    page,
+                    limit,
+                    pages: Math.ceil(total / limit),
+                },
+            },
+            data: items,
+        });
+    })
+);
+
+/**
+ * @route   GET /transaction/duplicates
+ * @desc    Groups of existing transactions that look like the same one
+ *          entered twice. Takes the /transaction/list filters plus
+ *          windowHours, amountTolerance (fraction) and minSimilarity (0..1).
+ */
+router.get(
+    "/duplicates",
+    isAuthenticated,
+    catchAsyncErrors(async (req, res, next) => {
+        const { windowHours, amountTolerance, minSimilarity, ...filters } = req.query;
+        const settings = { windowHours, amountTolerance, minSimilarity };
+
+        const validation = v.validate(settings, {
+            windowHours: { type: "number", positive: true, max: 24 * 31, convert: true, optional: true },
+            amountTolerance: { type: "number", min: 0, max: 0.5, convert: true, optional: true },
+            minSimilarity: { type: "number", positive: true, max: 1, convert: true, optional: true },
+        });
+        const query = buildTransactionQuery(filters);
+        if (validation !== true || query.errors) {
+            return res.status(400).json({
+                code: 400,
+                status: "error",
+                data: {
+                    error: "Validation failed",
+                    details: [...(validation === true ? [] : validation), ...(query.errors || [])],
+                },
+            });
+        }
+
+        const groups = await scanDuplicates(query.filter, settings);
+
+        const transactions = await Transaction.find({ _id: { $in: groups.flatMap((group) => group.ids) } })
+            .populate(TRANSACTION_POPULATE);
+        const byId = new Map(transactions.map((tx) => [tx._id.toString(), tx]));
+
+        res.status(200).json({
+            meta: {
+                message: "Duplicate scan completed successfully",
+                code: 200,
+                status: "success",
+                groups: groups.length,
+            },
+            data: groups.map((group) => ({
+                similarity: group.similarity,
+                total: group.ids.length,
+                transactions: group.ids.map((id) => byId.get(id.toString())).filter(Boolean),
+            })),
+        });
+    })
+);
+
+/**
+ * @route   POST /transaction/duplicates/merge
+ * @desc    Resolve a duplicate group: keep `keep` and move the `remove`
+ *          transactions to the trash, reverting their saldo effects.
+ *          mode=merge (default) first moves their tags and attachments to
+ *          the kept transaction, mode=delete just trashes them.
+ */
+router.post(
+    "/duplicates/merge",
+    isAuthenticated,
+    idempotent,
+    catchAsyncErrors(async (req, res, next) => {
+        const validation = v.validate(req.body, {
+            keep: { type: "string", empty: false },
+            remove: { type: "array", min: 1, max: 50, items: { type: "string", empty: false } },
+            mode: { type: "enum", values: ["merge", "delete"], optional: true },
+        });
+        if (validation !== true) {
+            return res.status(400).json({
+                code: 400,
+                status: "error",
+                data: { error: "Validation failed", details: validation },
+            });
+        }
+
+        const removeIds = [...new Set(req.body.remove)];
+        if (removeIds.includes(req.body.keep)) {
+            return next(new ErrorHandler("The kept transaction cannot also be removed", 400));
+        }
+
+        const kept = await runInTransaction(async (session) => {
+            const keep = await Transaction.findById(req.body.keep).session(session);
+            const duplicates = await Transaction.find({ _id: { $in: removeIds } }).session(session);
+
+            if (!keep || duplicates.length !== removeIds.length) {
+                throw new ErrorHandler("Transaction not found", 404);
+            }
+            if ([keep, ...duplicates].some((tx) => tx.transferLeg)) {
+                throw new ErrorHandler("Transfers cannot be merged, use DELETE /transfer/:id", 400);
+            }
+            assertUnlocked(duplicates);
+
+            for (const duplicate of duplicates) {
+                await revertTransactionEffect(duplicate, session);
+
+                if (req.body.mode !== "delete") {
+                    keep.tags = [...keep.tags, ...duplicate.tags];
+                    // moved, not copied: purging the trashed one would delete the files
+                    keep.attachments.push(...duplicate.attachments.map((attachment) => attachment.toObject()));
+                    duplicate.attachments = [];
+                }
+
+                await duplicate.softDelete(req.user, { session });
+            }
+
+            return keep.isModified() ? keep.save({ session }) : keep;
+        });
+
+        const resTransaction = await Transaction.findById(kept._id).populate(TRANSACTION_POPULATE);
+
+        res.status(200).json({
+            meta: {
+                message: "Duplicates resolved successfully",
+                code: 200,
+                status: "success",
+            },
+            data: {
+                kept: resTransaction,
+                removed: removeIds,
+            },
+        });
+    })
+);
+
+/**
+ * @route   GET /transaction/review
+ * @desc    Review queue: transactions the model was not confident enough to
+ *          categorize, oldest first, with its suggestions (page, limit)
+ */
+router.get(
+    "/review",
+    isAuthenticated,
+    catchAsyncErrors(async (req, res, next) => {
+        const { page = 1, limit = 50 } = req.query;
+        const filter = { needsReview: true };
+
+        const [transactions, total] = await Promise.all([
+            Transaction.find(filter)
+                .populate(TRANSACTION_POPULATE)
+                .sort({ date: 1 })
+                .skip((page - 1) * limit)
+                .limit(Number(limit)),
+            Transaction.countDocuments(filter),
+        ]);
+
+        res.status(200).json({
+            code: 200,
+            status: "success",
+            data: {
+                transactions,
                 pagination: {
                     total,
                     page: Number(page),
                     limit: Number(limit),
-                    pages: Math.ceil(total / Number(limit)),
+                    pages: Math.ceil(total / limit),
                 },
             },
-            data: items,
+        });
+    })
+);
+
+/**
+ * @route   POST /transaction/review/:id
+ * @desc    Confirm the top suggestion of a queued transaction, or correct it
+ *          with `category`; it then leaves the queue and counts for training
+ */
+router.post(
+    "/review/:id",
+    isAuthenticated,
+    catchAsyncErrors(async (req, res, next) => {
+        const schema = {
+            category: { type: "string", empty: false, optional: true },
+        };
+
+        const validation = v.validate(req.body, schema);
+        if (validation !== true) {
+            return res.status(400).json({
+                code: 400,
+                status: "error",
+                data: { error: "Validation failed", details: validation },
+            });
+        }
+
+        const transaction = await Transaction.findById(req.params.id);
+        if (!transaction) {
+            return res.status(404).json({
+                code: 404,
+                message: "Transaction not found",
+            });
+        }
+        if (!transaction.needsReview) {
+            return next(new ErrorHandler("Transaction is not waiting for review", 400));
+        }
+        assertUnlocked([transaction]);
+
+        let category;
+        if (req.body.category) {
+            category = await Category.findOne({ _id: req.body.category, type: transaction.type });
+        } else {
+            const [top] = transaction.suggestedCategories;
+            category = top
+                ? await Category.findOne({
+                    name: { $regex: new RegExp(`^${escapeRegex(top.name)}$`, "i") },
+                    type: transaction.type,
+                })
+                : null;
+            if (!category) {
+                return next(new ErrorHandler("The suggestion matches no category, send the `category` to use", 400));
+            }
+        }
+        if (!category) {
+            return res.status(404).json({
+                code: 404,
+                message: "Category not found",
+            });
+        }
+
+        transaction.set({
+            category: category._id,
+            needsReview: false,
+            reviewedBy: req.user._id,
+            reviewedAt: new Date(),
+        });
+        await transaction.save();
+
+        const [top] = transaction.suggestedCategories;
+        await learnTransactions([transaction], {
+            isCorrection: !top || top.name.toLowerCase() !== category.name.toLowerCase(),
+        });
+
+        res.status(200).json({
+            meta: {
+                message: req.body.category ? "Transaction category corrected" : "Transaction category confirmed",
+                code: 200,
+                status: "success",
+            },
+            data: await transaction.populate(TRANSACTION_POPULATE),
+        });
+    })
+);
+
+/**
+ * @route   GET /transaction/:id/history
+ * @desc    Every version of a transaction, oldest first, with who changed
+ *          what (also works for trashed and purged transactions)
+ */
+router.get(
+    "/:id/history",
+    isAuthenticated,
+    catchAsyncErrors(async (req, res, next) => {
+        const entries = await AuditLog.find({ model: "Transaction", documentId: req.params.id })
+            .populate("actor", "name email")
+            .sort({ createdAt: 1, _id: 1 });
+
+        if (entries.length === 0) {
+            return res.status(404).json({
+                code: 404,
+                message: "Transaction history not found",
+            });
+        }
+
+        const versions = entries.map((entry, index) => ({
+            version: index + 1,
+            action: entry.action,
+            actor: entry.actor,
+            ip: entry.ip,
+            changedAt: entry.createdAt,
+            changes: entry.changes,
+            snapshot: entry.after,
+        }));
+
+        res.status(200).json({
+            meta: {
+                message: "Transaction history retrieved successfully",
+                code: 200,
+                status: "success",
+            },
+            data: versions,
         });
     })
 );
@@ -737,9 +1113,7 @@ router.get(
     isAuthenticated,
     catchAsyncErrors(async (req, res, next) => {
         const transaction = await Transaction.findById(req.params.id)
-            .populate("user", "name email")
-            .populate("category", "name")
-            .populate("saldo", "name amount");
+            .populate(TRANSACTION_POPULATE);
 
         if (!transaction) {
             return res.status(404).json({
@@ -761,11 +1135,15 @@ router.get(
 
 /**
  * @route   PUT /transaction/:id
- * @desc    Update transaction by ID and update saldo accordingly
+ * @desc    Update transaction by ID and update saldo accordingly. `splits`
+ *          replaces the split lines ([] turns it back into a single category);
+ *          the resulting splits must add up to the resulting amount. Moving
+ *          `date` into the future makes it pending again (and vice versa).
  */
 router.put(
     "/:id",
     isAuthenticated,
+    idempotent,
     catchAsyncErrors(async (req, res, next) => {
         const schema = {
             category: { type: "string", optional: true },
@@ -773,6 +1151,12 @@ router.put(
             amount: { type: "number", empty: false, convert: true, optional: true },
             description: { type: "string", empty: false, max: 1024, optional: true },
             type: { type: "enum", values: ["income", "expense"], optional: true },
+            date: { type: "date", convert: true, optional: true },
+            splits: splitsSchema,
+            tags: tagsSchema,
+            // the body is applied as-is: only the fields above may change
+            // (never approval, reconciliation or transfer fields)
+            $$strict: "remove",
         };
 
         const validation = v.validate(req.body, schema);
@@ -784,62 +1168,112 @@ router.put(
             });
         }
 
-        const existingTransaction = await Transaction.findById(req.params.id);
-        if (!existingTransaction) {
+        const existing = await Transaction.findById(req.params.id)
+            .select("transferLeg category amount splits reconciliation approvalStatus needsReview");
+        if (!existing) {
             return res.status(404).json({
                 code: 404,
                 message: "Transaction not found",
             });
         }
 
-        const saldo = await Saldo.findById(existingTransaction.saldo);
-        if (!saldo) {
-            return res.status(404).json({
-                code: 404,
-                message: "Original saldo not found",
-            });
+        if (existing.transferLeg) {
+            return next(new ErrorHandler("Transaction is part of a transfer, use PUT /transfer/:id", 400));
         }
 
-        // Revert saldo change from old transaction
-        if (existingTransaction.type === "income") {
-            saldo.amount -= existingTransaction.amount;
-        } else if (existingTransaction.type === "expense") {
-            saldo.amount += existingTransaction.amount;
+        assertUnlocked([existing]);
+
+        // one still in the review queue may be edited before it has a category
+        const splitValidation = existing.needsReview && !req.body.category && !req.body.splits
+            ? true
+            : validateSplits({
+                category: req.body.category || existing.category,
+                splits: req.body.splits ?? existing.splits,
+                amount: req.body.amount ?? existing.amount,
+            });
+        if (splitValidation !== true) {
+            return res.status(400).json({
+                code: 400,
+                status: "error",
+                data: { error: "Validation failed", details: splitValidation },
+            });
         }
 
-        // Apply new values
-        if (req.body.saldo && req.body.saldo !== existingTransaction.saldo.toString()) {
-            // Jika saldo diubah, ambil saldo baru dan sesuaikan nilainya
-            const newSaldo = await Saldo.findById(req.body.saldo);
-            if (!newSaldo) {
-                return res.status(404).json({
-                    code: 404,
-                    message: "New saldo not found",
-                });
+        let previous;
+        const updatedTransaction = await runInTransaction(async (session) => {
+            const existingTransaction = await Transaction.findById(req.params.id).session(session);
+            if (!existingTransaction) {
+                throw new ErrorHandler("Transaction not found", 404);
+            }
+            assertUnlocked([existingTransaction]);
+            if (existingTransaction.approvalStatus === "rejected") {
+                throw new ErrorHandler("A rejected transaction cannot be edited, delete it instead", 400);
             }
 
-            if (req.body.type === "income") {
-                newSaldo.amount += req.body.amount;
-            } else if (req.body.type === "expense") {
-                newSaldo.amount -= req.body.amount;
+            // what the classifier may have learned from it
+            previous = {
+                description: existingTransaction.description,
+                type: existingTransaction.type,
+                amount: existingTransaction.amount,
+                category: existingTransaction.needsReview ? null : existingTransaction.category,
+            };
+
+            // Revert saldo change from old transaction
+            await revertTransactionEffect(existingTransaction, session);
+
+            // Apply new values (fields not sent keep their old value)
+            const newSaldoId = req.body.saldo || existingTransaction.saldo;
+            const newAmount = req.body.amount ?? existingTransaction.amount;
+            const newType = req.body.type || existingTransaction.type;
+            const newDate = req.body.date || existingTransaction.date;
+            const pending = isFutureDated(newDate);
+
+            // Changing what an approver signed off (amount, saldo, category,
+            // type) needs a new approval; dropping under the threshold ends the wait
+            const approvalThreshold = await exceededApprovalThreshold(
+                {
+                    type: newType,
+                    saldo: newSaldoId,
+                    category: req.body.category || existingTransaction.category,
+                    splits: req.body.splits ?? existingTransaction.splits,
+                    amount: newAmount,
+                    date: newDate,
+                },
+                session
+            );
+            const reviewedFieldChanged = ["amount", "saldo", "category", "splits", "type"]
+                .some((field) => req.body[field] !== undefined);
+
+            let approval = {};
+            if (approvalThreshold && (existingTransaction.approvalStatus !== "approved" || reviewedFieldChanged)) {
+                approval = { approvalStatus: "pending", approvalThreshold, approvalDecidedBy: null, approvalDecidedAt: null };
+            } else if (!approvalThreshold && existingTransaction.approvalStatus === "pending") {
+                approval = { approvalStatus: null, approvalThreshold: null };
             }
-            await newSaldo.save();
-        } else {
-            // Jika saldo tetap, perbarui sesuai nilai baru
-            if (req.body.type === "income") {
-                saldo.amount += req.body.amount;
-            } else if (req.body.type === "expense") {
-                saldo.amount -= req.body.amount;
+            const approvalStatus = "approvalStatus" in approval
+                ? approval.approvalStatus
+                : existingTransaction.approvalStatus;
+
+            if (!pending && approvalStatus !== "pending") {
+                await applySaldoDelta(newSaldoId, signedAmount(newType, newAmount), session);
             }
-            await saldo.save();
-        }
 
-        // Update transaction
-        const updatedTransaction = await Transaction.findByIdAndUpdate(
-            req.params.id,
-            req.body,
-            { new: true }
-        );
+            // picking a category takes it out of the review queue
+            const review = req.body.category || req.body.splits
+                ? { needsReview: false, reviewedBy: req.user._id, reviewedAt: new Date() }
+                : {};
+
+            // saved as a document so the model keeps currency and split category in sync
+            existingTransaction.set({ ...req.body, pending, ...approval, ...review });
+            return existingTransaction.save({ session });
+        });
+
+        // a changed category is a correction the classifier learns right away
+        await relearnTransaction(previous, updatedTransaction);
+
+        if (updatedTransaction.approvalStatus === "pending" && existing.approvalStatus !== "pending") {
+            await notifyApprovers(updatedTransaction, req.user);
+        }
 
         res.status(200).json({
             meta: {
@@ -854,38 +1288,40 @@ router.put(
 
 /**
  * @route   DELETE /transaction/:id
- * @desc    Delete transaction by ID and revert saldo accordingly
+ * @desc    Move transaction to the trash and revert saldo accordingly
  */
 router.delete(
     "/:id",
     isAuthenticated,
+    idempotent,
     catchAsyncErrors(async (req, res, next) => {
-        const transaction = await Transaction.findById(req.params.id);
-        if (!transaction) {
+        const existing = await Transaction.findById(req.params.id).select("transferLeg reconciliation");
+        if (!existing) {
             return res.status(404).json({
                 code: 404,
                 message: "Transaction not found",
             });
         }
 
-        const saldo = await Saldo.findById(transaction.saldo);
-        if (!saldo) {
-            return res.status(404).json({
-                code: 404,
-                message: "Saldo not found",
-            });
+        if (existing.transferLeg) {
+            return next(new ErrorHandler("Transaction is part of a transfer, use DELETE /transfer/:id", 400));
         }
 
-        // Revert saldo sesuai tipe transaksi
-        if (transaction.type === "income") {
-            saldo.amount -= transaction.amount;
-        } else if (transaction.type === "expense") {
-            saldo.amount += transaction.amount;
-        }
-        await saldo.save();
+        assertUnlocked([existing]);
 
-        // Hapus transaksi
-        await transaction.deleteOne();
+        await runInTransaction(async (session) => {
+            const transaction = await Transaction.findById(req.params.id).session(session);
+            if (!transaction) {
+                throw new ErrorHandler("Transaction not found", 404);
+            }
+            assertUnlocked([transaction]);
+
+            // Revert saldo sesuai tipe transaksi
+            await revertTransactionEffect(transaction, session);
+
+            // Pindahkan ke trash (attachments are removed when the trash is purged)
+            await transaction.softDelete(req.user, { session });
+        });
 
         res.status(200).json({
             meta: {
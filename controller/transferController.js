@@ -0,0 +1,486 @@
+const express = require("express");
+const router = express.Router();
+const mongoose = require("mongoose");
+const Validator = require("fastest-validator");
+const v = new Validator();
+
+// Models
+const Transaction = require("../model/Transaction");
+const Saldo = require("../model/Saldo");
+
+// Middleware & Utils
+const ErrorHandler = require("../utils/ErrorHandler");
+const catchAsyncErrors = require("../middleware/catchAsyncErrors");
+const { isAuthenticated } = require("../middleware/auth");
+const { idempotent } = require("../middleware/idempotency");
+const runInTransaction = require("../utils/dbTransaction");
+const { applySaldoDelta, isFutureDated, revertTransactionEffect } = require("../utils/saldoBalance");
+const { TRANSACTION_POPULATE } = require("../utils/populate");
+const { exchangeRate, roundAmount } = require("../utils/exchangeRates");
+const { assertUnlocked } = require("../utils/reconciliation");
+
+async function populateLegs(legs) {
+    await Promise.all(
+        [legs.out, legs.in, legs.fee].filter(Boolean).map((leg) => leg.populate(TRANSACTION_POPULATE))
+    );
+    return legs;
+}
+
+/**
+ * Load every leg of the transfer that `id` (any of its legs) belongs to
+ */
+async function findTransferLegs(id, session = null) {
+    const leg = await Transaction.findById(id).session(session);
+    if (!leg || !leg.transferLeg) {
+        return null;
+    }
+
+    const out = leg.transferLeg === "out"
+        ? leg
+        : await Transaction.findOne({ _id: leg.transferPair, transferLeg: "out" }).session(session);
+
+    if (!out) {
+        return null;
+    }
+
+    // one after the other: a MongoDB transaction runs one operation at a time
+    const incoming = await Transaction.findOne({ _id: out.transferPair, transferLeg: "in" }).session(session);
+    const fee = await Transaction.findOne({ transferPair: out._id, transferLeg: "fee" }).session(session);
+
+    return { out, in: incoming, fee };
+}
+
+/**
+ * Undo the saldo effect of every leg
+ */
+async function revertLegs(legs, session) {
+    for (const leg of [legs.out, legs.in, legs.fee]) {
+        if (leg) {
+            await revertTransactionEffect(leg, session);
+        }
+    }
+}
+
+/**
+ * Apply the saldo effect of a full transfer: source is debited amount + fee
+ * (never below zero), destination is credited toAmount (its own currency)
+ */
+async function applyTransfer({ fromSaldo, toSaldo, amount, toAmount, fee }, session) {
+    await applySaldoDelta(fromSaldo, -(amount + fee), session, { allowNegative: false });
+    await applySaldoDelta(toSaldo, toAmount, session);
+}
+
+/**
+ * Rate used to convert the source amount into the destination currency:
+ * 1 for same-currency transfers, else the client's `rate` (what the bank
+ * actually charged), else `fallbackRate`, else the rate table on `date`
+ */
+async function transferRate(from, to, { rate, fallbackRate, date }, session = null) {
+    if (from.currency === to.currency) {
+        return 1;
+    }
+    return rate || fallbackRate || exchangeRate(from.currency, to.currency, date, session);
+}
+
+function formatTransfer(legs) {
+    return {
+        _id: legs.out._id,
+        user: legs.out.user,
+        fromSaldo: legs.out.saldo,
+        toSaldo: legs.in ? legs.in.saldo : null,
+        amount: legs.out.amount,
+        currency: legs.out.currency,
+        toAmount: legs.in ? legs.in.amount : null,
+        toCurrency: legs.in ? legs.in.currency : null,
+        exchangeRate: legs.out.exchangeRate,
+        fee: legs.fee ? legs.fee.amount : 0,
+        description: legs.out.description,
+        date: legs.out.date,
+        legs,
+        createdAt: legs.out.createdAt,
+    };
+}
+
+/**
+ * @route   POST /transfer
+ * @desc    Move money from one saldo to another (optional fee charged to the source).
+ *          Between currencies, `amount` is in the source currency and the
+ *          destination receives amount * rate (body `rate` or the rate table).
+ *          `date` can be backdated, not in the future.
+ */
+router.post(
+    "",
+    isAuthenticated,
+    idempotent,
+    catchAsyncErrors(async (req, res, next) => {
+        const schema = {
+            user: { type: "string", empty: false },
+            fromSaldo: { type: "string", empty: false },
+            toSaldo: { type: "string", empty: false },
+            amount: { type: "number", positive: true, convert: true },
+            fee: { type: "number", min: 0, convert: true, optional: true },
+            feeCategory: { type: "string", empty: false, optional: true },
+            description: { type: "string", empty: false, max: 1024, optional: true },
+            rate: { type: "number", positive: true, convert: true, optional: true },
+            date: { type: "date", convert: true, optional: true },
+        };
+
+        const validation = v.validate(req.body, schema);
+        if (validation !== true) {
+            return res.status(400).json({
+                code: 400,
+                status: "error",
+                data: { error: "Validation failed", details: validation },
+            });
+        }
+
+        const { user, fromSaldo, toSaldo, amount, feeCategory } = req.body;
+        const fee = req.body.fee || 0;
+        const date = req.body.date || new Date();
+
+        if (fromSaldo === toSaldo) {
+            return next(new ErrorHandler("Source and destination saldo must be different", 400));
+        }
+        if (isFutureDated(date)) {
+            return next(new ErrorHandler("A transfer cannot be dated in the future", 400));
+        }
+        if (fee > 0 && !feeCategory) {
+            return next(new ErrorHandler("feeCategory is required when a fee is charged", 400));
+        }
+
+        const [from, to] = await Promise.all([Saldo.findById(fromSaldo), Saldo.findById(toSaldo)]);
+        if (!from || !to) {
+            return res.status(404).json({
+                code: 404,
+                message: "Saldo not found",
+            });
+        }
+
+        const description = req.body.description || `Transfer ${from.name} → ${to.name}`;
+        const rate = await transferRate(from, to, { rate: req.body.rate, date });
+        const toAmount = roundAmount(amount * rate);
+        const legRate = from.currency === to.currency ? null : rate;
+
+        const outId = await runInTransaction(async (session) => {
+            await applyTransfer({ fromSaldo, toSaldo, amount, toAmount, fee }, session);
+
+            const outId = new mongoose.Types.ObjectId();
+            const inId = new mongoose.Types.ObjectId();
+
+            const legs = [
+                {
+                    _id: outId,
+                    user,
+                    saldo: fromSaldo,
+                    amount,
+                    description,
+                    type: "expense",
+                    transferLeg: "out",
+                    transferPair: inId,
+                    exchangeRate: legRate,
+                    date,
+                },
+                {
+                    _id: inId,
+                    user,
+                    saldo: toSaldo,
+                    amount: toAmount,
+                    description,
+                    type: "income",
+                    transferLeg: "in",
+                    transferPair: outId,
+                    exchangeRate: legRate,
+                    date,
+                },
+            ];
+
+            if (fee > 0) {
+                legs.push({
+                    user,
+                    category: feeCategory,
+                    saldo: fromSaldo,
+                    amount: fee,
+                    description: `Biaya transfer: ${description}`,
+                    type: "expense",
+                    transferLeg: "fee",
+                    transferPair: outId,
+                    date,
+                });
+            }
+
+            await Transaction.create(legs, { session, ordered: true });
+            return outId;
+        });
+
+        const legs = await populateLegs(await findTransferLegs(outId));
+
+        return res.status(200).json({
+            code: 200,
+            status: "success",
+            data: formatTransfer(legs),
+        });
+    })
+);
+
+/**
+ * @route   GET /transfer/list
+ * @desc    Get all transfers (one entry per transfer, keyed by its outgoing leg)
+ */
+router.get(
+    "/list",
+    isAuthenticated,
+    catchAsyncErrors(async (req, res, next) => {
+        const { page = 1, limit = 50 } = req.query;
+        const skip = (Number(page) - 1) * Number(limit);
+
+        const [outLegs, total] = await Promise.all([
+            Transaction.find({ transferLeg: "out" })
+                .populate(TRANSACTION_POPULATE)
+                .populate({ path: "transferPair", populate: TRANSACTION_POPULATE[2] })
+                .sort({ date: -1, createdAt: -1 })
+                .skip(skip)
+                .limit(Number(limit)),
+            Transaction.countDocuments({ transferLeg: "out" }),
+        ]);
+
+        const fees = await Transaction.find({
+            transferLeg: "fee",
+            transferPair: { $in: outLegs.map((leg) => leg._id) },
+        });
+
+        const items = outLegs.map((out) => formatTransfer({
+            out,
+            in: out.transferPair,
+            fee: fees.find((fee) => fee.transferPair.equals(out._id)) || null,
+        }));
+
+        res.status(200).json({
+            meta: {
+                message: "Transfer retrieved successfully",
+                code: 200,
+                status: "success",
+                pagination: {
+                    total,
+                    page: Number(page),
+                    limit: Number(limit),
+                    pages: Math.ceil(total / Number(limit)),
+                },
+            },
+            data: items,
+        });
+    })
+);
+
+/**
+ * @route   GET /transfer/:id
+ * @desc    Get transfer by the ID of any of its legs
+ */
+router.get(
+    "/:id",
+    isAuthenticated,
+    catchAsyncErrors(async (req, res, next) => {
+        const legs = await findTransferLegs(req.params.id);
+        if (!legs) {
+            return res.status(404).json({
+                code: 404,
+                message: "Transfer not found",
+            });
+        }
+
+        await populateLegs(legs);
+
+        res.status(200).json({
+            meta: {
+                message: "Transfer retrieved successfully",
+                code: 200,
+                status: "success",
+            },
+            data: formatTransfer(legs),
+        });
+    })
+);
+
+/**
+ * @route   PUT /transfer/:id
+ * @desc    Update a transfer; all legs and both saldos are kept consistent.
+ *          A cross-currency transfer keeps its recorded rate unless a new
+ *          `rate` is sent or a saldo of another currency is chosen.
+ */
+router.put(
+    "/:id",
+    isAuthenticated,
+    idempotent,
+    catchAsyncErrors(async (req, res, next) => {
+        const schema = {
+            fromSaldo: { type: "string", empty: false, optional: true },
+            toSaldo: { type: "string", empty: false, optional: true },
+            amount: { type: "number", positive: true, convert: true, optional: true },
+            fee: { type: "number", min: 0, convert: true, optional: true },
+            feeCategory: { type: "string", empty: false, optional: true },
+            description: { type: "string", empty: false, max: 1024, optional: true },
+            rate: { type: "number", positive: true, convert: true, optional: true },
+            date: { type: "date", convert: true, optional: true },
+        };
+
+        const validation = v.validate(req.body, schema);
+        if (validation !== true) {
+            return res.status(400).json({
+                code: 400,
+                status: "error",
+                data: { error: "Validation failed", details: validation },
+            });
+        }
+
+        const existing = await findTransferLegs(req.params.id);
+        if (!existing) {
+            return res.status(404).json({
+                code: 404,
+                message: "Transfer not found",
+            });
+        }
+
+        if (isFutureDated(req.body.date)) {
+            return next(new ErrorHandler("A transfer cannot be dated in the future", 400));
+        }
+
+        const outId = await runInTransaction(async (session) => {
+            const legs = await findTransferLegs(req.params.id, session);
+            if (!legs) {
+                throw new ErrorHandler("Transfer not found", 404);
+            }
+            assertUnlocked([legs.out, legs.in, legs.fee]);
+
+            const fromSaldo = req.body.fromSaldo || legs.out.saldo.toString();
+            const toSaldo = req.body.toSaldo || legs.in.saldo.toString();
+            const amount = req.body.amount ?? legs.out.amount;
+            const fee = req.body.fee ?? (legs.fee ? legs.fee.amount : 0);
+            const feeCategory = req.body.feeCategory || (legs.fee ? legs.fee.category : null);
+            const description = req.body.description || legs.out.description;
+            const date = req.body.date || legs.out.date;
+
+            if (fromSaldo === toSaldo) {
+                throw new ErrorHandler("Source and destination saldo must be different", 400);
+            }
+            if (fee > 0 && !feeCategory) {
+                throw new ErrorHandler("feeCategory is required when a fee is charged", 400);
+            }
+
+            const from = await Saldo.findById(fromSaldo).session(session);
+            const to = await Saldo.findById(toSaldo).session(session);
+            if (!from || !to) {
+                throw new ErrorHandler("Saldo not found", 404);
+            }
+
+            const samePair = legs.out.currency === from.currency && legs.in.currency === to.currency;
+            const rate = await transferRate(
+                from,
+                to,
+                {
+                    rate: req.body.rate,
+                    fallbackRate: samePair ? legs.out.exchangeRate : null,
+                    date,
+                },
+                session
+            );
+            const toAmount = roundAmount(amount * rate);
+            const legRate = from.currency === to.currency ? null : rate;
+
+            await revertLegs(legs, session);
+            await applyTransfer({ fromSaldo, toSaldo, amount, toAmount, fee }, session);
+
+            legs.out.set({ saldo: fromSaldo, amount, description, exchangeRate: legRate, date });
+            legs.in.set({ saldo: toSaldo, amount: toAmount, description, exchangeRate: legRate, date });
+            await legs.out.save({ session });
+            await legs.in.save({ session });
+
+            if (fee > 0 && legs.fee) {
+                legs.fee.set({
+                    saldo: fromSaldo,
+                    amount: fee,
+                    category: feeCategory,
+                    description: `Biaya transfer: ${description}`,
+                    date,
+                });
+                await legs.fee.save({ session });
+            } else if (fee > 0) {
+                await Transaction.create(
+                    [
+                        {
+                            user: legs.out.user,
+                            category: feeCategory,
+                            saldo: fromSaldo,
+                            amount: fee,
+                            description: `Biaya transfer: ${description}`,
+                            type: "expense",
+                            transferLeg: "fee",
+                            transferPair: legs.out._id,
+                            date,
+                        },
+                    ],
+                    { session }
+                );
+            } else if (legs.fee) {
+                // trashed like any other transaction (restorable alone, see the trash)
+                await legs.fee.softDelete(req.user, { session });
+            }
+
+            return legs.out._id;
+        });
+
+        const legs = await populateLegs(await findTransferLegs(outId));
+
+        res.status(200).json({
+            meta: {
+                message: "Transfer updated successfully",
+                code: 200,
+                status: "success",
+            },
+            data: formatTransfer(legs),
+        });
+    })
+);
+
+/**
+ * @route   DELETE /transfer/:id
+ * @desc    Move a transfer (all legs) to the trash and revert both saldos
+ */
+router.delete(
+    "/:id",
+    isAuthenticated,
+    idempotent,
+    catchAsyncErrors(async (req, res, next) => {
+        const existing = await findTransferLegs(req.params.id);
+        if (!existing) {
+            return res.status(404).json({
+                code: 404,
+                message: "Transfer not found",
+            });
+        }
+
+        await runInTransaction(async (session) => {
+            const legs = await findTransferLegs(req.params.id, session);
+            if (!legs) {
+                throw new ErrorHandler("Transfer not found", 404);
+            }
+            assertUnlocked([legs.out, legs.in, legs.fee]);
+
+            await revertLegs(legs, session);
+            // out first: the trash restores the legs trashed with it
+            for (const leg of [legs.out, legs.in, legs.fee]) {
+                if (leg) {
+                    await leg.softDelete(req.user, { session });
+                }
+            }
+        });
+
+        res.status(200).json({
+            meta: {
+                message: "Transfer deleted successfully",
+                code: 200,
+                status: "success",
+            },
+        });
+    })
+);
+
+module.exports = router;
@@ -0,0 +1,191 @@
+const express = require("express");
+const router = express.Router();
+
+// Models
+const Transaction = require("../model/Transaction");
+const Saldo = require("../model/Saldo");
+const Category = require("../model/Category");
+
+// Middleware & Utils
+const ErrorHandler = require("../utils/ErrorHandler");
+const catchAsyncErrors = require("../middleware/catchAsyncErrors");
+const { isAuthenticated } = require("../middleware/auth");
+const { idempotent } = require("../middleware/idempotency");
+const runInTransaction = require("../utils/dbTransaction");
+const { signedAmount, applySaldoDelta, hasSaldoEffect } = require("../utils/saldoBalance");
+const { TRANSACTION_POPULATE } = require("../utils/populate");
+const { retentionDays } = require("../utils/trashPurger");
+
+const TRASH_MODELS = {
+    transaction: Transaction,
+    saldo: Saldo,
+    category: Category,
+};
+
+const TRASHED = { deletedAt: { $ne: null } };
+
+const trashModel = (type) => {
+    const Model = TRASH_MODELS[type];
+    if (!Model) {
+        throw new ErrorHandler(`type must be one of: ${Object.keys(TRASH_MODELS).join(", ")}`, 400);
+    }
+    return Model;
+};
+
+/**
+ * Every trashed leg of the transfer `leg` belongs to; a transfer is
+ * always trashed and restored as a whole. A fee leg dropped by editing
+ * the transfer was trashed before its out leg and stays in the trash;
+ * restored on its own it must not give the transfer a second fee.
+ */
+async function trashedTransferLegs(leg, session) {
+    const outId = leg.transferLeg === "out" ? leg._id : leg.transferPair;
+    const out = await Transaction.findOne({ _id: outId, ...TRASHED }).session(session);
+    if (!out) {
+        if (leg.transferLeg === "fee") {
+            const hasFee = await Transaction.exists({ transferPair: outId, transferLeg: "fee" }).session(session);
+            if (hasFee) {
+                throw new ErrorHandler("This transfer already has a fee, edit the transfer instead", 400);
+            }
+        }
+        return [leg];
+    }
+
+    return Transaction.find({
+        ...TRASHED,
+        $or: [
+            { _id: { $in: [out._id, out.transferPair] } },
+            { transferPair: out._id, transferLeg: "fee", deletedAt: { $gte: out.deletedAt } },
+        ],
+    }).session(session);
+}
+
+/**
+ * @route   GET /trash?type=transaction|saldo|category&page=1&limit=50
+ * @desc    List trashed documents, most recently deleted first
+ */
+router.get(
+    "",
+    isAuthenticated,
+    catchAsyncErrors(async (req, res, next) => {
+        const { type = "transaction", page = 1, limit = 50 } = req.query;
+        const Model = trashModel(type);
+        const skip = (Number(page) - 1) * Number(limit);
+
+        let query = Model.find(TRASHED)
+            .populate("deletedBy", "name email")
+            .sort({ deletedAt: -1 })
+            .skip(skip)
+            .limit(Number(limit));
+        if (Model === Transaction) {
+            query = query.populate(TRANSACTION_POPULATE);
+        }
+
+        const [items, total] = await Promise.all([query, Model.countDocuments(TRASHED)]);
+
+        res.status(200).json({
+            meta: {
+                message: "Trash retrieved successfully",
+                code: 200,
+                status: "success",
+                retentionDays: retentionDays(),
+                pagination: {
+                    total,
+                    page: Number(page),
+                    limit: Number(limit),
+                    pages: Math.ceil(total / Number(limit)),
+                },
+            },
+            data: items,
+        });
+    })
+);
+
+/**
+ * @route   POST /trash/transaction/:id/restore
+ * @desc    Restore a trashed transaction and re-apply its saldo effect
+ *          (all legs together for a transfer). Its saldo must not be trashed.
+ */
+router.post(
+    "/transaction/:id/restore",
+    isAuthenticated,
+    idempotent,
+    catchAsyncErrors(async (req, res, next) => {
+        const ids = await runInTransaction(async (session) => {
+            const transaction = await Transaction.findOne({ _id: req.params.id, ...TRASHED }).session(session);
+            if (!transaction) {
+                throw new ErrorHandler("Trashed transaction not found", 404);
+            }
+
+            const restored = transaction.transferLeg
+                ? await trashedTransferLegs(transaction, session)
+                : [transaction];
+
+            for (const tx of restored) {
+                const saldoLive = await Saldo.exists({ _id: tx.saldo }).session(session);
+                if (!saldoLive) {
+                    throw new ErrorHandler("Saldo of this transaction is in the trash, restore it first", 400);
+                }
+                // a pending one is posted once its date arrives / it is approved
+                if (hasSaldoEffect(tx)) {
+                    await applySaldoDelta(tx.saldo, signedAmount(tx.type, tx.amount), session);
+                }
+            }
+
+            await Transaction.updateMany(
+                { _id: { $in: restored.map((tx) => tx._id) }, ...TRASHED },
+                { deletedAt: null, deletedBy: null },
+                { session }
+            );
+
+            return restored.map((tx) => tx._id);
+        });
+
+        const transactions = await Transaction.find({ _id: { $in: ids } }).populate(TRANSACTION_POPULATE);
+
+        res.status(200).json({
+            meta: {
+                message: "Transaction restored successfully",
+                code: 200,
+                status: "success",
+            },
+            data: transactions,
+        });
+    })
+);
+
+/**
+ * @route   POST /trash/:type/:id/restore
+ * @desc    Restore a trashed saldo or category
+ */
+router.post(
+    "/:type/:id/restore",
+    isAuthenticated,
+    catchAsyncErrors(async (req, res, next) => {
+        const Model = trashModel(req.params.type);
+
+        const restored = await Model.findOneAndUpdate(
+            { _id: req.params.id, ...TRASHED },
+            { deletedAt: null, deletedBy: null },
+            { new: true }
+        );
+
+        if (!restored) {
+            return res.status(404).json({
+                code: 404,
+                message: `Trashed ${req.params.type} not found`,
+            });
+        }
+
+        res.status(200).json({
+            meta: {
+                message: `${Model.modelName} restored successfully`,
+                code: 200,
+                status: "success",
+            },
+            data: restored,
+        });
+    })
+);
+
+module.exports = router;
@@ -0,0 +1,139 @@
+const crypto = require("crypto");
+const IdempotencyKey = require("../model/IdempotencyKey");
+const ErrorHandler = require("../utils/ErrorHandler");
+const catchAsyncErrors = require("./catchAsyncErrors");
+
+const HEADER = "Idempotency-Key";
+const MAX_KEY_LENGTH = 255;
+const DEFAULT_TTL_HOURS = 24;
+
+const ttlMs = () => (Number(process.env.IDEMPOTENCY_TTL_HOURS) || DEFAULT_TTL_HOURS) * 60 * 60 * 1000;
+
+/**
+ * JSON with object keys sorted, so the same payload always hashes the same
+ */
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(",")}]`;
+  }
+  if (value && typeof value === "object" && !(value instanceof Date)) {
+    return `{${Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value) ?? "null";
+};
+
+const requestHash = (req) => {
+  const hash = crypto.createHash("sha256");
+  hash.update(`${req.method} ${req.baseUrl}${req.path}\n`);
+  hash.update(stableStringify(req.body || {}));
+  // multipart uploads: the file content is part of the payload
+  for (const file of req.file ? [req.file] : req.files || []) {
+    hash.update(file.buffer);
+  }
+  return hash.digest("hex");
+};
+
+/**
+ * Reserve `key` for this request. Returns null when it is ours to process,
+ * or the stored record of an earlier request with the same key.
+ */
+const reserveKey = async (user, key, hash) => {
+  try {
+    await IdempotencyKey.create({
+      key,
+      user,
+      requestHash: hash,
+      expiresAt: new Date(Date.now() + ttlMs()),
+    });
+    return null;
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+  }
+
+  const existing = await IdempotencyKey.findOne({ user, key });
+  if (!existing) {
+    // removed meanwhile (failed request or expiry), try again
+    return reserveKey(user, key, hash);
+  }
+  if (existing.expiresAt < new Date()) {
+    // past its window but not yet removed by the TTL monitor
+    await IdempotencyKey.deleteOne({ _id: existing._id, expiresAt: existing.expiresAt });
+    return reserveKey(user, key, hash);
+  }
+  return existing;
+};
+
+/**
+ * Safe retries for endpoints that move money. With an `Idempotency-Key`
+ * header (unique per user and attempt) the first response is stored for
+ * IDEMPOTENCY_TTL_HOURS (24 by default) and replayed, with an
+ * `Idempotent-Replayed: true` header, for any retry of the same request:
+ * - same key, different method/path/body -> 422
+ * - same key while the first request is still running -> 409
+ * - 5xx responses are not stored, so a retry runs again
+ * Requests without the header are processed normally.
+ *
+ * Use after isAuthenticated (and after upload middleware for multipart routes).
+ */
+exports.idempotent = catchAsyncErrors(async (req, res, next) => {
+  const key = req.get(HEADER);
+  if (!key) return next();
+
+  if (key.length > MAX_KEY_LENGTH) {
+    return next(new ErrorHandler(`${HEADER} must be at most ${MAX_KEY_LENGTH} characters`, 400));
+  }
+
+  const hash = requestHash(req);
+  const existing = await reserveKey(req.user._id, key, hash);
+
+  if (existing) {
+    if (existing.requestHash !== hash) {
+      return next(new ErrorHandler(`${HEADER} was already used for a different request`, 422));
+    }
+    if (existing.status !== "completed") {
+      return next(new ErrorHandler(`A request with this ${HEADER} is still being processed`, 409));
+    }
+
+    res.set("Idempotent-Replayed", "true");
+    return res.status(existing.responseStatus).json(existing.responseBody);
+  }
+
+  let settled = false;
+  const release = () => {
+    settled = true;
+    return IdempotencyKey.deleteOne({ user: req.user._id, key }).catch(() => {});
+  };
+
+  // Store the response before it is sent, so a retry arriving right after sees it
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (settled) return json(body);
+    settled = true;
+
+    const save = res.statusCode >= 500
+      ? release()
+      : IdempotencyKey.updateOne(
+        { user: req.user._id, key },
+        {
+          status: "completed",
+          responseStatus: res.statusCode,
+          responseBody: JSON.parse(JSON.stringify(body ?? null)),
+        }
+      );
+
+    Promise.resolve(save)
+      .catch((err) => console.error(`❌ Failed to store idempotent response: ${err.message}`))
+      .finally(() => json(body));
+    return res;
+  };
+
+  // Connection dropped before a response: let the client retry
+  res.on("close", () => {
+    if (!settled) release();
+  });
+
+  next();
+});
@@ -0,0 +1,16 @@
+const { AsyncLocalStorage } = require("async_hooks");
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Keep the current request reachable from code that has no `req` (model
+ * hooks such as the audit trail) for the rest of its async chain
+ */
+exports.requestContext = (req, res, next) => {
+  storage.run({ req }, next);
+};
+
+exports.currentRequest = () => {
+  const store = storage.getStore();
+  return store ? store.req : null;
+};
@@ -0,0 +1,35 @@
+const path = require("path");
+const { AsyncResource } = require("async_hooks");
+const multer = require("multer");
+const ErrorHandler = require("../utils/ErrorHandler");
+
+/**
+ * In-memory multipart upload for `field` (req.file, or req.files when
+ * maxCount > 1). A file needs one of `extensions` and, when `mimeTypes` is
+ * given, one of those too: the client sends both, either alone can be
+ * forged. Multer errors and rejected file types become 400s.
+ */
+exports.memoryUpload = ({ field, maxCount = 1, maxSize, extensions = [], mimeTypes = [] }) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxSize, files: maxCount },
+    fileFilter: (req, file, cb) => {
+      const ext = path.extname(file.originalname || "").toLowerCase();
+      if (extensions.includes(ext) && (mimeTypes.length === 0 || mimeTypes.includes(file.mimetype))) {
+        return cb(null, true);
+      }
+      cb(new ErrorHandler(`File type not allowed: ${file.originalname}`, 400));
+    },
+  });
+
+  const handler = maxCount > 1 ? upload.array(field, maxCount) : upload.single(field);
+
+  return (req, res, next) => {
+    // multer calls back from stream events; bind so the request context survives
+    handler(req, res, AsyncResource.bind((err) => {
+      if (!err) return next();
+      if (err instanceof ErrorHandler) return next(err);
+      return next(new ErrorHandler(err.message, 400));
+    }));
+  };
+};
@@ -0,0 +1,34 @@
+/**
+ * Backfill Transaction.date (added after the fact) from createdAt, and mark
+ * those transactions as posted. Safe to run more than once: only documents
+ * without a date are touched.
+ *
+ *   npm run migrate:transaction-date
+ */
+const mongoose = require("mongoose");
+
+if (process.env.NODE_ENV !== "PRODUCTION") {
+  require("dotenv").config({
+    path: "config/.env",
+  });
+}
+
+const backfillTransactionDate = async () => {
+  // straight on the collection: a bulk data fix, not user changes, so it
+  // skips the soft-delete filter (trashed ones need a date too) and the audit log
+  const result = await mongoose.connection.collection("transactions").updateMany(
+    { date: { $exists: false } },
+    [{ $set: { date: "$createdAt", pending: false } }]
+  );
+
+  console.log(`✅ Backfilled date on ${result.modifiedCount} transaction(s)`);
+};
+
+mongoose
+  .connect(process.env.DB_URL)
+  .then(backfillTransactionDate)
+  .catch((err) => {
+    console.error("❌ Migration failed:", err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+const { Schema, model } = mongoose;
+
+const changeSchema = new Schema(
+    {
+        path: String,
+        from: Schema.Types.Mixed,
+        to: Schema.Types.Mixed,
+    },
+    { _id: false }
+);
+
+const auditLogSchema = new Schema(
+    {
+        model: {
+            type: String,
+            required: true,
+        },
+        documentId: {
+            type: Schema.Types.ObjectId,
+            required: true,
+        },
+        action: {
+            type: String,
+            enum: ['create', 'update', 'delete', 'trash', 'restore'],
+            required: true,
+        },
+        // null when the change did not come from a request (scheduler, purge)
+        actor: {
+            type: Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
+        ip: {
+            type: String,
+            default: null,
+        },
+        userAgent: {
+            type: String,
+            default: null,
+        },
+        route: {
+            type: String,
+            default: null,
+        },
+        before: {
+            type: Schema.Types.Mixed,
+            default: null,
+        },
+        after: {
+            type: Schema.Types.Mixed,
+            default: null,
+        },
+        changes: [changeSchema],
+    },
+    { timestamps: { createdAt: true, updatedAt: false }, minimize: false }
+);
+
+auditLogSchema.index({ model: 1, documentId: 1, createdAt: 1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+
+// Entries are append-only
+const immutable = function () {
+    throw new Error('Audit log entries are immutable');
+};
+
+auditLogSchema.pre(
+    ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndReplace'],
+    immutable
+);
+auditLogSchema.pre('deleteOne', { document: true, query: false }, immutable);
+auditLogSchema.pre('save', function () {
+    if (!this.isNew) {
+        immutable();
+    }
+});
+
+module.exports = model('AuditLog', auditLogSchema);
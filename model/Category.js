@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 const { Schema, model } = mongoose;
+const softDelete = require('./plugins/softDelete');
+const auditTrail = require('./plugins/auditTrail');
 
 const categorySchema = new Schema(
     {
@@ -16,8 +18,17 @@ const categorySchema = new Schema(
             type: String,
             required: true,
         },
+        // Expenses in this category above this amount (base currency) need
+        // approval; null falls back to the global APPROVAL_THRESHOLD
+        approvalThreshold: {
+            type: Number,
+            default: null,
+        },
     },
     { timestamps: true }
 );
 
+categorySchema.plugin(softDelete);
+categorySchema.plugin(auditTrail);
+
 module.exports = model('Category', categorySchema);
@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+const { Schema, model } = mongoose;
+
+// A background train / evaluate / cross-validate run (utils/classifierJobs)
+const classifierJobSchema = new Schema(
+    {
+        type: {
+            type: String,
+            enum: ['train', 'evaluate', 'cross-validate'],
+            required: true,
+        },
+        status: {
+            type: String,
+            enum: ['queued', 'running', 'completed', 'failed', 'cancelled'],
+            default: 'queued',
+        },
+        // request body the job was started with
+        params: {
+            type: Schema.Types.Mixed,
+            default: {},
+        },
+        // documents processed in the current phase (loading, scoring,
+        // training, evaluating)
+        progress: {
+            phase: {
+                type: String,
+                default: null,
+            },
+            processed: {
+                type: Number,
+                default: 0,
+            },
+            total: {
+                type: Number,
+                default: 0,
+            },
+            percent: {
+                type: Number,
+                default: 0,
+            },
+        },
+        // estimated end of the current phase
+        eta: {
+            type: Date,
+            default: null,
+        },
+        cancelRequested: {
+            type: Boolean,
+            default: false,
+        },
+        // the job type while queued or running; unique, so only one job of
+        // a type runs at a time across instances
+        lockKey: {
+            type: String,
+            default: null,
+        },
+        // process running it (hostname:pid)
+        owner: {
+            type: String,
+            default: null,
+        },
+        result: {
+            type: Schema.Types.Mixed,
+            default: null,
+        },
+        error: {
+            type: String,
+            default: null,
+        },
+        startedAt: {
+            type: Date,
+            default: null,
+        },
+        finishedAt: {
+            type: Date,
+            default: null,
+        },
+        createdBy: {
+            type: Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
+    },
+    { timestamps: true, minimize: false }
+);
+
+classifierJobSchema.index(
+    { lockKey: 1 },
+    { unique: true, partialFilterExpression: { lockKey: { $type: 'string' } } }
+);
+classifierJobSchema.index({ type: 1, createdAt: -1 });
+
+module.exports = model('ClassifierJob', classifierJobSchema);
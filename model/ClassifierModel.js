@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+const { Schema, model } = mongoose;
+
+// Serialized classifier of a model version, deflated JSON (kept out of the
+// registry document so listing versions never loads the models)
+const classifierModelSchema = new Schema(
+    {
+        version: {
+            type: Number,
+            required: true,
+            unique: true,
+        },
+        backend: {
+            type: String,
+            required: true,
+        },
+        data: {
+            type: Buffer,
+            required: true,
+        },
+    },
+    { timestamps: true }
+);
+
+module.exports = model('ClassifierModel', classifierModelSchema);
@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+const { Schema, model } = mongoose;
+
+// One stored model version (its classifier state is a ClassifierModel)
+const versionSchema = new Schema(
+    {
+        version: {
+            type: Number,
+            required: true,
+        },
+        backend: {
+            type: String,
+            required: true,
+        },
+        // text preprocessing config it was trained with (utils/textPreprocessing)
+        pipeline: {
+            type: Schema.Types.Mixed,
+            default: null,
+        },
+        createdAt: {
+            type: Date,
+            required: true,
+        },
+        // training details: samples, categories, durationMs, trainedBy
+        metadata: {
+            type: Schema.Types.Mixed,
+            default: {},
+        },
+        // holdout evaluation, null when there were too few samples
+        scores: {
+            type: Schema.Types.Mixed,
+            default: null,
+        },
+        // online learning counters since training
+        online: {
+            type: Schema.Types.Mixed,
+            default: null,
+        },
+        activatedAt: {
+            type: Date,
+            default: null,
+        },
+        activatedBy: {
+            type: Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
+    },
+    { _id: false }
+);
+
+// The category classifier's model registry, a single document (key
+// 'category') shared by every instance of the app
+const classifierRegistrySchema = new Schema(
+    {
+        key: {
+            type: String,
+            required: true,
+            unique: true,
+        },
+        activeVersion: {
+            type: Number,
+            default: null,
+        },
+        // rollback stack, most recent last
+        previous: [Number],
+        versions: [versionSchema],
+        // bumped by every registry write; a write only lands on the revision
+        // it was read at, so instances never overwrite each other's changes
+        revision: {
+            type: Number,
+            default: 0,
+        },
+        // held by the instance that is training, expires in case it dies
+        trainingLock: {
+            owner: String,
+            expiresAt: Date,
+        },
+    },
+    { timestamps: true }
+);
+
+module.exports = model('ClassifierRegistry', classifierRegistrySchema);
@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+const { Schema, model } = mongoose;
+
+// precision / recall / F1 averaged over the test categories
+const averagesSchema = new Schema(
+    {
+        precision: Number,
+        recall: Number,
+        f1Score: Number,
+    },
+    { _id: false }
+);
+
+// One /evaluate-model or /cross-validate run with everything needed to
+// reproduce it (the seed and split parameters)
+const evaluationRunSchema = new Schema(
+    {
+        kind: {
+            type: String,
+            enum: ['holdout', 'cross-validation'],
+            required: true,
+        },
+        // holdout: random | stratified | time, cross-validation: random | stratified
+        strategy: {
+            type: String,
+            enum: ['random', 'stratified', 'time'],
+            required: true,
+        },
+        // seed, limit and testRatio (holdout) or k (cross-validation)
+        params: {
+            type: Schema.Types.Mixed,
+            default: {},
+        },
+        backend: {
+            type: String,
+            required: true,
+        },
+        pipeline: {
+            type: Schema.Types.Mixed,
+            default: null,
+        },
+        // stored model version the run scored as it is, null when a fresh
+        // classifier was trained for the run (backend / pipeline above)
+        modelVersion: {
+            type: Number,
+            default: null,
+        },
+        samples: {
+            type: Number,
+            required: true,
+        },
+        // holdout scores, or the mean over the folds
+        accuracy: {
+            type: Number,
+            required: true,
+        },
+        macro: averagesSchema,
+        weighted: averagesSchema,
+        // cross-validation: [{ fold, accuracy, macro, weighted, testSamples }]
+        // and the standard deviation of the fold scores
+        folds: {
+            type: [Schema.Types.Mixed],
+            default: undefined,
+        },
+        std: {
+            type: Schema.Types.Mixed,
+            default: null,
+        },
+        // holdout: per category metrics and the confusion matrix
+        metrics: {
+            type: Schema.Types.Mixed,
+            default: null,
+        },
+        confusionMatrix: {
+            type: Schema.Types.Mixed,
+            default: null,
+        },
+        durationMs: {
+            type: Number,
+            default: null,
+        },
+        createdBy: {
+            type: Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
+    },
+    { timestamps: { createdAt: true, updatedAt: false }, minimize: false }
+);
+
+evaluationRunSchema.index({ createdAt: -1 });
+evaluationRunSchema.index({ kind: 1, backend: 1, createdAt: -1 });
+evaluationRunSchema.index({ modelVersion: 1, createdAt: -1 });
+
+module.exports = model('EvaluationRun', evaluationRunSchema);
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+const { Schema, model } = mongoose;
+
+// 1 `currency` = `rate` units of `base`, valid from `date` until the next rate
+const exchangeRateSchema = new Schema(
+    {
+        currency: {
+            type: String,
+            required: true,
+            uppercase: true,
+            match: /^[A-Z]{3}$/,
+        },
+        base: {
+            type: String,
+            required: true,
+            uppercase: true,
+            match: /^[A-Z]{3}$/,
+        },
+        rate: {
+            type: Number,
+            required: true,
+            min: 0,
+        },
+        // UTC midnight of the day the rate applies to
+        date: {
+            type: Date,
+            required: true,
+        },
+        source: {
+            type: String,
+            enum: ['manual', 'import'],
+            default: 'manual',
+        },
+    },
+    { timestamps: true }
+);
+
+exchangeRateSchema.index({ base: 1, currency: 1, date: 1 }, { unique: true });
+
+module.exports = model('ExchangeRate', exchangeRateSchema);
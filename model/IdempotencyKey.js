@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+const { Schema, model } = mongoose;
+
+// First response of a request sent with an Idempotency-Key header
+const idempotencyKeySchema = new Schema(
+    {
+        key: {
+            type: String,
+            required: true,
+        },
+        user: {
+            type: Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+        },
+        // method, path and body fingerprint; a retry must send the same request
+        requestHash: {
+            type: String,
+            required: true,
+        },
+        status: {
+            type: String,
+            enum: ['processing', 'completed'],
+            default: 'processing',
+        },
+        responseStatus: {
+            type: Number,
+            default: null,
+        },
+        responseBody: {
+            type: Schema.Types.Mixed,
+            default: null,
+        },
+        expiresAt: {
+            type: Date,
+            required: true,
+        },
+    },
+    { timestamps: true }
+);
+
+idempotencyKeySchema.index({ user: 1, key: 1 }, { unique: true });
+// MongoDB removes keys once their window has passed
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = model('IdempotencyKey', idempotencyKeySchema);
@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+const { Schema, model } = mongoose;
+const auditTrail = require('./plugins/auditTrail');
+
+// A reconciled transaction that was later unlocked for editing
+const unlockSchema = new Schema(
+    {
+        transaction: {
+            type: Schema.Types.ObjectId,
+            ref: 'Transaction',
+            required: true,
+        },
+        user: {
+            type: Schema.Types.ObjectId,
+            ref: 'User',
+        },
+        reason: {
+            type: String,
+        },
+    },
+    { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+// A saldo checked against a bank statement: every transaction up to
+// `statementDate` that the bank shows is marked cleared, and once the cleared
+// balance equals `statementBalance` they are locked
+const reconciliationSchema = new Schema(
+    {
+        saldo: {
+            type: Schema.Types.ObjectId,
+            ref: 'Saldo',
+            required: true,
+        },
+        statementDate: {
+            type: Date,
+            required: true,
+        },
+        // ending balance printed on the statement
+        statementBalance: {
+            type: Number,
+            required: true,
+        },
+        status: {
+            type: String,
+            enum: ['open', 'completed'],
+            default: 'open',
+        },
+        note: {
+            type: String,
+        },
+        // figures at completion; while open they are computed live
+        clearedBalance: {
+            type: Number,
+            default: null,
+        },
+        difference: {
+            type: Number,
+            default: null,
+        },
+        // transactions locked by this reconciliation
+        transactions: [
+            {
+                type: Schema.Types.ObjectId,
+                ref: 'Transaction',
+            },
+        ],
+        startedBy: {
+            type: Schema.Types.ObjectId,
+            ref: 'User',
+        },
+        completedBy: {
+            type: Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
+        completedAt: {
+            type: Date,
+            default: null,
+        },
+        unlocks: [unlockSchema],
+    },
+    { timestamps: true }
+);
+
+reconciliationSchema.plugin(auditTrail);
+
+reconciliationSchema.index({ saldo: 1, statementDate: -1 });
+// one reconciliation in progress per saldo
+reconciliationSchema.index(
+    { saldo: 1 },
+    { unique: true, partialFilterExpression: { status: 'open' } }
+);
+
+module.exports = model('Reconciliation', reconciliationSchema);
@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+const { Schema, model } = mongoose;
+
+const recurringTransactionSchema = new Schema(
+    {
+        user: {
+            type: Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+        },
+        category: {
+            type: Schema.Types.ObjectId,
+            ref: 'Category',
+            required: true,
+        },
+        saldo: {
+            type: Schema.Types.ObjectId,
+            ref: 'Saldo',
+            required: true,
+        },
+        amount: {
+            type: Number,
+            required: true,
+        },
+        description: {
+            type: String,
+            required: true,
+        },
+        type: {
+            type: String,
+            enum: ['income', 'expense'],
+            required: true,
+        },
+        frequency: {
+            type: String,
+            enum: ['daily', 'weekly', 'monthly', 'yearly'],
+            required: true,
+        },
+        // every `interval` days/weeks/months/years
+        interval: {
+            type: Number,
+            min: 1,
+            default: 1,
+        },
+        startDate: {
+            type: Date,
+            required: true,
+        },
+        endDate: {
+            type: Date,
+            default: null,
+        },
+        maxOccurrences: {
+            type: Number,
+            min: 1,
+            default: null,
+        },
+        // monthly/yearly: clamped to the last day of short months (31 -> 28 Feb)
+        dayOfMonth: {
+            type: Number,
+            min: 1,
+            max: 31,
+        },
+        // index of the next occurrence that has not been posted or skipped yet
+        nextIndex: {
+            type: Number,
+            default: 0,
+        },
+        nextRunAt: {
+            type: Date,
+            default: null,
+        },
+        skippedDates: [Date],
+        postedCount: {
+            type: Number,
+            default: 0,
+        },
+        status: {
+            type: String,
+            enum: ['active', 'paused', 'completed'],
+            default: 'active',
+        },
+        lastRunAt: {
+            type: Date,
+            default: null,
+        },
+    },
+    { timestamps: true }
+);
+
+recurringTransactionSchema.index({ status: 1, nextRunAt: 1 });
+
+module.exports = model('RecurringTransaction', recurringTransactionSchema);
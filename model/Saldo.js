@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 const { Schema, model } = mongoose;
+const softDelete = require('./plugins/softDelete');
+const auditTrail = require('./plugins/auditTrail');
 
 const Saldo = new Schema(
     {
@@ -11,12 +13,28 @@ const Saldo = new Schema(
             type: Number,
             required: true,
         },
+        // ISO 4217 code, `amount` (and every transaction on this saldo) is in it
+        currency: {
+            type: String,
+            uppercase: true,
+            match: /^[A-Z]{3}$/,
+            default: 'IDR',
+        },
         description: {
             type: String,
             required: true,
         },
+        // Expenses from this saldo above this amount (base currency) need
+        // approval; null falls back to the global APPROVAL_THRESHOLD
+        approvalThreshold: {
+            type: Number,
+            default: null,
+        },
     },
     { timestamps: true }
 );
 
+Saldo.plugin(softDelete);
+Saldo.plugin(auditTrail);
+
 module.exports = model('Saldo', Saldo); 
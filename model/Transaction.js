@@ -1,5 +1,53 @@
 const mongoose = require('mongoose');
 const { Schema, model } = mongoose;
+const softDelete = require('./plugins/softDelete');
+const auditTrail = require('./plugins/auditTrail');
+const { SPLIT_TOLERANCE } = require('../utils/transactionSchemas');
+const { normalizeTags } = require('../utils/tags');
+
+const attachmentSchema = new Schema(
+    {
+        // storage backend that holds the file ('cloudinary' or 'local')
+        provider: {
+            type: String,
+            required: true,
+        },
+        publicId: {
+            type: String,
+            required: true,
+        },
+        url: {
+            type: String,
+            required: true,
+        },
+        resourceType: String,
+        fileName: String,
+        mimeType: String,
+        size: Number,
+        uploadedBy: {
+            type: Schema.Types.ObjectId,
+            ref: 'User',
+        },
+    },
+    { timestamps: true }
+);
+
+// Part of a transaction's amount booked to its own category
+const splitSchema = new Schema({
+    category: {
+        type: Schema.Types.ObjectId,
+        ref: 'Category',
+        required: true,
+    },
+    amount: {
+        type: Number,
+        required: true,
+        min: 0,
+    },
+    note: {
+        type: String,
+    },
+});
 
 const transactionSchema = new Schema(
     {
@@ -11,7 +59,11 @@ const transactionSchema = new Schema(
         category: {
             type: Schema.Types.ObjectId,
             ref: 'Category',
-            required: true,
+            // transfer legs only move money between saldos, they have no category;
+            // neither has a transaction waiting for its category to be reviewed
+            required: function () {
+                return !['out', 'in'].includes(this.transferLeg) && !this.needsReview;
+            },
         },
         saldo: {
             type: Schema.Types.ObjectId,
@@ -22,6 +74,12 @@ const transactionSchema = new Schema(
             type: Number,
             required: true,
         },
+        // Always the currency of `saldo`, copied on save for reporting
+        currency: {
+            type: String,
+            uppercase: true,
+            default: 'IDR',
+        },
         description: {
             type: String,
             required: true,
@@ -31,8 +89,182 @@ const transactionSchema = new Schema(
             enum: ['income', 'expense'],
             required: true,
         },
+        // When the money actually moved (reports, filters and sorting use it);
+        // can be backdated or in the future. Defaults to the creation time.
+        date: {
+            type: Date,
+        },
+        // Future-dated: the saldo is only adjusted once `date` arrives
+        // (see utils/pendingTransactions)
+        pending: {
+            type: Boolean,
+            default: false,
+        },
+        // Transfer between saldos: 'out' (expense on source), 'in' (income on
+        // destination) and optional 'fee' (expense on source). 'out' and 'in'
+        // point at each other, 'fee' points at its 'out' leg.
+        transferLeg: {
+            type: String,
+            enum: ['out', 'in', 'fee', null],
+            default: null,
+        },
+        transferPair: {
+            type: Schema.Types.ObjectId,
+            ref: 'Transaction',
+            default: null,
+        },
+        // Cross-currency transfer ('out' and 'in' legs): 1 unit of the source
+        // currency = exchangeRate units of the destination currency
+        exchangeRate: {
+            type: Number,
+            default: null,
+        },
+        // Set when the transaction was posted by a recurring rule
+        recurring: {
+            type: Schema.Types.ObjectId,
+            ref: 'RecurringTransaction',
+            default: null,
+        },
+        occurrenceDate: {
+            type: Date,
+            default: null,
+        },
+        // Fingerprint of the spreadsheet row this transaction was imported from
+        importHash: {
+            type: String,
+        },
+        // Bank's own ID of the statement line this transaction was imported
+        // from (OFX FITID, MT940 bank reference), unique per saldo
+        externalId: {
+            type: String,
+        },
+        // Receipts / invoices
+        attachments: [attachmentSchema],
+        // Split transaction: the amount spread over several categories (sums to
+        // `amount`); `category` then holds the category of the largest split
+        splits: [splitSchema],
+        // Free-form labels cutting across categories ("trip-bali-2026")
+        tags: {
+            type: [String],
+            set: normalizeTags,
+        },
+        // Large expenses wait for an admin: while 'pending' (or once
+        // 'rejected') they do not touch the saldo. null when no approval was needed.
+        approvalStatus: {
+            type: String,
+            enum: ['pending', 'approved', 'rejected', null],
+            default: null,
+        },
+        // threshold that was exceeded, in the base currency
+        approvalThreshold: {
+            type: Number,
+            default: null,
+        },
+        approvalDecidedBy: {
+            type: Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
+        approvalDecidedAt: {
+            type: Date,
+            default: null,
+        },
+        approvalNote: {
+            type: String,
+        },
+        // Saved by POST /transaction/models when the classifier was not
+        // confident enough: no category until confirmed in the review queue
+        needsReview: {
+            type: Boolean,
+            default: false,
+        },
+        // classifier's top categories at the time, most likely first
+        suggestedCategories: [
+            {
+                _id: false,
+                name: String,
+                probability: Number,
+            },
+        ],
+        reviewedBy: {
+            type: Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
+        reviewedAt: {
+            type: Date,
+            default: null,
+        },
+        // Seen on a bank statement (ticked during a reconciliation)
+        cleared: {
+            type: Boolean,
+            default: false,
+        },
+        // Set once the reconciliation it was cleared in is completed; the
+        // transaction is then locked against edits until unlocked
+        reconciliation: {
+            type: Schema.Types.ObjectId,
+            ref: 'Reconciliation',
+            default: null,
+        },
     },
     { timestamps: true }
 );
 
+// Splits must add up to the amount; the largest one is the primary category
+transactionSchema.pre('validate', function () {
+    if (this.splits.length === 0) return;
+
+    const total = this.splits.reduce((sum, split) => sum + split.amount, 0);
+    if (Math.abs(total - this.amount) > SPLIT_TOLERANCE) {
+        this.invalidate('splits', `Splits add up to ${total}, expected ${this.amount}`);
+    }
+
+    const largest = this.splits.reduce((max, split) => (split.amount > max.amount ? split : max));
+    this.category = largest.category;
+});
+
+transactionSchema.pre('validate', function () {
+    if (!this.date) {
+        this.date = this.createdAt || new Date();
+    }
+});
+
+// Amounts are in the saldo's currency, keep the copy in sync when the saldo is set
+transactionSchema.pre('validate', async function () {
+    if (!this.isNew && !this.isModified('saldo')) return;
+
+    const saldo = await model('Saldo')
+        .findById(this.saldo)
+        .select('currency')
+        .setOptions({ withDeleted: true })
+        .session(this.$session());
+    if (saldo) {
+        this.currency = saldo.currency;
+    }
+});
+
+transactionSchema.plugin(softDelete);
+transactionSchema.plugin(auditTrail);
+
+transactionSchema.index({ transferPair: 1 });
+transactionSchema.index({ tags: 1 });
+transactionSchema.index({ date: -1 });
+transactionSchema.index({ pending: 1, date: 1 });
+transactionSchema.index({ approvalStatus: 1, date: -1 });
+transactionSchema.index({ saldo: 1, cleared: 1, date: 1 });
+transactionSchema.index({ needsReview: 1, date: 1 });
+// a recurring occurrence can only ever be posted once
+transactionSchema.index(
+    { recurring: 1, occurrenceDate: 1 },
+    { unique: true, partialFilterExpression: { recurring: { $type: 'objectId' } } }
+);
+// re-importing the same file never creates the same row twice
+transactionSchema.index({ importHash: 1 }, { unique: true, sparse: true });
+// ...and neither does importing the same bank statement line twice
+transactionSchema.index(
+    { saldo: 1, externalId: 1 },
+    { unique: true, partialFilterExpression: { externalId: { $type: 'string' } } }
+);
+
 module.exports = model('Transaction', transactionSchema);
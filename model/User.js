@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const { Schema, model } = mongoose;
+const auditTrail = require('./plugins/auditTrail');
 
 const userSchema = new Schema(
   {
@@ -31,4 +32,6 @@ const userSchema = new Schema(
   { timestamps: true }
 );
 
+userSchema.plugin(auditTrail, { redact: ['password'] });
+
 module.exports = model('User', userSchema);
@@ -0,0 +1,186 @@
+const AuditLog = require('../AuditLog');
+const { currentRequest } = require('../../middleware/requestContext');
+
+const QUERY_WRITES = [
+    'updateOne',
+    'updateMany',
+    'findOneAndUpdate',
+    'replaceOne',
+    'findOneAndReplace',
+    'deleteOne',
+    'deleteMany',
+    'findOneAndDelete',
+];
+
+const DELETE_OPS = ['deleteOne', 'deleteMany', 'findOneAndDelete'];
+
+// Bookkeeping fields that never make an entry on their own
+const IGNORED_PATHS = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+const REDACTED = '[redacted]';
+
+/**
+ * JSON-safe copy (ObjectIds and Dates become strings) so snapshots
+ * compare and store the same way whatever produced them
+ */
+const plain = (doc) => {
+    if (!doc) return null;
+    const obj = typeof doc.toObject === 'function' ? doc.toObject({ depopulate: true }) : doc;
+    return JSON.parse(JSON.stringify(obj));
+};
+
+const diff = (before, after, redact) => {
+    const paths = new Set([...Object.keys(before), ...Object.keys(after)]);
+    const changes = [];
+
+    for (const path of paths) {
+        if (IGNORED_PATHS.includes(path)) continue;
+
+        const from = before[path] === undefined ? null : before[path];
+        const to = after[path] === undefined ? null : after[path];
+        if (JSON.stringify(from) === JSON.stringify(to)) continue;
+
+        changes.push(redact.includes(path) ? { path, from: REDACTED, to: REDACTED } : { path, from, to });
+    }
+
+    return changes;
+};
+
+const redacted = (snapshot, redact) => {
+    if (!snapshot) return null;
+    for (const path of redact) {
+        if (path in snapshot) snapshot[path] = REDACTED;
+    }
+    return snapshot;
+};
+
+const actionOf = (before, after) => {
+    if (!before) return 'create';
+    if (!after) return 'delete';
+    if (!before.deletedAt && after.deletedAt) return 'trash';
+    if (before.deletedAt && !after.deletedAt) return 'restore';
+    return 'update';
+};
+
+const requestInfo = () => {
+    const req = currentRequest();
+    if (!req) return {};
+
+    const forwarded = req.headers['x-forwarded-for'];
+    return {
+        actor: req.user ? req.user._id : null,
+        ip: forwarded ? forwarded.split(',')[0].trim() : req.ip,
+        userAgent: req.headers['user-agent'] || null,
+        route: `${req.method} ${req.originalUrl}`,
+    };
+};
+
+/**
+ * Write one entry per changed document, inside the caller's session so
+ * the entries roll back together with an aborted transaction
+ */
+const record = async (modelName, pairs, session, redact) => {
+    const info = requestInfo();
+    const entries = [];
+
+    for (const pair of pairs) {
+        const before = plain(pair.before);
+        const after = plain(pair.after);
+        const changes = before && after ? diff(before, after, redact) : [];
+        if (before && after && changes.length === 0) continue;
+
+        entries.push({
+            ...info,
+            model: modelName,
+            documentId: (after || before)._id,
+            action: actionOf(before, after),
+            before: redacted(before, redact),
+            after: redacted(after, redact),
+            changes,
+        });
+    }
+
+    if (entries.length > 0) {
+        await AuditLog.insertMany(entries, { session: session || null });
+    }
+};
+
+/**
+ * Audit trail: every create / update / delete of the model, through
+ * documents or queries, is recorded in AuditLog with the acting user and
+ * IP of the current request (see middleware/requestContext) and a
+ * before/after diff. `redact` lists paths whose values are never stored.
+ *
+ * Apply after softDelete so query filters already hide trashed documents.
+ */
+module.exports = function auditTrail(schema, { redact = [] } = {}) {
+    schema.pre('save', async function () {
+        if (this.isNew) {
+            this.$locals.auditBefore = null;
+            this.$locals.auditPending = true;
+            return;
+        }
+        if (!this.isModified()) return;
+
+        this.$locals.auditBefore = await this.constructor
+            .findById(this._id)
+            .setOptions({ withDeleted: true })
+            .session(this.$session())
+            .lean();
+        this.$locals.auditPending = true;
+    });
+
+    schema.post('save', async function (doc) {
+        if (!doc.$locals.auditPending) return;
+        doc.$locals.auditPending = false;
+
+        await record(doc.constructor.modelName, [{ before: doc.$locals.auditBefore, after: doc }], doc.$session(), redact);
+    });
+
+    schema.post('deleteOne', { document: true, query: false }, async function (doc) {
+        await record(doc.constructor.modelName, [{ before: doc, after: null }], doc.$session(), redact);
+    });
+
+    schema.post('insertMany', async function (docs) {
+        if (!Array.isArray(docs) || docs.length === 0) return;
+
+        const session = typeof docs[0].$session === 'function' ? docs[0].$session() : null;
+        await record(this.modelName, docs.map((doc) => ({ before: null, after: doc })), session, redact);
+    });
+
+    schema.pre(QUERY_WRITES, { document: false, query: true }, async function () {
+        const options = this.getOptions();
+        let query = this.model
+            .find(this.getFilter())
+            .setOptions({ withDeleted: true })
+            .session(options.session || null)
+            .lean();
+        if (!this.op.endsWith('Many')) {
+            query = query.sort(options.sort || {}).limit(1);
+        }
+
+        this._auditBefore = await query;
+    });
+
+    schema.post(QUERY_WRITES, { document: false, query: true }, async function () {
+        const before = this._auditBefore || [];
+        if (before.length === 0) return;
+
+        const session = this.getOptions().session;
+        const isDelete = DELETE_OPS.includes(this.op);
+        const after = isDelete
+            ? []
+            : await this.model
+                .find({ _id: { $in: before.map((doc) => doc._id) } })
+                .setOptions({ withDeleted: true })
+                .session(session || null)
+                .lean();
+        const afterById = new Map(after.map((doc) => [String(doc._id), doc]));
+
+        const pairs = before
+            .map((doc) => ({ before: doc, after: afterById.get(String(doc._id)) || null }))
+            .filter((pair) => isDelete || pair.after);
+
+        await record(this.model.modelName, pairs, session, redact);
+    });
+};
@@ -0,0 +1,58 @@
+const { Schema } = require('mongoose');
+
+const QUERY_HOOKS = [
+    'find',
+    'findOne',
+    'count',
+    'countDocuments',
+    'distinct',
+    'findOneAndUpdate',
+    'updateOne',
+    'updateMany',
+];
+
+/**
+ * Soft deletion: adds `deletedAt` / `deletedBy` and hides trashed documents
+ * from queries and aggregations by default.
+ *
+ * A query sees trashed documents when it filters on `deletedAt` itself
+ * (e.g. the trash listing) or is run with the `withDeleted` option:
+ *   Model.find(filter).setOptions({ withDeleted: true })
+ *   .populate({ path: 'saldo', options: { withDeleted: true } })
+ *   Model.aggregate(pipeline).option({ withDeleted: true })
+ */
+module.exports = function softDelete(schema) {
+    schema.add({
+        deletedAt: {
+            type: Date,
+            default: null,
+        },
+        deletedBy: {
+            type: Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
+    });
+
+    schema.index({ deletedAt: 1 });
+
+    schema.pre(QUERY_HOOKS, function () {
+        if (this.getOptions().withDeleted || 'deletedAt' in this.getFilter()) {
+            return;
+        }
+        this.where({ deletedAt: null });
+    });
+
+    schema.pre('aggregate', function () {
+        if (this.options.withDeleted) {
+            return;
+        }
+        this.pipeline().unshift({ $match: { deletedAt: null } });
+    });
+
+    schema.methods.softDelete = function (user, options = {}) {
+        this.deletedAt = new Date();
+        this.deletedBy = user ? user._id || user : null;
+        return this.save(options);
+    };
+};
@@ -1,6 +1,12 @@
 const app = require("./app");
 const connectDatabase = require("./db/Database");
 const cloudinary = require("cloudinary");
+const mongoose = require("mongoose");
+const { startRecurringScheduler } = require("./utils/recurringScheduler");
+const { startTrashPurger } = require("./utils/trashPurger");
+const { startPendingPoster } = require("./utils/pendingTransactions");
+const { loadModel, startModelSync, setTrainingRequester } = require("./utils/categoryClassifier");
+const { startJob } = require("./utils/classifierJobs");
 
 // Handling uncaught Exception
 process.on("uncaughtException", (err) => {
@@ -18,6 +24,22 @@ if (process.env.NODE_ENV !== "PRODUCTION") {
 // connect db
 connectDatabase();
 
+// post recurring transactions (catches up anything missed while the server was down)
+mongoose.connection.once("open", () => {
+  startRecurringScheduler();
+  // future-dated transactions move their saldo once their date arrives
+  startPendingPoster();
+  // permanently remove trash older than TRASH_RETENTION_DAYS
+  startTrashPurger();
+  // the classifier lives in the database (or MODEL_DIR with MODEL_STORAGE=file)
+  loadModel();
+  // predictions that find no model queue a background training
+  setTrainingRequester(() => startJob("train"));
+  // write what the classifier learned from corrections back to its model
+  // version and follow versions activated by other instances
+  startModelSync();
+});
+
 cloudinary.config({
   cloud_name: process.env.CLOUDINARY_NAME,
   api_key: process.env.CLOUDINARY_API_KEY,
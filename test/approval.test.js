@@ -0,0 +1,146 @@
+const assert = require("node:assert/strict");
+const { describe, it, before, after, beforeEach } = require("node:test");
+const request = require("supertest");
+
+const { app, startDatabase, stopDatabase, createUser, createSaldo, createCategory } = require("./helpers");
+const Saldo = require("../model/Saldo");
+const { localOutbox } = require("../utils/sendMail");
+
+describe("expense approval", () => {
+  let admin;
+  let requester;
+  let saldo;
+  let category;
+
+  before(async () => {
+    process.env.APPROVAL_THRESHOLD = "1000000";
+    delete process.env.APPROVER_EMAILS;
+    await startDatabase();
+
+    admin = await createUser("admin");
+    requester = await createUser();
+    saldo = await createSaldo({ amount: 5000000 });
+    category = await createCategory();
+  });
+
+  after(async () => {
+    delete process.env.APPROVAL_THRESHOLD;
+    await stopDatabase();
+  });
+
+  beforeEach(() => {
+    localOutbox.length = 0;
+  });
+
+  const createExpense = (amount, description) =>
+    request(app)
+      .post("/transaction")
+      .set("Authorization", requester.token)
+      .send({
+        user: requester.user._id.toString(),
+        saldo: saldo._id.toString(),
+        category: category._id.toString(),
+        amount,
+        description,
+        type: "expense",
+      });
+
+  const saldoAmount = async () => (await Saldo.findById(saldo._id)).amount;
+
+  it("books an expense under the threshold right away", async () => {
+    const balance = await saldoAmount();
+    const res = await createExpense(200000, "Paper");
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.approvalStatus, null);
+    assert.equal(await saldoAmount(), balance - 200000);
+    assert.equal(localOutbox.length, 0);
+  });
+
+  it("holds a large expense until an admin approves it", async () => {
+    const balance = await saldoAmount();
+    const created = await createExpense(2000000, "Laptop");
+
+    assert.equal(created.status, 202);
+    assert.equal(created.body.data.approvalStatus, "pending");
+    assert.equal(created.body.data.approvalThreshold, 1000000);
+    assert.equal(await saldoAmount(), balance);
+
+    assert.equal(localOutbox.length, 1);
+    assert.deepEqual(localOutbox[0].to, [admin.user.email]);
+    assert.match(localOutbox[0].subject, /Laptop/);
+    assert.match(localOutbox[0].text, new RegExp(`/approval/${created.body.data._id}/approve`));
+
+    const pending = await request(app).get("/approval/pending").set("Authorization", admin.token);
+    assert.equal(pending.status, 200);
+    assert.ok(pending.body.data.transactions.some((tx) => tx._id === created.body.data._id));
+
+    const approved = await request(app)
+      .post(`/approval/${created.body.data._id}/approve`)
+      .set("Authorization", admin.token)
+      .send({ note: "Budgeted" });
+
+    assert.equal(approved.status, 200);
+    assert.equal(approved.body.data.approvalStatus, "approved");
+    assert.equal(approved.body.data.approvalNote, "Budgeted");
+    assert.equal(await saldoAmount(), balance - 2000000);
+
+    const again = await request(app)
+      .post(`/approval/${created.body.data._id}/approve`)
+      .set("Authorization", admin.token)
+      .send({});
+
+    assert.equal(again.status, 400);
+    assert.equal(await saldoAmount(), balance - 2000000);
+  });
+
+  it("refuses an approval that would overdraw the saldo", async () => {
+    const balance = await saldoAmount();
+    const created = await createExpense(balance + 1000000, "Server rack");
+    assert.equal(created.status, 202);
+
+    const approved = await request(app)
+      .post(`/approval/${created.body.data._id}/approve`)
+      .set("Authorization", admin.token)
+      .send({});
+
+    assert.equal(approved.status, 400);
+    assert.match(approved.body.message, /Insufficient balance/);
+    assert.equal(await saldoAmount(), balance);
+
+    const pending = await request(app).get("/approval/pending").set("Authorization", admin.token);
+    assert.ok(pending.body.data.transactions.some((tx) => tx._id === created.body.data._id));
+  });
+
+  it("never books a rejected expense", async () => {
+    const balance = await saldoAmount();
+    const created = await createExpense(3000000, "Sofa");
+    assert.equal(created.status, 202);
+
+    const rejected = await request(app)
+      .post(`/approval/${created.body.data._id}/reject`)
+      .set("Authorization", admin.token)
+      .send({ note: "Not in the budget" });
+
+    assert.equal(rejected.status, 200);
+    assert.equal(rejected.body.data.approvalStatus, "rejected");
+    assert.equal(await saldoAmount(), balance);
+
+    const approved = await request(app)
+      .post(`/approval/${created.body.data._id}/approve`)
+      .set("Authorization", admin.token)
+      .send({});
+
+    assert.equal(approved.status, 400);
+    assert.equal(await saldoAmount(), balance);
+  });
+
+  it("answers 404 when deciding on an unknown transaction", async () => {
+    const res = await request(app)
+      .post("/approval/000000000000000000000000/approve")
+      .set("Authorization", admin.token)
+      .send({});
+
+    assert.equal(res.status, 404);
+  });
+});
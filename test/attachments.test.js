@@ -0,0 +1,137 @@
+const fs = require("fs");
+const path = require("path");
+const assert = require("node:assert/strict");
+const { describe, it, before, after } = require("node:test");
+const request = require("supertest");
+const mongoose = require("mongoose");
+
+const { app, startDatabase, stopDatabase, createUser, createSaldo, createCategory } = require("./helpers");
+const Transaction = require("../model/Transaction");
+const { setAttachmentStorage, localStorage } = require("../utils/attachmentStorage");
+
+describe("transaction attachments", () => {
+  let owner;
+  let token;
+  let transaction;
+
+  before(async () => {
+    await startDatabase();
+    setAttachmentStorage("local");
+
+    owner = await createUser();
+    token = owner.token;
+    const saldo = await createSaldo();
+    const category = await createCategory();
+    transaction = await Transaction.create({
+      user: owner.user._id,
+      saldo: saldo._id,
+      category: category._id,
+      amount: 150000,
+      description: "Printer ink",
+      type: "expense",
+    });
+  });
+
+  after(stopDatabase);
+
+  const attachmentsUrl = (id = transaction._id) => `/transaction/${id}/attachments`;
+
+  it("stores uploaded files on disk and lists them", async () => {
+    const upload = await request(app)
+      .post(attachmentsUrl())
+      .set("Authorization", token)
+      .attach("files", Buffer.from("%PDF-1.4 receipt"), { filename: "receipt.pdf", contentType: "application/pdf" })
+      .attach("files", Buffer.from("fake png"), { filename: "photo.png", contentType: "image/png" });
+
+    assert.equal(upload.status, 200);
+    assert.equal(upload.body.data.length, 2);
+    for (const attachment of upload.body.data) {
+      assert.equal(attachment.provider, "local");
+      assert.ok(fs.existsSync(path.join(localStorage.directory, attachment.publicId)));
+    }
+    assert.deepEqual(upload.body.data.map((a) => a.fileName), ["receipt.pdf", "photo.png"]);
+
+    const download = await request(app).get(upload.body.data[0].url);
+
+    assert.equal(download.status, 200);
+    assert.equal(download.headers["content-type"], "application/pdf");
+    assert.equal(Number(download.headers["content-length"]), Buffer.byteLength("%PDF-1.4 receipt"));
+    assert.equal(download.headers["x-content-type-options"], "nosniff");
+    assert.equal(download.headers["content-disposition"], "attachment");
+
+    const list = await request(app).get(attachmentsUrl()).set("Authorization", token);
+
+    assert.equal(list.status, 200);
+    assert.equal(list.body.data.length, 2);
+    assert.equal(list.body.data[0].uploadedBy.email, owner.user.email);
+  });
+
+  it("answers 404 for stored URLs while another storage is in use", async () => {
+    const { attachments } = await Transaction.findById(transaction._id).select("attachments");
+    setAttachmentStorage("cloudinary");
+    try {
+      const res = await request(app).get(attachments[0].url);
+      assert.equal(res.status, 404);
+    } finally {
+      setAttachmentStorage("local");
+    }
+  });
+
+  it("refuses file types other than images and PDFs", async () => {
+    const res = await request(app)
+      .post(attachmentsUrl())
+      .set("Authorization", token)
+      .attach("files", Buffer.from("plain text"), { filename: "notes.txt", contentType: "text/plain" });
+
+    assert.equal(res.status, 400);
+    const stored = await Transaction.findById(transaction._id).select("attachments");
+    assert.equal(stored.attachments.length, 2);
+  });
+
+  it("refuses a file whose extension is not allowed, whatever type it claims", async () => {
+    const res = await request(app)
+      .post(attachmentsUrl())
+      .set("Authorization", token)
+      .attach("files", Buffer.from("<script>alert(1)</script>"), { filename: "receipt.html", contentType: "image/png" });
+
+    assert.equal(res.status, 400);
+    const stored = await Transaction.findById(transaction._id).select("attachments");
+    assert.equal(stored.attachments.length, 2);
+  });
+
+  it("answers 404 for an unknown transaction", async () => {
+    const res = await request(app)
+      .post(attachmentsUrl(new mongoose.Types.ObjectId()))
+      .set("Authorization", token)
+      .attach("files", Buffer.from("%PDF-1.4"), { filename: "receipt.pdf", contentType: "application/pdf" });
+
+    assert.equal(res.status, 404);
+  });
+
+  it("deletes an attachment together with its file", async () => {
+    const { attachments } = await Transaction.findById(transaction._id).select("attachments");
+    const [removed, kept] = attachments;
+
+    const res = await request(app)
+      .delete(`${attachmentsUrl()}/${removed._id}`)
+      .set("Authorization", token);
+
+    assert.equal(res.status, 200);
+    assert.equal(fs.existsSync(path.join(localStorage.directory, removed.publicId)), false);
+    assert.ok(fs.existsSync(path.join(localStorage.directory, kept.publicId)));
+
+    const list = await request(app).get(attachmentsUrl()).set("Authorization", token);
+    assert.deepEqual(list.body.data.map((a) => a._id), [kept._id.toString()]);
+
+    const again = await request(app)
+      .delete(`${attachmentsUrl()}/${removed._id}`)
+      .set("Authorization", token);
+    assert.equal(again.status, 404);
+  });
+
+  it("requires a login", async () => {
+    const res = await request(app).get(attachmentsUrl());
+
+    assert.equal(res.status, 401);
+  });
+});
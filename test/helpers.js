@@ -0,0 +1,69 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
+const { MongoMemoryReplSet } = require("mongodb-memory-server");
+
+// set before the app loads: attachments go to a temporary directory and
+// mail to the local outbox, so nothing leaves the machine
+process.env.JWT_SECRET_KEY = process.env.JWT_SECRET_KEY || "test-secret";
+process.env.MAIL_TRANSPORT = "local";
+process.env.ATTACHMENT_LOCAL_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "attachments-"));
+
+const app = require("../app");
+const User = require("../model/User");
+const Saldo = require("../model/Saldo");
+const Category = require("../model/Category");
+
+let replSet = null;
+
+/**
+ * In-memory single-node replica set (the routes use MongoDB transactions)
+ */
+const startDatabase = async () => {
+  replSet = await MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: "wiredTiger" } });
+  await mongoose.connect(replSet.getUri());
+  // collections and indexes exist before the first transaction writes to them
+  await Promise.all(mongoose.modelNames().map((name) => mongoose.model(name).init()));
+};
+
+const stopDatabase = async () => {
+  await mongoose.disconnect();
+  if (replSet) await replSet.stop();
+  replSet = null;
+  await fs.promises.rm(process.env.ATTACHMENT_LOCAL_DIR, { recursive: true, force: true });
+};
+
+let userCount = 0;
+
+/**
+ * A user and the Authorization header value that logs them in
+ */
+const createUser = async (role = "user") => {
+  userCount++;
+  const user = await User.create({
+    name: `${role} ${userCount}`,
+    email: `${role}${userCount}@test.local`,
+    password: "not-used",
+    phone: "080000000000",
+    role,
+  });
+  const token = jwt.sign({ id: user._id, role: user.role }, process.env.JWT_SECRET_KEY, { expiresIn: "1h" });
+  return { user, token };
+};
+
+const createSaldo = (fields = {}) =>
+  Saldo.create({ name: "Wallet", amount: 5000000, description: "Test wallet", ...fields });
+
+const createCategory = (fields = {}) =>
+  Category.create({ name: "Office", type: "expense", description: "Test category", ...fields });
+
+module.exports = {
+  app,
+  startDatabase,
+  stopDatabase,
+  createUser,
+  createSaldo,
+  createCategory,
+};
@@ -0,0 +1,145 @@
+const assert = require("node:assert/strict");
+const { describe, it, before, after, beforeEach } = require("node:test");
+const express = require("express");
+const request = require("supertest");
+
+const { app, startDatabase, stopDatabase, createUser, createSaldo, createCategory } = require("./helpers");
+const IdempotencyKey = require("../model/IdempotencyKey");
+const Transaction = require("../model/Transaction");
+const Saldo = require("../model/Saldo");
+const { isAuthenticated } = require("../middleware/auth");
+const { idempotent } = require("../middleware/idempotency");
+const errorMiddleware = require("../middleware/error");
+
+// A route whose handler waits until the test lets it answer, to hold a
+// request in flight
+let calls = 0;
+let gate = Promise.resolve();
+let openGate = () => {};
+
+const probe = express();
+probe.use(express.json());
+probe.post("/probe", isAuthenticated, idempotent, async (req, res) => {
+  calls++;
+  await gate;
+  res.status(201).json({ calls, echo: req.body });
+});
+probe.post("/flaky", isAuthenticated, idempotent, (req, res) => {
+  calls++;
+  res.status(calls === 1 ? 503 : 200).json({ calls });
+});
+probe.use(errorMiddleware);
+
+const waitFor = async (check) => {
+  for (let attempt = 0; attempt < 100; attempt++) {
+    if (await check()) return;
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+  throw new Error("Timed out waiting for the condition");
+};
+
+describe("idempotency keys", () => {
+  let owner;
+
+  before(async () => {
+    await startDatabase();
+    owner = await createUser();
+  });
+
+  after(stopDatabase);
+
+  beforeEach(() => {
+    calls = 0;
+    gate = Promise.resolve();
+  });
+
+  const send = (key, body, { path = "/probe", token = owner.token } = {}) =>
+    request(probe).post(path).set("Authorization", token).set("Idempotency-Key", key).send(body);
+
+  it("replays the stored response for a retry without running the handler again", async () => {
+    const first = await send("replay-1", { amount: 10 });
+    const retry = await send("replay-1", { amount: 10 });
+
+    assert.equal(first.status, 201);
+    assert.equal(first.headers["idempotent-replayed"], undefined);
+    assert.equal(retry.status, 201);
+    assert.equal(retry.headers["idempotent-replayed"], "true");
+    assert.deepEqual(retry.body, first.body);
+    assert.equal(calls, 1);
+  });
+
+  it("refuses a key reused for a different body", async () => {
+    await send("reuse-1", { amount: 10 });
+    const res = await send("reuse-1", { amount: 20 });
+
+    assert.equal(res.status, 422);
+    assert.equal(calls, 1);
+  });
+
+  it("refuses a duplicate while the first request is in flight", async () => {
+    gate = new Promise((resolve) => {
+      openGate = resolve;
+    });
+
+    const first = send("inflight-1", { amount: 10 }).then((res) => res);
+    await waitFor(() => calls === 1);
+
+    const duplicate = await send("inflight-1", { amount: 10 });
+    assert.equal(duplicate.status, 409);
+
+    openGate();
+    assert.equal((await first).status, 201);
+
+    const retry = await send("inflight-1", { amount: 10 });
+    assert.equal(retry.status, 201);
+    assert.equal(retry.headers["idempotent-replayed"], "true");
+    assert.equal(calls, 1);
+  });
+
+  it("runs a retry again after a server error", async () => {
+    const failed = await send("flaky-1", {}, { path: "/flaky" });
+    const retry = await send("flaky-1", {}, { path: "/flaky" });
+
+    assert.equal(failed.status, 503);
+    assert.equal(retry.status, 200);
+    assert.equal(retry.headers["idempotent-replayed"], undefined);
+    assert.equal(calls, 2);
+  });
+
+  it("keeps keys apart per user", async () => {
+    const other = await createUser();
+
+    await send("shared-1", { amount: 10 });
+    const res = await send("shared-1", { amount: 10 }, { token: other.token });
+
+    assert.equal(res.status, 201);
+    assert.equal(res.headers["idempotent-replayed"], undefined);
+    assert.equal(calls, 2);
+    assert.equal(await IdempotencyKey.countDocuments({ key: "shared-1" }), 2);
+  });
+
+  it("moves a saldo once for a retried POST /transaction", async () => {
+    const saldo = await createSaldo({ amount: 1000000 });
+    const category = await createCategory();
+    const body = {
+      user: owner.user._id.toString(),
+      saldo: saldo._id.toString(),
+      category: category._id.toString(),
+      amount: 250000,
+      description: "Team lunch",
+      type: "expense",
+    };
+    const post = () =>
+      request(app).post("/transaction").set("Authorization", owner.token).set("Idempotency-Key", "tx-1").send(body);
+
+    const first = await post();
+    const retry = await post();
+
+    assert.equal(first.status, 200);
+    assert.equal(retry.status, 200);
+    assert.equal(retry.headers["idempotent-replayed"], "true");
+    assert.equal(retry.body.data._id, first.body.data._id);
+    assert.equal(await Transaction.countDocuments({ description: "Team lunch" }), 1);
+    assert.equal((await Saldo.findById(saldo._id)).amount, 750000);
+  });
+});
@@ -0,0 +1,98 @@
+const assert = require("node:assert/strict");
+const { describe, it } = require("node:test");
+
+const { daysInMonth, occurrenceAt, upcomingOccurrences, firstIndexFrom } = require("../utils/recurrence");
+
+const utc = (text) => new Date(`${text}T08:30:00.000Z`);
+const dates = (rule, count) => Array.from({ length: count }, (_, index) => occurrenceAt(rule, index));
+
+describe("occurrenceAt", () => {
+  it("clamps the 31st to the end of February without drifting later months", () => {
+    const rule = { frequency: "monthly", startDate: utc("2023-01-31") };
+
+    assert.deepEqual(dates(rule, 4), [utc("2023-01-31"), utc("2023-02-28"), utc("2023-03-31"), utc("2023-04-30")]);
+  });
+
+  it("lands on 29 February in a leap year", () => {
+    const rule = { frequency: "monthly", startDate: utc("2024-01-31") };
+
+    assert.deepEqual(occurrenceAt(rule, 1), utc("2024-02-29"));
+    assert.deepEqual(occurrenceAt(rule, 2), utc("2024-03-31"));
+  });
+
+  it("keeps a yearly 29 February rule on the 28th until the next leap year", () => {
+    const rule = { frequency: "yearly", startDate: utc("2024-02-29") };
+
+    assert.deepEqual(dates(rule, 5), [
+      utc("2024-02-29"),
+      utc("2025-02-28"),
+      utc("2026-02-28"),
+      utc("2027-02-28"),
+      utc("2028-02-29"),
+    ]);
+  });
+
+  it("uses dayOfMonth over the start date's day", () => {
+    const rule = { frequency: "monthly", startDate: utc("2024-01-15"), dayOfMonth: 31 };
+
+    assert.deepEqual(dates(rule, 3), [utc("2024-01-31"), utc("2024-02-29"), utc("2024-03-31")]);
+  });
+
+  it("steps months by the interval across the year end", () => {
+    const rule = { frequency: "monthly", interval: 2, startDate: utc("2023-11-30") };
+
+    assert.deepEqual(dates(rule, 3), [utc("2023-11-30"), utc("2024-01-30"), utc("2024-03-30")]);
+  });
+
+  it("steps days and weeks", () => {
+    assert.deepEqual(occurrenceAt({ frequency: "daily", interval: 3, startDate: utc("2024-02-27") }, 1), utc("2024-03-01"));
+    assert.deepEqual(occurrenceAt({ frequency: "weekly", startDate: utc("2024-12-30") }, 1), utc("2025-01-06"));
+  });
+
+  it("ends after maxOccurrences and past endDate", () => {
+    const limited = { frequency: "monthly", startDate: utc("2024-01-10"), maxOccurrences: 2 };
+    assert.deepEqual(occurrenceAt(limited, 1), utc("2024-02-10"));
+    assert.equal(occurrenceAt(limited, 2), null);
+
+    const ending = { frequency: "monthly", startDate: utc("2024-01-10"), endDate: utc("2024-03-10") };
+    assert.deepEqual(occurrenceAt(ending, 2), utc("2024-03-10"));
+    assert.equal(occurrenceAt(ending, 3), null);
+  });
+});
+
+describe("daysInMonth", () => {
+  it("knows leap years", () => {
+    assert.equal(daysInMonth(2023, 1), 28);
+    assert.equal(daysInMonth(2024, 1), 29);
+    assert.equal(daysInMonth(1900, 1), 28);
+    assert.equal(daysInMonth(2000, 1), 29);
+  });
+});
+
+describe("upcomingOccurrences", () => {
+  it("lists from the rule's position, flags skipped dates and stops at the end", () => {
+    const rule = {
+      frequency: "monthly",
+      startDate: utc("2024-01-31"),
+      maxOccurrences: 4,
+      nextIndex: 1,
+      skippedDates: [utc("2024-03-31")],
+    };
+
+    assert.deepEqual(upcomingOccurrences(rule, 10), [
+      { index: 1, date: utc("2024-02-29"), skipped: false },
+      { index: 2, date: utc("2024-03-31"), skipped: true },
+      { index: 3, date: utc("2024-04-30"), skipped: false },
+    ]);
+  });
+});
+
+describe("firstIndexFrom", () => {
+  it("skips the occurrences before the resume date", () => {
+    const rule = { frequency: "monthly", startDate: utc("2024-01-31"), nextIndex: 0 };
+
+    assert.equal(firstIndexFrom(rule, utc("2024-03-01")), 2);
+    assert.equal(firstIndexFrom(rule, utc("2024-03-31")), 2);
+    assert.equal(firstIndexFrom(rule, utc("2024-01-01")), 0);
+  });
+});
@@ -0,0 +1,101 @@
+const assert = require("node:assert/strict");
+const { describe, it, before, after } = require("node:test");
+
+const { startDatabase, stopDatabase, createUser, createSaldo, createCategory } = require("./helpers");
+const RecurringTransaction = require("../model/RecurringTransaction");
+const Transaction = require("../model/Transaction");
+const Saldo = require("../model/Saldo");
+const { runRecurringTransactions } = require("../utils/recurringScheduler");
+const { localOutbox } = require("../utils/sendMail");
+
+const utc = (text) => new Date(`${text}T08:30:00.000Z`);
+
+describe("recurring scheduler", () => {
+  let owner;
+  let saldo;
+  let category;
+
+  before(async () => {
+    await startDatabase();
+    owner = await createUser();
+    saldo = await createSaldo({ amount: 1000000 });
+    category = await createCategory({ name: "Rent" });
+  });
+
+  after(stopDatabase);
+
+  const createRule = (fields) =>
+    RecurringTransaction.create({
+      user: owner.user._id,
+      category: category._id,
+      saldo: saldo._id,
+      amount: 100000,
+      description: "Rent",
+      type: "expense",
+      frequency: "monthly",
+      ...fields,
+      nextRunAt: fields.startDate,
+    });
+
+  it("catches up every occurrence missed while it was down, in order", async () => {
+    const rule = await createRule({ startDate: utc("2024-01-31"), skippedDates: [utc("2024-03-31")] });
+
+    const result = await runRecurringTransactions(utc("2024-05-15"));
+
+    // Jan, Feb (29th), Mar (skipped) and Apr are due
+    assert.equal(result.processed, 4);
+    const posted = await Transaction.find({ recurring: rule._id }).sort({ occurrenceDate: 1 });
+    assert.deepEqual(
+      posted.map((tx) => tx.occurrenceDate),
+      [utc("2024-01-31"), utc("2024-02-29"), utc("2024-04-30")]
+    );
+    assert.deepEqual(posted.map((tx) => tx.date), posted.map((tx) => tx.occurrenceDate));
+    assert.equal((await Saldo.findById(saldo._id)).amount, 1000000 - 3 * 100000);
+
+    const updated = await RecurringTransaction.findById(rule._id);
+    assert.equal(updated.nextIndex, 4);
+    assert.equal(updated.postedCount, 3);
+    assert.deepEqual(updated.nextRunAt, utc("2024-05-31"));
+    assert.equal(updated.status, "active");
+  });
+
+  it("posts nothing twice when run again", async () => {
+    const result = await runRecurringTransactions(utc("2024-05-15"));
+
+    assert.equal(result.processed, 0);
+    assert.equal(await Transaction.countDocuments({ description: "Rent" }), 3);
+  });
+
+  it("completes a rule once its last occurrence is posted", async () => {
+    const rule = await createRule({ startDate: utc("2024-01-15"), maxOccurrences: 2, description: "Gym" });
+
+    await runRecurringTransactions(utc("2024-06-01"));
+
+    const updated = await RecurringTransaction.findById(rule._id);
+    assert.equal(updated.status, "completed");
+    assert.equal(updated.nextRunAt, null);
+    assert.equal(await Transaction.countDocuments({ recurring: rule._id }), 2);
+  });
+
+  it("holds an occurrence above the approval threshold for an approver", async () => {
+    const admin = await createUser("admin");
+    const balance = (await Saldo.findById(saldo._id)).amount;
+    const rule = await createRule({ startDate: utc("2024-02-01"), maxOccurrences: 1, amount: 600000, description: "Insurance" });
+    process.env.APPROVAL_THRESHOLD = "500000";
+    localOutbox.length = 0;
+
+    try {
+      await runRecurringTransactions(utc("2024-02-02"));
+    } finally {
+      delete process.env.APPROVAL_THRESHOLD;
+    }
+
+    const [posted] = await Transaction.find({ recurring: rule._id });
+    assert.equal(posted.approvalStatus, "pending");
+    assert.equal(posted.approvalThreshold, 500000);
+    assert.equal((await Saldo.findById(saldo._id)).amount, balance);
+    assert.equal(localOutbox.length, 1);
+    assert.deepEqual(localOutbox[0].to, [admin.user.email]);
+    assert.match(localOutbox[0].subject, /Insurance/);
+  });
+});
@@ -0,0 +1,113 @@
+const fs = require("fs");
+const path = require("path");
+const assert = require("node:assert/strict");
+const { describe, it } = require("node:test");
+
+const { parseStatement } = require("../utils/statementParsers");
+
+const FIXTURES = path.join(__dirname, "fixtures/statements");
+
+const parseFixture = (name, options = {}, originalname = name) =>
+  parseStatement({ originalname, buffer: fs.readFileSync(path.join(FIXTURES, name)) }, options);
+
+const day = (text) => new Date(`${text}T00:00:00.000Z`);
+
+const summary = ({ lines }) =>
+  lines.map(({ externalId, date, amount, description }) => ({ externalId, date, amount, description }));
+
+describe("OFX statements", () => {
+  it("reads SGML 1.x files without closing tags", () => {
+    const statement = parseFixture("sgml.ofx");
+
+    assert.equal(statement.format, "ofx");
+    assert.equal(statement.currency, "IDR");
+    assert.equal(statement.account, "1234567890");
+    assert.deepEqual(summary(statement), [
+      // time and timezone suffix dropped; NAME and MEMO joined
+      { externalId: "BCA20250131001", date: day("2025-01-31"), amount: -125000, description: "PLN PREPAID - Token listrik" },
+      // a MEMO repeating the NAME is not repeated
+      { externalId: "BCA20250125002", date: day("2025-01-25"), amount: 5000000, description: "GAJI JANUARI" },
+    ]);
+  });
+
+  it("reads XML 2.x files with a decimal comma and flags impossible dates", () => {
+    const statement = parseFixture("xml.ofx");
+
+    assert.equal(statement.currency, "USD");
+    assert.equal(statement.account, "987654");
+    assert.deepEqual(summary(statement), [
+      { externalId: "X-1", date: day("2025-02-28"), amount: -15.5, description: "Café Corner" },
+      { externalId: "X-2", date: null, amount: -1, description: "Bad date" },
+    ]);
+  });
+});
+
+describe("QIF statements", () => {
+  it("reads day-first dates and both thousands separator styles", () => {
+    const statement = parseFixture("dmy.qif");
+
+    assert.equal(statement.format, "qif");
+    assert.deepEqual(summary(statement), [
+      { externalId: "1001", date: day("2025-01-31"), amount: -1250000.5, description: "Toko Bangunan - Semen dan pasir" },
+      { externalId: null, date: day("2025-02-01"), amount: 2500000, description: "Salary" },
+      // "75.000" is seventy-five thousand; the split lines are ignored
+      { externalId: null, date: day("2025-02-03"), amount: -75000, description: "Parkir" },
+    ]);
+  });
+
+  it("reads ambiguous dates day-first unless dateOrder is mdy", () => {
+    const dayFirst = parseFixture("mdy.qif");
+    const monthFirst = parseFixture("mdy.qif", { dateOrder: "mdy" });
+
+    assert.deepEqual(dayFirst.lines.map((line) => line.date), [day("2025-01-02"), null]);
+    assert.deepEqual(monthFirst.lines.map((line) => line.date), [day("2025-02-01"), day("2025-01-31")]);
+    // U is the amount when T is missing
+    assert.deepEqual(monthFirst.lines.map((line) => line.amount), [-40, -12.99]);
+  });
+
+  it("decodes Windows-1252 files", () => {
+    const statement = parseFixture("windows-1252.qif");
+
+    assert.equal(statement.lines[0].description, "Café Peláez");
+    assert.equal(statement.lines[0].amount, -30000);
+  });
+});
+
+describe("MT940 statements", () => {
+  it("signs debits, credits and reversals and attaches the :86: details", () => {
+    const statement = parseFixture("mandiri.sta");
+
+    assert.equal(statement.format, "mt940");
+    assert.equal(statement.currency, "IDR");
+    assert.equal(statement.account, "1234567890");
+    assert.deepEqual(summary(statement).slice(0, 3), [
+      { externalId: "BR2501310001", date: day("2025-01-31"), amount: -125000, description: "PEMBAYARAN LISTRIK PLN PREPAID" },
+      // continuation lines wrap mid-word and are joined as they are
+      { externalId: "BR2501310002", date: day("2025-01-31"), amount: 5000000, description: "GAJI JANUARI 2025" },
+      // RD reverses a debit: money back in
+      { externalId: "BR2502010003", date: day("2025-02-01"), amount: 125000, description: "KOREKSI PEMBAYARAN" },
+    ]);
+  });
+
+  it("keeps an unreadable :61: line as an invalid line", () => {
+    const [, , , garbled] = parseFixture("mandiri.sta").lines;
+
+    assert.equal(garbled.date, null);
+    assert.ok(Number.isNaN(garbled.amount));
+    assert.equal(garbled.rawAmount, "GARBLED");
+  });
+});
+
+describe("format detection", () => {
+  it("detects the format from the content of a .txt upload", () => {
+    assert.equal(parseFixture("sgml.ofx", {}, "export.txt").format, "ofx");
+    assert.equal(parseFixture("dmy.qif", {}, "export.txt").format, "qif");
+    assert.equal(parseFixture("mandiri.sta", {}, "export.txt").format, "mt940");
+  });
+
+  it("returns null for content it does not recognize", () => {
+    const statement = parseStatement({ originalname: "notes.txt", buffer: Buffer.from("date,amount\n2025-01-01,10") });
+
+    assert.equal(statement, null);
+  });
+});
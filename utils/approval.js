@@ -0,0 +1,138 @@
+const Saldo = require("../model/Saldo");
+const Category = require("../model/Category");
+const User = require("../model/User");
+const { rateToBase, loadRateTable } = require("./exchangeRates");
+const { sendApprovalRequestMail } = require("./sendMail");
+
+/**
+ * Global threshold (APPROVAL_THRESHOLD, base currency); unset or 0 turns it off
+ */
+const globalApprovalThreshold = () => {
+  const threshold = Number(process.env.APPROVAL_THRESHOLD);
+  return threshold > 0 ? threshold : null;
+};
+
+const draftCategoryIds = (draft) =>
+  [draft.category, ...(draft.splits || []).map((split) => split.category)].filter(Boolean);
+
+/**
+ * Lowest of APPROVAL_THRESHOLD and the thresholds of the saldo and
+ * categories, or null when none is set
+ */
+const lowestThreshold = (saldo, categories) => {
+  const thresholds = [
+    globalApprovalThreshold(),
+    saldo ? saldo.approvalThreshold : null,
+    ...categories.map((category) => category.approvalThreshold),
+  ].filter((threshold) => threshold > 0);
+  return thresholds.length > 0 ? Math.min(...thresholds) : null;
+};
+
+/**
+ * Threshold an expense draft ({ type, saldo, category, splits, amount, date })
+ * exceeds, or null when it needs no approval. Thresholds come from
+ * APPROVAL_THRESHOLD, the saldo and every category the expense is booked to;
+ * the lowest one applies. Amounts are compared in the base currency.
+ */
+const exceededApprovalThreshold = async (draft, session = null) => {
+  if (draft.type !== "expense") return null;
+
+  // sequential: a MongoDB transaction runs one operation at a time
+  const saldo = await Saldo.findById(draft.saldo).select("currency approvalThreshold").session(session);
+  const categories = await Category.find({ _id: { $in: draftCategoryIds(draft) } })
+    .select("approvalThreshold")
+    .session(session);
+
+  const threshold = lowestThreshold(saldo, categories);
+  if (threshold === null) return null;
+
+  const rate = saldo ? await rateToBase(saldo.currency, draft.date || new Date(), session) : 1;
+  return draft.amount * rate > threshold ? threshold : null;
+};
+
+/**
+ * exceededApprovalThreshold for many drafts (imports): the saldos,
+ * categories and exchange rates are read once up front, so checking a
+ * draft costs no query. Resolves with `(draft) => threshold | null`.
+ */
+const loadApprovalThresholds = async (drafts) => {
+  const expenses = drafts.filter((draft) => draft.type === "expense");
+  const saldoIds = [...new Set(expenses.map((draft) => String(draft.saldo)))];
+  const categoryIds = [...new Set(expenses.flatMap(draftCategoryIds).map(String))];
+
+  const saldos = await Saldo.find({ _id: { $in: saldoIds } }).select("currency approvalThreshold");
+  const categories = await Category.find({ _id: { $in: categoryIds } }).select("approvalThreshold");
+  const saldoById = new Map(saldos.map((saldo) => [saldo._id.toString(), saldo]));
+  const categoryById = new Map(categories.map((category) => [category._id.toString(), category]));
+
+  const thresholdOf = (draft) =>
+    lowestThreshold(
+      saldoById.get(String(draft.saldo)),
+      draftCategoryIds(draft)
+        .map((id) => categoryById.get(String(id)))
+        .filter(Boolean)
+    );
+
+  // rates only of the saldos that have something to compare against
+  const currencies = expenses
+    .filter((draft) => thresholdOf(draft) !== null)
+    .map((draft) => saldoById.get(String(draft.saldo)))
+    .filter(Boolean)
+    .map((saldo) => saldo.currency);
+  const rateOf = await loadRateTable(currencies);
+
+  return (draft) => {
+    if (draft.type !== "expense") return null;
+
+    const threshold = thresholdOf(draft);
+    if (threshold === null) return null;
+
+    const saldo = saldoById.get(String(draft.saldo));
+    const rate = saldo ? rateOf(saldo.currency, new Date(draft.date || Date.now())) : 1;
+    return draft.amount * rate > threshold ? threshold : null;
+  };
+};
+
+/**
+ * Approvers to notify: APPROVER_EMAILS (comma-separated) or every admin
+ */
+const approverEmails = async () => {
+  const configured = String(process.env.APPROVER_EMAILS || "")
+    .split(",")
+    .map((email) => email.trim())
+    .filter(Boolean);
+  if (configured.length > 0) return configured;
+
+  const admins = await User.find({ role: "admin" }).select("email");
+  return admins.map((admin) => admin.email);
+};
+
+/**
+ * Email the approvers about a transaction waiting for approval. Never throws:
+ * the transaction is already saved, a mail failure only gets logged.
+ */
+const notifyApprovers = async (transaction, requester) => {
+  try {
+    const emails = await approverEmails();
+    if (emails.length === 0) {
+      console.warn(`⚠ No approvers to notify for transaction ${transaction._id}`);
+      return;
+    }
+
+    await sendApprovalRequestMail({
+      emails,
+      transaction,
+      requester: requester ? requester.name || requester.email : "Someone",
+      threshold: transaction.approvalThreshold,
+    });
+  } catch (err) {
+    console.error(`❌ Failed to notify approvers for transaction ${transaction._id}:`, err.message);
+  }
+};
+
+module.exports = {
+  globalApprovalThreshold,
+  exceededApprovalThreshold,
+  loadApprovalThresholds,
+  notifyApprovers,
+};
@@ -0,0 +1,33 @@
+const cloudinary = require("cloudinary").v2;
+
+const FOLDER = process.env.CLOUDINARY_ATTACHMENT_FOLDER || "ghefira/receipts";
+
+/**
+ * Receipts stored on Cloudinary (configured in server.js)
+ */
+module.exports = {
+  name: "cloudinary",
+
+  upload: ({ buffer, mimeType }) =>
+    new Promise((resolve, reject) => {
+      const stream = cloudinary.uploader.upload_stream(
+        {
+          folder: FOLDER,
+          // PDFs are kept as-is instead of being rasterized
+          resource_type: mimeType === "application/pdf" ? "raw" : "image",
+        },
+        (error, result) => {
+          if (error) return reject(error);
+          resolve({
+            publicId: result.public_id,
+            url: result.secure_url,
+            resourceType: result.resource_type,
+          });
+        }
+      );
+      stream.end(buffer);
+    }),
+
+  remove: ({ publicId, resourceType }) =>
+    cloudinary.uploader.destroy(publicId, { resource_type: resourceType || "image" }),
+};
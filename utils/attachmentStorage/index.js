@@ -0,0 +1,46 @@
+const cloudinaryStorage = require("./cloudinaryStorage");
+const localStorage = require("./localStorage");
+
+const BACKENDS = {
+  cloudinary: cloudinaryStorage,
+  local: localStorage,
+};
+
+let storage = BACKENDS[process.env.ATTACHMENT_STORAGE] || cloudinaryStorage;
+
+/**
+ * Storage backend for transaction attachments. Every backend exposes
+ * upload({ buffer, originalName, mimeType }) -> { publicId, url, resourceType }
+ * and remove({ publicId, resourceType }).
+ * Chosen with ATTACHMENT_STORAGE=cloudinary|local, or swapped at runtime
+ * with setAttachmentStorage() (tests).
+ */
+const getAttachmentStorage = () => storage;
+
+const setAttachmentStorage = (backend) => {
+  storage = typeof backend === "string" ? BACKENDS[backend] : backend;
+};
+
+/**
+ * Best-effort removal of stored files; a failure is logged, never thrown,
+ * because the database change it follows has already been committed
+ */
+const removeAttachmentFiles = async (attachments = []) => {
+  await Promise.all(
+    attachments.map(async (attachment) => {
+      const backend = BACKENDS[attachment.provider] || storage;
+      try {
+        await backend.remove(attachment);
+      } catch (err) {
+        console.error(`❌ Failed to remove attachment ${attachment.publicId}:`, err.message);
+      }
+    })
+  );
+};
+
+module.exports = {
+  getAttachmentStorage,
+  setAttachmentStorage,
+  removeAttachmentFiles,
+  localStorage,
+};
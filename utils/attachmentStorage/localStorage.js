@@ -0,0 +1,33 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const UPLOAD_DIR = path.resolve(process.env.ATTACHMENT_LOCAL_DIR || path.join(__dirname, "../../uploads"));
+const PUBLIC_PATH = "/uploads";
+
+/**
+ * Local-disk stand-in for Cloudinary (development and tests).
+ * Files are served by app.js under /uploads.
+ */
+module.exports = {
+  name: "local",
+  directory: UPLOAD_DIR,
+  publicPath: PUBLIC_PATH,
+
+  upload: async ({ buffer, originalName }) => {
+    await fs.promises.mkdir(UPLOAD_DIR, { recursive: true });
+
+    const publicId = `${crypto.randomUUID()}${path.extname(originalName || "").toLowerCase()}`;
+    await fs.promises.writeFile(path.join(UPLOAD_DIR, publicId), buffer);
+
+    return {
+      publicId,
+      url: `${PUBLIC_PATH}/${publicId}`,
+      resourceType: "file",
+    };
+  },
+
+  remove: async ({ publicId }) => {
+    await fs.promises.rm(path.join(UPLOAD_DIR, path.basename(publicId)), { force: true });
+  },
+};
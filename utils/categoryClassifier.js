@@ -0,0 +1,570 @@
+const Transaction = require("../model/Transaction");
+const Category = require("../model/Category");
+const ErrorHandler = require("./ErrorHandler");
+const { DEFAULT_BACKEND, createClassifier } = require("./classifiers");
+const { splitSamples, evaluateClassifier } = require("./classifierEvaluation");
+const registry = require("./modelRegistry");
+const { LEGACY_PIPELINE, resolvePipeline, preprocess } = require("./textPreprocessing");
+
+// Holdout used to score a new version: a fixed stratified split, so the
+// scores of versions trained on the same data are comparable
+const HOLDOUT = { strategy: "stratified", testRatio: 0.2, seed: 1 };
+const MIN_SCORED_SAMPLES = 10;
+
+const SAMPLE_BATCH_SIZE = 500;
+
+const DEFAULT_PERSIST_INTERVAL_MS = 5 * 60 * 1000;
+
+// Predictions without a model ask for a training at most this often
+const TRAINING_REQUEST_INTERVAL_MS = 60 * 1000;
+
+const DEFAULT_TOP_K = 3;
+const DEFAULT_CONFIDENCE_THRESHOLD = 0.5;
+
+// Transactions waiting in the review queue have no confirmed category yet,
+// transfer legs are moves between saldos rather than spending or income.
+// Used for training and evaluation samples alike.
+const TRAINING_FILTER = { needsReview: { $ne: true }, transferLeg: null };
+
+// Active classifier (a version from the model registry)
+let classifier = null;
+let activeVersion = null;
+let isModelReady = false;
+let lastTrainingDate = null;
+let loading = null;
+let isTraining = false;
+// Starts a background training (see setTrainingRequester)
+let requestTraining = null;
+let lastTrainingRequest = 0;
+// Preprocessing the active version was trained with
+let pipeline = LEGACY_PIPELINE;
+
+// Online learning since the active version was last saved; `isDirty` until
+// the updated classifier is written back to its version (which adds these
+// counters to the ones stored with it)
+let unsavedStats = null;
+let isDirty = false;
+let persistTimer = null;
+
+/**
+ * Text the classifiers learn from and predict on ({ description, type,
+ * amount }), preprocessed like the active version's training data
+ */
+function modelInput(tx, config = pipeline) {
+    return preprocess(tx, config);
+}
+
+/**
+ * Training sample of a transaction populated with its category
+ */
+function toSample(tx, config = pipeline) {
+    return {
+        text: modelInput(tx, config),
+        label: tx.category?.name || "unknown",
+        description: tx.description,
+        type: tx.type,
+        date: tx.date,
+    };
+}
+
+/**
+ * Categorized transactions as samples, newest first (the `limit` most
+ * recent ones with a limit), streamed from a cursor. `job` (a background
+ * job context) is told about every document read.
+ */
+async function loadTrainingSamples(config, { limit, job } = {}) {
+    const total = Math.min(await Transaction.countDocuments(TRAINING_FILTER), limit || Infinity);
+    const samples = [];
+
+    let query = Transaction.find(TRAINING_FILTER).sort({ date: -1, _id: -1 });
+    if (limit) query = query.limit(limit);
+    // a trashed category still labels its transactions, as in categoryLabels
+    const cursor = query
+        .populate({ path: "category", options: { withDeleted: true } })
+        .cursor({ batchSize: SAMPLE_BATCH_SIZE });
+
+    for await (const tx of cursor) {
+        samples.push(toSample(tx, config));
+        if (job) await job.progress("loading", samples.length, total);
+    }
+
+    return samples;
+}
+
+const emptyOnlineStats = () => ({ learned: 0, unlearned: 0, corrections: 0, updatedAt: null });
+
+function useVersion(entry, model) {
+    classifier = model;
+    activeVersion = entry;
+    isModelReady = true;
+    lastTrainingDate = entry.createdAt;
+    // versions from before the pipeline was stored saw plain text
+    pipeline = entry.pipeline || LEGACY_PIPELINE;
+    unsavedStats = emptyOnlineStats();
+    isDirty = false;
+}
+
+/**
+ * Load the active registry version (importing a model.json of earlier
+ * releases first). A version that fails to load is rolled back from.
+ * Called once the database is connected; predictions wait for it.
+ */
+function loadModel() {
+    loading = loadActiveVersion().finally(() => {
+        loading = null;
+    });
+    return loading;
+}
+
+async function loadActiveVersion() {
+    try {
+        await registry.importLegacyModel();
+
+        const entry = await registry.getActiveVersion();
+        if (!entry) {
+            console.log("ℹ No active model version in:", registry.storageInfo().location);
+            classifier = null;
+            activeVersion = null;
+            isModelReady = false;
+            return false;
+        }
+
+        useVersion(entry, await registry.loadVersion(entry.version));
+        console.log(`✅ Model version ${entry.version} (${entry.backend}) loaded successfully.`);
+        return true;
+    } catch (err) {
+        console.error("❌ Failed to load model:", err.message);
+        classifier = null;
+        activeVersion = null;
+        isModelReady = false;
+
+        try {
+            console.log("🔄 Attempting to roll back to the previous version...");
+            await rollbackModel();
+            return true;
+        } catch (rollbackErr) {
+            console.error("❌ Failed to roll back model:", rollbackErr.message);
+            return false;
+        }
+    }
+}
+
+/**
+ * Train a new model version on every transaction. It is scored on a
+ * holdout first, then trained on all samples and stored in the registry;
+ * with `activate` it replaces the active model. `pipeline` overrides the
+ * default preprocessing and is stored with the version. Returns the entry,
+ * or null when there is nothing to train on. Refused (409) while this or
+ * another instance is already training. The active model keeps serving
+ * until the new one is stored; `job` (a background job context) gets the
+ * progress and may cancel training up to the activation, which is checked
+ * for a cancel in the same registry write.
+ */
+async function trainClassifier({
+    backend = DEFAULT_BACKEND,
+    activate = true,
+    userId = null,
+    pipeline: overrides,
+    job = null,
+} = {}) {
+    if (isTraining || !(await registry.acquireTrainingLock())) {
+        throw new ErrorHandler("The model is already being trained, try again later", 409);
+    }
+    isTraining = true;
+
+    try {
+        console.log(`🔁 Training ${backend} model...`);
+        const startTime = Date.now();
+
+        const config = resolvePipeline(overrides);
+        const samples = await loadTrainingSamples(config, { job });
+        if (samples.length === 0) {
+            console.log("ℹ No transactions found for training.");
+            return null;
+        }
+
+        let scores = null;
+        if (samples.length >= MIN_SCORED_SAMPLES) {
+            const { train, test } = splitSamples(samples, HOLDOUT);
+            const evaluation = await evaluateClassifier(createClassifier(backend), train, test, {
+                onProgress: job && ((processed, total) => job.progress("scoring", processed, total)),
+            });
+            scores = {
+                accuracy: evaluation.accuracy,
+                macroF1: evaluation.macroF1,
+                weightedF1: evaluation.weighted.f1Score,
+                testSamples: evaluation.totalTestSamples,
+            };
+        }
+
+        const model = createClassifier(backend);
+        for (let i = 0; i < samples.length; i++) {
+            await model.learn(samples[i].text, samples[i].label);
+            if (job) await job.progress("training", i + 1, samples.length);
+        }
+
+        const categoriesUsed = model.labels();
+        let entry = await registry.registerVersion({
+            backend,
+            classifier: model,
+            pipeline: config,
+            metadata: {
+                samples: samples.length,
+                categories: categoriesUsed,
+                durationMs: Date.now() - startTime,
+                trainedBy: userId,
+            },
+            scores,
+        });
+
+        if (activate) {
+            await persistModel();
+            entry = await registry.activateVersion(entry.version, {
+                userId,
+                guard: job && (() => job.ensureNotCancelled()),
+            });
+            useVersion(entry, model);
+        }
+
+        const duration = (Date.now() - startTime) / 1000;
+        console.log(`🎉 Model version ${entry.version} trained in ${duration}s`);
+        console.log(`📊 Trained with ${samples.length} transactions`);
+        console.log(`🏷️ Categories used: ${categoriesUsed.join(', ')}`);
+        return entry;
+    } catch (err) {
+        console.error("❌ Model training failed:", err.message);
+        throw err;
+    } finally {
+        isTraining = false;
+        await registry.releaseTrainingLock().catch((err) => {
+            console.error("❌ Failed to release the training lock:", err.message);
+        });
+    }
+}
+
+/**
+ * How predictions without a model get one trained: `requester()` queues a
+ * background training (utils/classifierJobs, wired up in server.js)
+ */
+function setTrainingRequester(requester) {
+    requestTraining = requester;
+}
+
+/**
+ * Wait for the model being loaded. Without an active model a background
+ * training is requested and the caller goes on without predictions; the
+ * request never trains inside it.
+ */
+async function ensureModelReady() {
+    if (loading) {
+        await loading;
+    }
+
+    const now = Date.now();
+    const canRequest = requestTraining && !isTraining && now - lastTrainingRequest >= TRAINING_REQUEST_INTERVAL_MS;
+    if (!isModelReady && canRequest) {
+        lastTrainingRequest = now;
+        console.log("⚠ Model not ready - queueing a training job...");
+        Promise.resolve()
+            .then(requestTraining)
+            .catch((err) => console.log(`ℹ ${err.message}`));
+    }
+    return isModelReady;
+}
+
+/**
+ * Predict category for a transaction
+ */
+async function predictCategory(description, type, amount) {
+    try {
+        if (!isModelReady) {
+            await ensureModelReady();
+        }
+
+        if (isModelReady) {
+            const inputText = modelInput({ description, type, amount });
+            const prediction = await classifier.categorize(inputText);
+            console.log(`🔮 Prediction: '${inputText}' → '${prediction}'`);
+            return prediction || "uncategorized";
+        }
+        return "uncategorized";
+    } catch (err) {
+        console.error("❌ Prediction failed:", err);
+        return "uncategorized";
+    }
+}
+
+/**
+ * Minimum probability of the top suggestion for POST /transaction/models to
+ * file a transaction under it (CLASSIFIER_CONFIDENCE_THRESHOLD, 0-1)
+ */
+function confidenceThreshold() {
+    const configured = process.env.CLASSIFIER_CONFIDENCE_THRESHOLD;
+    const threshold = Number(configured);
+    return configured && threshold >= 0 && threshold <= 1 ? threshold : DEFAULT_CONFIDENCE_THRESHOLD;
+}
+
+/**
+ * Top `k` categories for a transaction with normalized probabilities.
+ * `confident` tells whether the best one reaches the confidence threshold;
+ * with no trained model there are no suggestions and it is never confident.
+ * `amount` is optional.
+ */
+async function suggestCategories({ description, type, amount }, { k = DEFAULT_TOP_K } = {}) {
+    const threshold = confidenceThreshold();
+
+    let suggestions = [];
+    try {
+        if (!isModelReady) {
+            await ensureModelReady();
+        }
+
+        if (isModelReady) {
+            const probabilities = await classifier.probabilities(modelInput({ description, type, amount }));
+            suggestions = probabilities.slice(0, k).map(({ label, probability }) => ({
+                name: label,
+                probability: parseFloat(probability.toFixed(4)),
+            }));
+        }
+    } catch (err) {
+        console.error("❌ Suggestion failed:", err);
+    }
+
+    const confidence = suggestions.length > 0 ? suggestions[0].probability : 0;
+    return {
+        suggestions,
+        confidence,
+        threshold,
+        confident: suggestions.length > 0 && confidence >= threshold,
+        modelVersion: activeVersion ? activeVersion.version : null,
+    };
+}
+
+/**
+ * Category names of transactions ({ category } as id or populated), by id
+ */
+async function categoryLabels(transactions) {
+    const ids = transactions
+        .map((tx) => tx.category && (tx.category._id || tx.category))
+        .filter(Boolean);
+    const categories = await Category.find({ _id: { $in: ids } })
+        .select("name")
+        .setOptions({ withDeleted: true });
+    return new Map(categories.map((category) => [category._id.toString(), category.name]));
+}
+
+const labelOf = (labels, tx) => (tx.category ? labels.get((tx.category._id || tx.category).toString()) : null);
+
+/**
+ * Feed newly categorized transactions into the active classifier right
+ * away instead of waiting for the next full retrain (which learns them
+ * again from scratch). With `isCorrection` they count as user corrections
+ * of a suggestion. Never throws: the transactions are already saved.
+ */
+async function learnTransactions(transactions, { isCorrection = false } = {}) {
+    if (!isModelReady || transactions.length === 0) return;
+
+    try {
+        const labels = await categoryLabels(transactions);
+        for (const tx of transactions) {
+            const label = labelOf(labels, tx);
+            if (!label) continue;
+
+            await classifier.learn(modelInput(tx), label);
+            unsavedStats.learned++;
+            if (isCorrection) unsavedStats.corrections++;
+        }
+        unsavedStats.updatedAt = new Date();
+        isDirty = true;
+    } catch (err) {
+        console.error("❌ Online learning failed:", err.message);
+    }
+}
+
+/**
+ * An edited transaction: unlearn what the classifier learned from its old
+ * version (`previous`: { description, type, amount, category }) and learn the new
+ * one. A changed category counts as a correction.
+ */
+async function relearnTransaction(previous, transaction) {
+    if (!isModelReady) return;
+
+    try {
+        const labels = await categoryLabels([previous, transaction]);
+        const oldLabel = labelOf(labels, previous);
+        const newLabel = labelOf(labels, transaction);
+        const oldText = modelInput(previous);
+        const newText = modelInput(transaction);
+        if (oldLabel === newLabel && oldText === newText) return;
+
+        if (oldLabel && (await classifier.unlearn(oldText, oldLabel))) {
+            unsavedStats.unlearned++;
+        }
+        if (newLabel) {
+            await classifier.learn(newText, newLabel);
+            unsavedStats.learned++;
+        }
+        if (oldLabel && newLabel && oldLabel !== newLabel) {
+            unsavedStats.corrections++;
+            console.log(`✏ Correction learned: '${newText}' ${oldLabel} → ${newLabel}`);
+        }
+        unsavedStats.updatedAt = new Date();
+        isDirty = true;
+    } catch (err) {
+        console.error("❌ Online learning failed:", err.message);
+    }
+}
+
+/**
+ * Write the online-updated classifier back to its registry version
+ */
+async function persistModel() {
+    if (!isDirty || !activeVersion) return false;
+
+    // cleared first: learning that happens while writing marks it dirty again
+    const version = activeVersion.version;
+    const learned = unsavedStats;
+    unsavedStats = emptyOnlineStats();
+    isDirty = false;
+    try {
+        const entry = await registry.saveVersionState(version, classifier, learned);
+        if (activeVersion && activeVersion.version === entry.version) {
+            activeVersion = entry;
+        }
+        return true;
+    } catch (err) {
+        if (activeVersion && activeVersion.version === version) {
+            unsavedStats = registry.addOnlineStats(learned, unsavedStats);
+        }
+        isDirty = true;
+        console.error("❌ Failed to persist model:", err.message);
+        return false;
+    }
+}
+
+/**
+ * Pick up a version promoted, rolled back or trained by another instance
+ */
+async function syncActiveModel() {
+    const entry = await registry.getActiveVersion();
+    const latest = entry ? entry.version : null;
+    if (isTraining || latest === (activeVersion ? activeVersion.version : null)) return false;
+
+    if (!entry) {
+        classifier = null;
+        activeVersion = null;
+        isModelReady = false;
+        pipeline = LEGACY_PIPELINE;
+        unsavedStats = null;
+        return true;
+    }
+
+    useVersion(entry, await registry.loadVersion(entry.version));
+    console.log(`🔄 Switched to model version ${entry.version} activated elsewhere`);
+    return true;
+}
+
+/**
+ * Every `intervalMs` (MODEL_PERSIST_INTERVAL_MS): persist online learning,
+ * then follow the active version of the shared registry
+ */
+function startModelSync(intervalMs = Number(process.env.MODEL_PERSIST_INTERVAL_MS) || DEFAULT_PERSIST_INTERVAL_MS) {
+    if (persistTimer) return;
+
+    const tick = async () => {
+        try {
+            await persistModel();
+            await syncActiveModel();
+        } catch (err) {
+            console.error("❌ Model sync failed:", err.message);
+        }
+    };
+
+    persistTimer = setInterval(tick, intervalMs);
+    persistTimer.unref();
+}
+
+function stopModelSync() {
+    clearInterval(persistTimer);
+    persistTimer = null;
+}
+
+/**
+ * Make a stored version the active model
+ */
+async function promoteModelVersion(version, userId = null) {
+    await persistModel();
+    const model = await registry.loadVersion(version);
+    const entry = await registry.activateVersion(version, { userId });
+    useVersion(entry, model);
+    console.log(`⬆ Model version ${entry.version} promoted`);
+    return entry;
+}
+
+/**
+ * Go back to the version that was active before the current one
+ */
+async function rollbackModel(userId = null) {
+    const version = await registry.previousVersion();
+    await persistModel();
+    const model = await registry.loadVersion(version);
+    const entry = await registry.activateVersion(version, { userId, isRollback: true });
+    useVersion(entry, model);
+    console.log(`⬇ Rolled back to model version ${entry.version}`);
+    return entry;
+}
+
+/**
+ * Stop predicting with the active version (stored versions are kept)
+ */
+async function resetModel() {
+    await persistModel();
+    await registry.deactivate();
+
+    classifier = null;
+    activeVersion = null;
+    isModelReady = false;
+    lastTrainingDate = null;
+    pipeline = LEGACY_PIPELINE;
+    unsavedStats = null;
+    isDirty = false;
+}
+
+/**
+ * Current classifier state, read-only snapshot for routes
+ */
+function getModelState() {
+    return {
+        classifier,
+        activeVersion,
+        isModelReady,
+        lastTrainingDate,
+        pipeline,
+        // stored counters of the active version plus the unsaved ones
+        onlineStats: activeVersion ? registry.addOnlineStats(activeVersion.online, unsavedStats) : null,
+    };
+}
+
+module.exports = {
+    TRAINING_FILTER,
+    modelInput,
+    toSample,
+    loadModel,
+    setTrainingRequester,
+    loadTrainingSamples,
+    trainClassifier,
+    ensureModelReady,
+    predictCategory,
+    confidenceThreshold,
+    suggestCategories,
+    learnTransactions,
+    relearnTransaction,
+    persistModel,
+    syncActiveModel,
+    startModelSync,
+    stopModelSync,
+    promoteModelVersion,
+    rollbackModel,
+    resetModel,
+    getModelState,
+};
@@ -0,0 +1,275 @@
+const round = (value) => parseFloat(value.toFixed(4));
+
+/**
+ * Deterministic random numbers in [0, 1) for a 32-bit seed (mulberry32),
+ * so a split can be reproduced from the seed stored with its run
+ */
+const seededRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const randomSeed = () => Math.floor(Math.random() * 2 ** 31);
+
+/**
+ * Fisher-Yates shuffled copy of `items`
+ */
+const shuffle = (items, seed) => {
+  const random = seededRandom(seed);
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+};
+
+const groupByLabel = (samples) => {
+  const groups = new Map();
+  samples.forEach((sample) => {
+    if (!groups.has(sample.label)) groups.set(sample.label, []);
+    groups.get(sample.label).push(sample);
+  });
+  // sorted labels: the same samples in the same order always split the same way
+  return [...groups.keys()].sort().map((label) => groups.get(label));
+};
+
+/**
+ * Train / test split of `samples` ({ text, label, date, ... }) with
+ * `testRatio` of them in the test set:
+ * - random: seeded shuffle
+ * - stratified: seeded shuffle per category, so both sets keep the
+ *   category proportions (a category with one sample only trains)
+ * - time: train on the oldest, test on the newest
+ */
+const splitSamples = (samples, { strategy = "stratified", testRatio = 0.2, seed = 0 } = {}) => {
+  if (strategy === "time") {
+    const sorted = [...samples].sort((a, b) => new Date(a.date) - new Date(b.date));
+    const splitIndex = Math.round(sorted.length * (1 - testRatio));
+    return { train: sorted.slice(0, splitIndex), test: sorted.slice(splitIndex) };
+  }
+
+  if (strategy === "stratified") {
+    const train = [];
+    const test = [];
+    groupByLabel(samples).forEach((group) => {
+      const shuffled = shuffle(group, seed);
+      const testCount = group.length > 1 ? Math.max(1, Math.round(group.length * testRatio)) : 0;
+      test.push(...shuffled.slice(0, testCount));
+      train.push(...shuffled.slice(testCount));
+    });
+    return { train: shuffle(train, seed), test: shuffle(test, seed) };
+  }
+
+  const shuffled = shuffle(samples, seed);
+  const splitIndex = Math.round(shuffled.length * (1 - testRatio));
+  return { train: shuffled.slice(0, splitIndex), test: shuffled.slice(splitIndex) };
+};
+
+/**
+ * `k` folds of shuffled `samples`; `stratified` deals every category out
+ * over the folds in turn so each fold keeps the category proportions
+ */
+const kFolds = (samples, k, { stratified = true, seed = 0 } = {}) => {
+  const folds = Array.from({ length: k }, () => []);
+  const ordered = stratified
+    ? groupByLabel(samples).flatMap((group) => shuffle(group, seed))
+    : shuffle(samples, seed);
+  ordered.forEach((sample, i) => folds[i % k].push(sample));
+  return folds;
+};
+
+/**
+ * Confusion matrix from [{ actualCategory, predictedCategory }]:
+ * matrix[actual][predicted] = count
+ */
+const generateConfusionMatrix = (predictions) => {
+  const matrix = {};
+  const categories = new Set();
+
+  predictions.forEach((item) => {
+    categories.add(item.actualCategory);
+    categories.add(item.predictedCategory);
+  });
+
+  categories.forEach((category) => {
+    matrix[category] = {};
+    categories.forEach((otherCategory) => {
+      matrix[category][otherCategory] = 0;
+    });
+  });
+
+  predictions.forEach((item) => {
+    matrix[item.actualCategory][item.predictedCategory]++;
+  });
+
+  return matrix;
+};
+
+/**
+ * Precision, recall, F1 and support per category from a confusion matrix
+ */
+const calculateMetrics = (matrix) => {
+  const metrics = {};
+  const categories = Object.keys(matrix);
+
+  categories.forEach((category) => {
+    const truePositives = matrix[category][category];
+    let falsePositives = 0;
+    let falseNegatives = 0;
+
+    categories.forEach((otherCategory) => {
+      if (otherCategory !== category) {
+        falsePositives += matrix[otherCategory][category] || 0;
+        falseNegatives += matrix[category][otherCategory] || 0;
+      }
+    });
+
+    const precision = truePositives / (truePositives + falsePositives) || 0;
+    const recall = truePositives / (truePositives + falseNegatives) || 0;
+    const f1Score = (2 * (precision * recall)) / (precision + recall) || 0;
+
+    metrics[category] = {
+      precision: round(precision),
+      recall: round(recall),
+      f1Score: round(f1Score),
+      support: truePositives + falseNegatives,
+    };
+  });
+
+  return metrics;
+};
+
+/**
+ * Macro (plain mean) and weighted (by support) precision, recall and F1
+ * over the categories that actually occur in the test set
+ */
+const averageMetrics = (metrics) => {
+  const supported = Object.values(metrics).filter((metric) => metric.support > 0);
+  const totalSupport = supported.reduce((sum, metric) => sum + metric.support, 0);
+
+  const average = (key, weigh) =>
+    round(supported.reduce((sum, metric) => sum + metric[key] * weigh(metric), 0) || 0);
+  const averages = (weigh) => ({
+    precision: average("precision", weigh),
+    recall: average("recall", weigh),
+    f1Score: average("f1Score", weigh),
+  });
+
+  return {
+    macro: averages(() => 1 / (supported.length || 1)),
+    weighted: averages((metric) => metric.support / (totalSupport || 1)),
+  };
+};
+
+/**
+ * Train a fresh classifier on `trainSamples` and score it on `testSamples`
+ * (both [{ text, label, description, type }]). `onProgress(processed, total)`
+ * is awaited after every sample.
+ */
+const evaluateClassifier = async (classifier, trainSamples, testSamples, { onProgress } = {}) => {
+  const total = trainSamples.length + testSamples.length;
+  let processed = 0;
+
+  for (const sample of trainSamples) {
+    await classifier.learn(sample.text, sample.label);
+    if (onProgress) await onProgress(++processed, total);
+  }
+
+  const predictions = [];
+  for (const sample of testSamples) {
+    const predictedCategory = (await classifier.categorize(sample.text)) || "uncategorized";
+    predictions.push({
+      description: sample.description,
+      type: sample.type,
+      actualCategory: sample.label,
+      predictedCategory,
+      isCorrect: sample.label === predictedCategory,
+    });
+    if (onProgress) await onProgress(++processed, total);
+  }
+
+  const confusionMatrix = generateConfusionMatrix(predictions);
+  const metrics = calculateMetrics(confusionMatrix);
+  const { macro, weighted } = averageMetrics(metrics);
+
+  return {
+    accuracy: round(predictions.filter((p) => p.isCorrect).length / (predictions.length || 1)),
+    macroF1: macro.f1Score,
+    macro,
+    weighted,
+    totalTestSamples: predictions.length,
+    confusionMatrix,
+    metrics,
+    predictions,
+  };
+};
+
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / (values.length || 1);
+
+const std = (values) => {
+  const average = mean(values);
+  return Math.sqrt(mean(values.map((value) => (value - average) ** 2)));
+};
+
+/**
+ * Evaluate every fold against the others, each with a fresh classifier
+ * from `makeClassifier()`. Returns the folds, the mean accuracy, macro and
+ * weighted averages over them and the standard deviation of the scores.
+ * `onProgress(processed, total)` counts the samples of all folds.
+ */
+const crossValidate = async (makeClassifier, folds, { onProgress } = {}) => {
+  const foldTotal = folds.reduce((sum, fold) => sum + fold.length, 0);
+  const total = foldTotal * folds.length;
+
+  const results = [];
+  for (let i = 0; i < folds.length; i++) {
+    const train = folds.filter((_, j) => j !== i).flat();
+    const evaluation = await evaluateClassifier(makeClassifier(), train, folds[i], {
+      onProgress: onProgress && ((processed) => onProgress(i * foldTotal + processed, total)),
+    });
+    results.push({
+      fold: i + 1,
+      accuracy: evaluation.accuracy,
+      macro: evaluation.macro,
+      weighted: evaluation.weighted,
+      testSamples: evaluation.totalTestSamples,
+    });
+  }
+
+  const meanOf = (average) => ({
+    precision: round(mean(results.map((result) => result[average].precision))),
+    recall: round(mean(results.map((result) => result[average].recall))),
+    f1Score: round(mean(results.map((result) => result[average].f1Score))),
+  });
+
+  return {
+    folds: results,
+    accuracy: round(mean(results.map((result) => result.accuracy))),
+    macro: meanOf("macro"),
+    weighted: meanOf("weighted"),
+    std: {
+      accuracy: round(std(results.map((result) => result.accuracy))),
+      macroF1: round(std(results.map((result) => result.macro.f1Score))),
+      weightedF1: round(std(results.map((result) => result.weighted.f1Score))),
+    },
+  };
+};
+
+module.exports = {
+  randomSeed,
+  shuffle,
+  splitSamples,
+  kFolds,
+  generateConfusionMatrix,
+  calculateMetrics,
+  averageMetrics,
+  evaluateClassifier,
+  crossValidate,
+};
@@ -0,0 +1,166 @@
+const ClassifierJob = require("../model/ClassifierJob");
+const ErrorHandler = require("./ErrorHandler");
+const { INSTANCE_ID } = require("./modelRegistry");
+const { trainClassifier } = require("./categoryClassifier");
+const { runHoldoutEvaluation, runCrossValidation } = require("./modelEvaluation");
+
+const ACTIVE_STATUSES = ["queued", "running"];
+
+// Progress (and the cancel flag) is synced with the database at most this often
+const PROGRESS_INTERVAL_MS = 1000;
+// A job that reported no progress for this long is considered dead
+const DEFAULT_STALE_MS = 10 * 60 * 1000;
+
+class JobCancelledError extends Error {}
+
+const RUNNERS = {
+  train: async (params, context) => {
+    const entry = await trainClassifier({ ...params, job: context.job, userId: context.userId });
+    if (!entry) {
+      throw new ErrorHandler("No transactions found for training", 400);
+    }
+    return entry;
+  },
+  evaluate: (params, context) => runHoldoutEvaluation(params, context),
+  "cross-validate": (params, context) => runCrossValidation(params, context),
+};
+
+/**
+ * Handed to the work as `job`: `progress(phase, processed, total)` yields
+ * to the event loop so requests keep being served, records the progress
+ * with an ETA for the phase, and throws JobCancelledError once the job was
+ * cancelled. `ensureNotCancelled()` checks the cancel flag right away.
+ */
+const createJobContext = (jobId) => {
+  let phase = null;
+  let phaseStartedAt = 0;
+  let lastSyncAt = 0;
+
+  const throwIfCancelled = (job) => {
+    if (job && job.cancelRequested) {
+      throw new JobCancelledError(`Job ${jobId} was cancelled`);
+    }
+  };
+
+  return {
+    async progress(name, processed, total) {
+      await new Promise((resolve) => setImmediate(resolve));
+
+      const now = Date.now();
+      if (name !== phase) {
+        phase = name;
+        phaseStartedAt = now;
+        lastSyncAt = 0;
+      }
+      if (now - lastSyncAt < PROGRESS_INTERVAL_MS && processed < total) return;
+      lastSyncAt = now;
+
+      const remaining = total - processed;
+      const eta = processed > 0 && remaining > 0
+        ? new Date(now + ((now - phaseStartedAt) / processed) * remaining)
+        : null;
+
+      const job = await ClassifierJob.findByIdAndUpdate(
+        jobId,
+        {
+          progress: {
+            phase,
+            processed,
+            total,
+            percent: total > 0 ? Math.round((processed / total) * 100) : 0,
+          },
+          eta,
+        },
+        { new: true }
+      ).select("cancelRequested");
+
+      throwIfCancelled(job);
+    },
+
+    async ensureNotCancelled() {
+      throwIfCancelled(await ClassifierJob.findById(jobId).select("cancelRequested"));
+    },
+  };
+};
+
+const finishJob = (jobId, update) =>
+  ClassifierJob.updateOne({ _id: jobId }, { ...update, lockKey: null, eta: null, finishedAt: new Date() }).catch(
+    (err) => console.error(`❌ Failed to record the end of job ${jobId}:`, err.message)
+  );
+
+const runJob = async (job) => {
+  try {
+    await ClassifierJob.updateOne({ _id: job._id }, { status: "running", startedAt: new Date() });
+    const result = await RUNNERS[job.type](job.params, {
+      job: createJobContext(job._id),
+      userId: job.createdBy,
+    });
+    await finishJob(job._id, { status: "completed", result });
+    console.log(`✅ ${job.type} job ${job._id} completed`);
+  } catch (err) {
+    if (err instanceof JobCancelledError) {
+      await finishJob(job._id, { status: "cancelled" });
+      console.log(`🛑 ${job.type} job ${job._id} cancelled`);
+      return;
+    }
+    await finishJob(job._id, { status: "failed", error: err.message });
+    console.error(`❌ ${job.type} job ${job._id} failed:`, err.message);
+  }
+};
+
+/**
+ * Fail jobs whose process stopped reporting (crash, restart) so they no
+ * longer block new ones (MODEL_JOB_STALE_MS)
+ */
+const failStaleJobs = () => {
+  const staleMs = Number(process.env.MODEL_JOB_STALE_MS) || DEFAULT_STALE_MS;
+  return ClassifierJob.updateMany(
+    { status: { $in: ACTIVE_STATUSES }, updatedAt: { $lt: new Date(Date.now() - staleMs) } },
+    { status: "failed", error: "The job stopped responding", lockKey: null, eta: null, finishedAt: new Date() }
+  );
+};
+
+/**
+ * Queue a job and run it in the background of this process. Only one job
+ * of a type runs at a time (409 otherwise).
+ */
+const startJob = async (type, params = {}, userId = null) => {
+  await failStaleJobs();
+
+  let job;
+  try {
+    job = await ClassifierJob.create({ type, params, lockKey: type, owner: INSTANCE_ID, createdBy: userId });
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+    const running = await ClassifierJob.findOne({ lockKey: type }).select("_id");
+    throw new ErrorHandler(`A ${type} job is already running${running ? ` (${running._id})` : ""}`, 409);
+  }
+
+  setImmediate(() => runJob(job));
+  return job;
+};
+
+/**
+ * Ask a queued or running job to stop; it does at its next progress report,
+ * and a train job never activates its model once asked
+ */
+const cancelJob = async (id) => {
+  const job = await ClassifierJob.findOneAndUpdate(
+    { _id: id, status: { $in: ACTIVE_STATUSES } },
+    { cancelRequested: true },
+    { new: true }
+  );
+  if (job) return job;
+
+  const exists = await ClassifierJob.findById(id).select("status");
+  if (!exists) {
+    throw new ErrorHandler("Job not found", 404);
+  }
+  throw new ErrorHandler(`Job already ${exists.status}`, 400);
+};
+
+module.exports = {
+  JOB_TYPES: Object.keys(RUNNERS),
+  startJob,
+  cancelJob,
+};
@@ -0,0 +1,77 @@
+const bayes = require("bayes");
+const { softmax } = require("./normalize");
+
+/**
+ * Undo learn(text, label). Counts never go below zero, so unlearning an
+ * example that was never learned only removes what is there; a category
+ * or word left without any count is dropped.
+ */
+const unlearn = async (model, text, label) => {
+  if (!model.categories[label]) return false;
+
+  model.docCount[label] = Math.max(0, model.docCount[label] - 1);
+  model.totalDocuments = Math.max(0, model.totalDocuments - 1);
+
+  const frequencyTable = model.frequencyTable(await model.tokenizer(text));
+  const frequencies = model.wordFrequencyCount[label];
+  Object.entries(frequencyTable).forEach(([token, count]) => {
+    const removed = Math.min(count, frequencies[token] || 0);
+    model.wordCount[label] -= removed;
+    if (frequencies[token] > removed) {
+      frequencies[token] -= removed;
+    } else {
+      delete frequencies[token];
+      const stillUsed = Object.keys(model.categories).some((category) => model.wordFrequencyCount[category][token]);
+      if (!stillUsed && model.vocabulary[token]) {
+        delete model.vocabulary[token];
+        model.vocabularySize--;
+      }
+    }
+  });
+
+  if (model.docCount[label] === 0) {
+    delete model.categories[label];
+    delete model.docCount[label];
+    delete model.wordCount[label];
+    delete model.wordFrequencyCount[label];
+  }
+  return true;
+};
+
+const wrap = (model) => ({
+  learn: (text, label) => model.learn(text, label),
+  unlearn: (text, label) => unlearn(model, text, label),
+  categorize: (text) => model.categorize(text),
+
+  // the package only exposes the winner, the log-likelihoods are redone
+  // here the same way categorize() computes them
+  probabilities: async (text) => {
+    const frequencyTable = model.frequencyTable(await model.tokenizer(text));
+
+    return softmax(
+      Object.keys(model.categories).map((label) => {
+        let score = Math.log(model.docCount[label] / model.totalDocuments);
+        Object.entries(frequencyTable).forEach(([token, count]) => {
+          score += count * Math.log(model.tokenProbability(token, label));
+        });
+        return { label, score };
+      })
+    );
+  },
+
+  labels: () => Object.keys(model.categories),
+  toJSON: () => JSON.parse(model.toJson()),
+});
+
+/**
+ * Multinomial naive Bayes from the `bayes` package (the original model,
+ * model.json files are in this format)
+ */
+module.exports = {
+  name: "bayes",
+  description: "Naive Bayes with Laplace smoothing (bayes package)",
+
+  create: () => wrap(bayes()),
+
+  fromJSON: (state) => wrap(bayes.fromJson(JSON.stringify(state))),
+};
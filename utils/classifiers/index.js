@@ -0,0 +1,43 @@
+const bayesBackend = require("./bayesBackend");
+const naiveBayesBackend = require("./naiveBayesBackend");
+const knnBackend = require("./knnBackend");
+
+const BACKENDS = {
+  bayes: bayesBackend,
+  naivebayes: naiveBayesBackend,
+  knn: knnBackend,
+};
+
+const DEFAULT_BACKEND = BACKENDS[process.env.CLASSIFIER_BACKEND] ? process.env.CLASSIFIER_BACKEND : "bayes";
+
+/**
+ * Classifier backends for category prediction. Every classifier exposes
+ * learn(text, label), unlearn(text, label) -> removed?,
+ * categorize(text) -> label | null, probabilities(text) -> [{ label,
+ * probability }] (most likely first, summing to 1; these four may be async),
+ * labels() -> [label] and toJSON() -> state for fromJSON(state).
+ * The default is chosen with CLASSIFIER_BACKEND=bayes|naivebayes|knn.
+ */
+const getBackend = (name = DEFAULT_BACKEND) => {
+  const backend = BACKENDS[name];
+  if (!backend) {
+    throw new Error(`Unknown classifier backend '${name}', expected one of: ${Object.keys(BACKENDS).join(", ")}`);
+  }
+  return backend;
+};
+
+const createClassifier = (name = DEFAULT_BACKEND, options) => getBackend(name).create(options);
+
+const restoreClassifier = (name, state) => getBackend(name).fromJSON(state);
+
+const listBackends = () =>
+  Object.values(BACKENDS).map(({ name, description }) => ({ name, description, isDefault: name === DEFAULT_BACKEND }));
+
+module.exports = {
+  BACKEND_NAMES: Object.keys(BACKENDS),
+  DEFAULT_BACKEND,
+  getBackend,
+  createClassifier,
+  restoreClassifier,
+  listBackends,
+};
@@ -0,0 +1,140 @@
+const { proportions } = require("./normalize");
+
+const DEFAULT_K = 5;
+
+const tokenize = (text) =>
+  String(text)
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}_]+/u)
+    .filter((token) => token.length > 1);
+
+const termCounts = (tokens) => {
+  const counts = {};
+  tokens.forEach((token) => {
+    counts[token] = (counts[token] || 0) + 1;
+  });
+  return counts;
+};
+
+/**
+ * k-nearest neighbours over TF-IDF vectors with cosine similarity. The model
+ * is the training documents themselves; IDF weights are recomputed from the
+ * document frequencies on every prediction, so learning stays O(1).
+ */
+const wrap = (state) => {
+  const { documents, documentFrequency } = state;
+
+  // token -> indexes of the documents containing it, only candidates sharing
+  // a token with the input are scored
+  const index = new Map();
+  const indexDocument = (doc, i) => {
+    Object.keys(doc.terms).forEach((token) => {
+      if (!index.has(token)) index.set(token, []);
+      index.get(token).push(i);
+    });
+  };
+  documents.forEach(indexDocument);
+
+  const idf = (token) => Math.log((1 + documents.length) / (1 + (documentFrequency[token] || 0))) + 1;
+
+  const weigh = (terms) => {
+    const vector = {};
+    let norm = 0;
+    Object.entries(terms).forEach(([token, count]) => {
+      vector[token] = count * idf(token);
+      norm += vector[token] ** 2;
+    });
+    return { vector, norm: Math.sqrt(norm) };
+  };
+
+  /**
+   * Similarity-weighted votes of the k nearest documents: { label: weight }
+   */
+  const vote = (text) => {
+    const query = weigh(termCounts(tokenize(text)));
+    const votes = {};
+    if (query.norm === 0) return votes;
+
+    const candidates = new Set();
+    Object.keys(query.vector).forEach((token) => {
+      (index.get(token) || []).forEach((i) => candidates.add(i));
+    });
+
+    [...candidates]
+      .map((i) => {
+        const doc = weigh(documents[i].terms);
+        let dot = 0;
+        Object.entries(query.vector).forEach(([token, weight]) => {
+          dot += weight * (doc.vector[token] || 0);
+        });
+        return { label: documents[i].label, similarity: dot / (query.norm * doc.norm) };
+      })
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, state.k)
+      .forEach(({ label, similarity }) => {
+        votes[label] = (votes[label] || 0) + similarity;
+      });
+    return votes;
+  };
+
+  return {
+    learn: async (text, label) => {
+      const terms = termCounts(tokenize(text));
+      Object.keys(terms).forEach((token) => {
+        documentFrequency[token] = (documentFrequency[token] || 0) + 1;
+      });
+      documents.push({ terms, label });
+      indexDocument(documents[documents.length - 1], documents.length - 1);
+    },
+
+    // drops one stored document with the same words and label
+    unlearn: async (text, label) => {
+      const terms = termCounts(tokenize(text));
+      const tokens = Object.keys(terms);
+      const i = documents.findIndex(
+        (doc) =>
+          doc.label === label &&
+          Object.keys(doc.terms).length === tokens.length &&
+          tokens.every((token) => doc.terms[token] === terms[token])
+      );
+      if (i === -1) return false;
+
+      tokens.forEach((token) => {
+        documentFrequency[token]--;
+        if (documentFrequency[token] <= 0) delete documentFrequency[token];
+      });
+      documents.splice(i, 1);
+
+      index.clear();
+      documents.forEach(indexDocument);
+      return true;
+    },
+
+    categorize: async (text) => {
+      const [best] = proportions(vote(text));
+      return best ? best.label : null;
+    },
+
+    // only labels among the k neighbours get a probability
+    probabilities: async (text) => proportions(vote(text)),
+
+    labels: () => [...new Set(documents.map((doc) => doc.label))],
+
+    toJSON: () => state,
+  };
+};
+
+module.exports = {
+  name: "knn",
+  description: "k-nearest neighbours over TF-IDF vectors (cosine similarity)",
+
+  create: ({ k = Number(process.env.CLASSIFIER_KNN_K) || DEFAULT_K } = {}) =>
+    wrap({ k, documents: [], documentFrequency: {} }),
+
+  fromJSON: (state) =>
+    wrap({
+      k: state.k || DEFAULT_K,
+      documents: state.documents || [],
+      documentFrequency: state.documentFrequency || {},
+    }),
+};
@@ -0,0 +1,65 @@
+const NaiveBayes = require("naivebayes");
+const { softmax } = require("./normalize");
+
+/**
+ * Undo learn(text, label), same rules as the bayes backend: counts stop at
+ * zero and empty categories / unused words are dropped
+ */
+const unlearn = (model, text, label) => {
+  if (!model.categories.includes(label)) return false;
+
+  model.docCount[label] = Math.max(0, model.docCount[label] - 1);
+  model.totalDocuments = Math.max(0, model.totalDocuments - 1);
+
+  const frequencyTable = model.frequencyTable(model.tokenizer(text));
+  const frequencies = model.wordFrequencyCount[label];
+  const dropped = new Set();
+  Object.entries(frequencyTable).forEach(([token, count]) => {
+    const removed = Math.min(count, frequencies[token] || 0);
+    model.wordCount[label] -= removed;
+    if (frequencies[token] > removed) {
+      frequencies[token] -= removed;
+    } else {
+      delete frequencies[token];
+      if (!model.categories.some((category) => model.wordFrequencyCount[category][token])) {
+        dropped.add(token);
+      }
+    }
+  });
+  if (dropped.size > 0) {
+    model.vocabulary = model.vocabulary.filter((token) => !dropped.has(token));
+  }
+
+  if (model.docCount[label] === 0) {
+    model.categories = model.categories.filter((category) => category !== label);
+    delete model.docCount[label];
+    delete model.wordCount[label];
+    delete model.wordFrequencyCount[label];
+  }
+  return true;
+};
+
+const wrap = (model) => ({
+  learn: async (text, label) => {
+    model.learn(text, label);
+  },
+  unlearn: async (text, label) => unlearn(model, text, label),
+  categorize: async (text) => (model.categories.length > 0 ? model.categorize(text) : null),
+  probabilities: async (text) =>
+    softmax(model.probabilities(text).map(({ category, probability }) => ({ label: category, score: probability }))),
+  labels: () => [...model.categories],
+  toJSON: () => model.toJsonObject(),
+});
+
+/**
+ * Multinomial naive Bayes from the `naivebayes` package (same model as
+ * `bayes`, synchronous, with its own tokenizer)
+ */
+module.exports = {
+  name: "naivebayes",
+  description: "Naive Bayes with Laplace smoothing (naivebayes package)",
+
+  create: () => wrap(new NaiveBayes()),
+
+  fromJSON: (state) => wrap(NaiveBayes.fromJson({ ...state })),
+};
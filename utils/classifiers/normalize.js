@@ -0,0 +1,30 @@
+/**
+ * Log-likelihoods [{ label, score }] -> probabilities [{ label, probability }]
+ * summing to 1, most likely first (softmax, shifted by the max to avoid
+ * underflow of very negative log scores)
+ */
+const softmax = (scores) => {
+  if (scores.length === 0) return [];
+
+  const max = Math.max(...scores.map((s) => s.score));
+  const exps = scores.map((s) => ({ label: s.label, value: Math.exp(s.score - max) }));
+  const total = exps.reduce((sum, e) => sum + e.value, 0);
+
+  return exps
+    .map((e) => ({ label: e.label, probability: e.value / total }))
+    .sort((a, b) => b.probability - a.probability);
+};
+
+/**
+ * Non-negative weights { label: weight } -> probabilities, most likely first
+ */
+const proportions = (weights) => {
+  const total = Object.values(weights).reduce((sum, w) => sum + w, 0);
+  if (total <= 0) return [];
+
+  return Object.entries(weights)
+    .map(([label, weight]) => ({ label, probability: weight / total }))
+    .sort((a, b) => b.probability - a.probability);
+};
+
+module.exports = { softmax, proportions };
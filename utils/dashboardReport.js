@@ -0,0 +1,217 @@
+const Transaction = require("../model/Transaction");
+const Category = require("../model/Category");
+const { mergeFilters } = require("./transactionFilter");
+const { DEFAULT_CURRENCY, loadRateTable, roundAmount } = require("./exchangeRates");
+const { UNAPPROVED } = require("./saldoBalance");
+
+const MONTH_NAMES = [
+  "Jan", "Feb", "Mar", "Apr", "May", "Jun",
+  "Jul", "Aug", "Sep", "Oct", "Nov", "Dec",
+];
+
+// Transfer legs only move money between saldos, they are neither income nor expense.
+// Transfer fees ('fee' leg) are real expenses and stay in.
+const excludeTransfers = { transferLeg: { $nin: ["out", "in"] } };
+
+// Future-dated transactions have not happened yet and unapproved expenses
+// may never happen, reports leave both out
+const excludePending = { pending: { $ne: true }, approvalStatus: { $nin: UNAPPROVED } };
+
+/**
+ * One line per category of each transaction: its splits, or the transaction
+ * itself ({ category, amount }) when it is not split
+ */
+const categoryLines = [
+  {
+    $addFields: {
+      lines: {
+        $cond: [
+          { $gt: [{ $size: { $ifNull: ["$splits", []] } }, 0] },
+          "$splits",
+          [{ category: "$category", amount: "$amount" }],
+        ],
+      },
+    },
+  },
+  { $unwind: "$lines" },
+];
+
+/**
+ * Totals (and distinct transaction counts) of the transactions matching
+ * `match` per day, type and currency, each converted to the base currency
+ * with that day's rate.
+ * - splits count toward their own category; `categories` (from
+ *   buildTransactionQuery) keeps only the lines in those categories
+ * - groupBy "category" / "tag" adds that key; a transaction counts once
+ *   for each of its tags, `tags` keeps only those tags
+ */
+const convertedTotals = async (match, { categories = null, tags = null, groupBy = null } = {}) => {
+  const rows = await Transaction.aggregate([
+    { $match: mergeFilters(match, excludePending) },
+    ...categoryLines,
+    ...(categories ? [{ $match: { "lines.category": categories } }] : []),
+    ...(groupBy === "tag" ? [{ $unwind: "$tags" }] : []),
+    ...(groupBy === "tag" && tags ? [{ $match: { tags: { $in: tags } } }] : []),
+    {
+      $group: {
+        _id: {
+          day: { $dateToString: { format: "%Y-%m-%d", date: "$date" } },
+          type: "$type",
+          currency: { $ifNull: ["$currency", DEFAULT_CURRENCY] },
+          ...(groupBy === "category" ? { key: "$lines.category" } : {}),
+          ...(groupBy === "tag" ? { key: "$tags" } : {}),
+        },
+        total: { $sum: "$lines.amount" },
+        transactions: { $addToSet: "$_id" },
+      },
+    },
+    { $project: { total: 1, count: { $size: "$transactions" } } },
+  ]);
+
+  const rateOf = await loadRateTable(rows.map((r) => r._id.currency));
+
+  return rows.map(({ _id, total, count }) => {
+    const date = new Date(`${_id.day}T00:00:00.000Z`);
+    return { date, type: _id.type, key: _id.key, count, total: total * rateOf(_id.currency, date) };
+  });
+};
+
+const sumTotals = (rows, type) =>
+  roundAmount(rows.filter((r) => r.type === type).reduce((sum, r) => sum + r.total, 0));
+
+/**
+ * Income and expense totals per month of `year`, in the base currency, 0 for empty months.
+ * `filter` / `categories` come from buildTransactionQuery (same semantics as the list).
+ */
+const getChartData = async (year, filter = {}, categories = null) => {
+  const startDate = new Date(`${year}-01-01T00:00:00.000Z`);
+  const endDate = new Date(`${year + 1}-01-01T00:00:00.000Z`);
+
+  const transactions = await convertedTotals(
+    mergeFilters(
+      { date: { $gte: startDate, $lt: endDate } },
+      excludeTransfers,
+      filter
+    ),
+    { categories }
+  );
+
+  // Default: 0 total untuk setiap bulan
+  const income = [];
+  const expense = [];
+
+  for (let m = 1; m <= 12; m++) {
+    const dateLabel = `${MONTH_NAMES[m - 1]} ${year}`;
+
+    const inMonth = transactions.filter((t) => t.date.getUTCMonth() + 1 === m);
+
+    income.push({
+      date: dateLabel,
+      total: sumTotals(inMonth, "income"),
+    });
+
+    expense.push({
+      date: dateLabel,
+      total: sumTotals(inMonth, "expense"),
+    });
+  }
+
+  return { income, expense };
+};
+
+/**
+ * Start (inclusive) and end (exclusive) of a calendar month, in UTC
+ */
+const monthRange = (month, year) => ({
+  startDate: new Date(Date.UTC(year, month - 1, 1)),
+  endDate: new Date(Date.UTC(year, month, 1)),
+});
+
+/**
+ * Total income and expense of one month in the base currency,
+ * narrowed by an optional `filter` / `categories`
+ */
+const getMonthlySummary = async (month, year, filter = {}, categories = null) => {
+  const { startDate, endDate } = monthRange(month, year);
+
+  const result = await convertedTotals(
+    mergeFilters(
+      { date: { $gte: startDate, $lt: endDate } },
+      excludeTransfers,
+      filter
+    ),
+    { categories }
+  );
+
+  return {
+    income: sumTotals(result, "income"),
+    expense: sumTotals(result, "expense"),
+  };
+};
+
+/**
+ * Income and expense per category in the base currency, largest first.
+ * A split transaction counts each split toward its own category.
+ */
+const getCategoryBreakdown = async (filter = {}, categories = null) => {
+  const rows = await convertedTotals(mergeFilters(excludeTransfers, filter), { categories, groupBy: "category" });
+
+  const totals = new Map();
+  for (const row of rows) {
+    const key = `${row.type}|${row.key}`;
+    const entry = totals.get(key) || { category: row.key, type: row.type, total: 0 };
+    entry.total += row.total;
+    totals.set(key, entry);
+  }
+
+  const names = await Category.find({ _id: { $in: [...totals.values()].map((t) => t.category) } })
+    .select("name")
+    .setOptions({ withDeleted: true });
+
+  return [...totals.values()]
+    .map((entry) => {
+      const category = names.find((c) => c._id.equals(entry.category));
+      return {
+        category: entry.category,
+        name: category ? category.name : null,
+        type: entry.type,
+        total: roundAmount(entry.total),
+      };
+    })
+    .sort((a, b) => b.total - a.total);
+};
+
+/**
+ * Income, expense and number of transactions per tag in the base currency,
+ * biggest spending first. A transaction with several tags counts toward each.
+ */
+const getTagReport = async (filter = {}, { categories = null, tags = null } = {}) => {
+  const rows = await convertedTotals(mergeFilters(excludeTransfers, filter), { categories, tags, groupBy: "tag" });
+
+  const report = new Map();
+  for (const row of rows) {
+    const entry = report.get(row.key) || { tag: row.key, income: 0, expense: 0, count: 0 };
+    entry[row.type] += row.total;
+    entry.count += row.count;
+    report.set(row.key, entry);
+  }
+
+  return [...report.values()]
+    .map((entry) => ({
+      ...entry,
+      income: roundAmount(entry.income),
+      expense: roundAmount(entry.expense),
+    }))
+    .sort((a, b) => b.expense - a.expense || b.income - a.income);
+};
+
+module.exports = {
+  MONTH_NAMES,
+  excludeTransfers,
+  excludePending,
+  monthRange,
+  getChartData,
+  getMonthlySummary,
+  getCategoryBreakdown,
+  getTagReport,
+};
@@ -0,0 +1,20 @@
+const mongoose = require("mongoose");
+
+/**
+ * Run `work(session)` inside a MongoDB transaction.
+ * The driver retries the whole callback on TransientTransactionError
+ * (write conflicts) and on UnknownTransactionCommitResult, so `work`
+ * must only touch the database through the given session.
+ * Any other error aborts the transaction and is re-thrown.
+ */
+const runInTransaction = async (work) => {
+  let result;
+
+  await mongoose.connection.transaction(async (session) => {
+    result = await work(session);
+  });
+
+  return result;
+};
+
+module.exports = runInTransaction;
@@ -0,0 +1,176 @@
+const Transaction = require("../model/Transaction");
+const ErrorHandler = require("./ErrorHandler");
+
+const DEFAULT_WINDOW_HOURS = 72;
+const DEFAULT_AMOUNT_TOLERANCE = 0.01; // 1% of the larger amount
+const DEFAULT_MIN_SIMILARITY = 0.6;
+const MAX_SCAN_TRANSACTIONS = 20000;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const positiveEnv = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return value > 0 ? value : fallback;
+};
+
+/**
+ * Thresholds for "likely the same transaction entered twice", overridable
+ * with DUPLICATE_WINDOW_HOURS, DUPLICATE_AMOUNT_TOLERANCE and DUPLICATE_MIN_SIMILARITY
+ */
+const duplicateSettings = (overrides = {}) => ({
+  windowHours: overrides.windowHours || positiveEnv("DUPLICATE_WINDOW_HOURS", DEFAULT_WINDOW_HOURS),
+  amountTolerance: overrides.amountTolerance ?? positiveEnv("DUPLICATE_AMOUNT_TOLERANCE", DEFAULT_AMOUNT_TOLERANCE),
+  minSimilarity: overrides.minSimilarity || positiveEnv("DUPLICATE_MIN_SIMILARITY", DEFAULT_MIN_SIMILARITY),
+});
+
+const normalizeDescription = (text) =>
+  String(text || "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+
+const bigrams = (text) => {
+  const grams = new Map();
+  const compact = text.replace(/\s+/g, " ");
+  for (let i = 0; i < compact.length - 1; i++) {
+    const gram = compact.slice(i, i + 2);
+    grams.set(gram, (grams.get(gram) || 0) + 1);
+  }
+  return grams;
+};
+
+/**
+ * Dice coefficient over character bigrams, 0..1. Tolerates typos and extra
+ * words ("Indomaret" vs "INDOMARET PT"), which exact matching would miss.
+ */
+const descriptionSimilarity = (a, b) => {
+  const left = normalizeDescription(a);
+  const right = normalizeDescription(b);
+  if (left === right) return 1;
+  if (left.length < 2 || right.length < 2) return 0;
+
+  const leftGrams = bigrams(left);
+  const rightGrams = bigrams(right);
+  let shared = 0;
+  leftGrams.forEach((count, gram) => {
+    shared += Math.min(count, rightGrams.get(gram) || 0);
+  });
+
+  return (2 * shared) / (left.length - 1 + right.length - 1);
+};
+
+/**
+ * How alike two transactions are, or null when they are too far apart
+ * to be the same one (other saldo/type, amount or time out of range)
+ */
+const compareTransactions = (a, b, settings) => {
+  if (String(a.saldo) !== String(b.saldo) || a.type !== b.type) return null;
+
+  const larger = Math.max(Math.abs(a.amount), Math.abs(b.amount));
+  if (Math.abs(a.amount - b.amount) > larger * settings.amountTolerance) return null;
+
+  const hoursApart = Math.abs(new Date(a.date) - new Date(b.date)) / HOUR_MS;
+  if (hoursApart > settings.windowHours) return null;
+
+  const similarity = descriptionSimilarity(a.description, b.description);
+  if (similarity < settings.minSimilarity) return null;
+
+  return {
+    similarity: Math.round(similarity * 100) / 100,
+    hoursApart: Math.round(hoursApart * 10) / 10,
+  };
+};
+
+// transfer legs come in pairs by design, they are never duplicates
+const candidateFilter = { transferLeg: null };
+
+/**
+ * Existing transactions that look like `draft` ({ saldo, type, amount,
+ * description, date }), most similar first
+ */
+const findDuplicateCandidates = async (draft, { excludeId, session, ...overrides } = {}) => {
+  const settings = duplicateSettings(overrides);
+  const at = draft.date ? new Date(draft.date) : new Date();
+  const tolerance = Math.abs(draft.amount) * settings.amountTolerance;
+
+  const nearby = await Transaction.find({
+    ...candidateFilter,
+    saldo: draft.saldo,
+    type: draft.type,
+    amount: { $gte: draft.amount - tolerance, $lte: draft.amount + tolerance },
+    date: {
+      $gte: new Date(at.getTime() - settings.windowHours * HOUR_MS),
+      $lte: new Date(at.getTime() + settings.windowHours * HOUR_MS),
+    },
+    ...(excludeId && { _id: { $ne: excludeId } }),
+  })
+    .select("saldo type amount description date pending user category")
+    .session(session || null)
+    .lean();
+
+  return nearby
+    .map((tx) => ({ transaction: tx, match: compareTransactions({ ...draft, date: at }, tx, settings) }))
+    .filter(({ match }) => match)
+    .sort((a, b) => b.match.similarity - a.match.similarity)
+    .map(({ transaction, match }) => ({ ...transaction, ...match }));
+};
+
+/**
+ * Group existing transactions matching `filter` into clusters of suspected
+ * duplicates. Pairs are compared within a sliding time window per saldo and
+ * type; pairs that match are joined (union-find), so A~B and B~C end up in
+ * one group. Returns [{ ids (oldest first), similarity }].
+ */
+const scanDuplicates = async (filter, overrides = {}) => {
+  const settings = duplicateSettings(overrides);
+  const query = { ...filter, ...candidateFilter };
+
+  const total = await Transaction.countDocuments(query);
+  if (total > MAX_SCAN_TRANSACTIONS) {
+    throw new ErrorHandler(`Too many transactions to scan (${total}, max ${MAX_SCAN_TRANSACTIONS}), narrow the date range`, 400);
+  }
+
+  const transactions = await Transaction.find(query)
+    .select("saldo type amount description date")
+    .sort({ saldo: 1, type: 1, date: 1 })
+    .lean();
+
+  const parent = transactions.map((_, index) => index);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  const similarity = new Map();
+
+  const windowMs = settings.windowHours * HOUR_MS;
+  for (let i = 0; i < transactions.length; i++) {
+    for (let j = i + 1; j < transactions.length; j++) {
+      const [a, b] = [transactions[i], transactions[j]];
+      if (String(a.saldo) !== String(b.saldo) || a.type !== b.type) break;
+      if (new Date(b.date) - new Date(a.date) > windowMs) break;
+
+      const match = compareTransactions(a, b, settings);
+      if (!match) continue;
+
+      const [rootA, rootB] = [find(i), find(j)];
+      const lowest = Math.min(match.similarity, similarity.get(rootA) ?? 1, similarity.get(rootB) ?? 1);
+      parent[rootB] = rootA;
+      similarity.set(rootA, lowest);
+    }
+  }
+
+  const groups = new Map();
+  transactions.forEach((tx, index) => {
+    const root = find(index);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(tx._id);
+  });
+
+  return [...groups.entries()]
+    .filter(([, ids]) => ids.length > 1)
+    .map(([root, ids]) => ({ ids, similarity: similarity.get(root) }));
+};
+
+module.exports = {
+  duplicateSettings,
+  descriptionSimilarity,
+  findDuplicateCandidates,
+  scanDuplicates,
+};
@@ -0,0 +1,106 @@
+const ExchangeRate = require("../model/ExchangeRate");
+const ErrorHandler = require("./ErrorHandler");
+
+// Currency of every saldo / transaction created before currencies existed
+const DEFAULT_CURRENCY = "IDR";
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+
+/**
+ * Currency dashboards report in (BASE_CURRENCY, IDR by default).
+ * Stored rates are quoted against it.
+ */
+const baseCurrency = () => (process.env.BASE_CURRENCY || DEFAULT_CURRENCY).toUpperCase();
+
+const startOfDay = (date) => {
+  const d = new Date(date);
+  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+};
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Value of 1 `currency` in the base currency on `date`: the latest rate on
+ * or before that day, else the earliest rate after it
+ */
+const rateToBase = async (currency, date = new Date(), session = null) => {
+  const base = baseCurrency();
+  if (currency === base) return 1;
+
+  const day = startOfDay(date);
+  const rate =
+    (await ExchangeRate.findOne({ base, currency, date: { $lte: day } }).sort({ date: -1 }).session(session)) ||
+    (await ExchangeRate.findOne({ base, currency, date: { $gt: day } }).sort({ date: 1 }).session(session));
+
+  if (!rate) {
+    throw new ErrorHandler(`No exchange rate for ${currency} in ${base}, add or import one first`, 400);
+  }
+  return rate.rate;
+};
+
+/**
+ * Units of `to` per 1 `from` on `date`, crossed through the base currency
+ */
+const exchangeRate = async (from, to, date = new Date(), session = null) => {
+  if (from === to) return 1;
+
+  const fromRate = await rateToBase(from, date, session);
+  const toRate = await rateToBase(to, date, session);
+  return fromRate / toRate;
+};
+
+/**
+ * Preload every rate of `currencies` for converting many amounts at once
+ * (reports). Returns `(currency, date) => rate to base`, same lookup rules
+ * as rateToBase.
+ */
+const loadRateTable = async (currencies) => {
+  const base = baseCurrency();
+  const wanted = [...new Set(currencies)].filter((c) => c !== base);
+
+  const rates = wanted.length > 0
+    ? await ExchangeRate.find({ base, currency: { $in: wanted } }).sort({ date: 1 }).select("currency date rate").lean()
+    : [];
+
+  const byCurrency = new Map();
+  rates.forEach((r) => {
+    if (!byCurrency.has(r.currency)) byCurrency.set(r.currency, []);
+    byCurrency.get(r.currency).push(r);
+  });
+
+  const missing = wanted.filter((c) => !byCurrency.has(c));
+  if (missing.length > 0) {
+    throw new ErrorHandler(`No exchange rate for ${missing.join(", ")} in ${base}, add or import one first`, 400);
+  }
+
+  return (currency, date) => {
+    if (currency === base) return 1;
+
+    // binary search for the last rate on or before `date` (first rate if none)
+    const list = byCurrency.get(currency);
+    const time = date.getTime();
+    let found = 0;
+    let lo = 0;
+    let hi = list.length - 1;
+    while (lo <= hi) {
+      const mid = (lo + hi) >> 1;
+      if (list[mid].date.getTime() <= time) {
+        found = mid;
+        lo = mid + 1;
+      } else {
+        hi = mid - 1;
+      }
+    }
+    return list[found].rate;
+  };
+};
+
+module.exports = {
+  DEFAULT_CURRENCY,
+  CURRENCY_PATTERN,
+  baseCurrency,
+  startOfDay,
+  roundAmount,
+  rateToBase,
+  exchangeRate,
+  loadRateTable,
+};
@@ -0,0 +1,168 @@
+const EvaluationRun = require("../model/EvaluationRun");
+const ErrorHandler = require("./ErrorHandler");
+const { DEFAULT_BACKEND, createClassifier } = require("./classifiers");
+const { randomSeed, splitSamples, kFolds, evaluateClassifier, crossValidate } = require("./classifierEvaluation");
+const { LEGACY_PIPELINE, resolvePipeline } = require("./textPreprocessing");
+const { loadTrainingSamples } = require("./categoryClassifier");
+const { getVersion, loadVersion } = require("./modelRegistry");
+
+/**
+ * Store an evaluation run with what is needed to reproduce it
+ */
+const saveEvaluationRun = (run, userId) => EvaluationRun.create({ ...run, createdBy: userId });
+
+/**
+ * What a holdout evaluation scores: a stored version as it is (its own
+ * backend and pipeline), or a fresh classifier trained on the split
+ */
+const holdoutSubject = async (options) => {
+  if (options.version !== undefined) {
+    const entry = await getVersion(options.version);
+    return {
+      classifier: await loadVersion(entry.version),
+      backend: entry.backend,
+      pipeline: entry.pipeline || LEGACY_PIPELINE,
+      modelVersion: entry.version,
+    };
+  }
+
+  const backend = options.backend || DEFAULT_BACKEND;
+  return {
+    classifier: createClassifier(backend),
+    backend,
+    pipeline: resolvePipeline(options.pipeline),
+    modelVersion: null,
+  };
+};
+
+const reportTo = (job, phase) => job && ((processed, total) => job.progress(phase, processed, total));
+
+/**
+ * Train / test split evaluation of a backend and pipeline on the `limit`
+ * most recent transactions ({ backend, pipeline, split, testRatio, seed,
+ * limit }). With `version` that stored model is scored on the test set
+ * instead, without training (it may have been trained on those
+ * transactions; split=time after its training date avoids that).
+ * The run is stored; `job` is a background job context.
+ */
+const runHoldoutEvaluation = async (options = {}, { userId = null, job = null } = {}) => {
+  const startTime = Date.now();
+  const { classifier, backend, pipeline, modelVersion } = await holdoutSubject(options);
+  const strategy = options.split || "stratified";
+  const params = {
+    testRatio: options.testRatio || 0.2,
+    seed: options.seed ?? randomSeed(),
+    limit: options.limit || 1000,
+  };
+
+  const samples = await loadTrainingSamples(pipeline, { limit: params.limit, job });
+  if (samples.length < 10) {
+    throw new ErrorHandler("Not enough data for evaluation (min 10 transactions)", 400);
+  }
+
+  const { train, test } = splitSamples(samples, { strategy, ...params });
+  const evaluation = await evaluateClassifier(classifier, modelVersion === null ? train : [], test, {
+    onProgress: reportTo(job, "evaluating"),
+  });
+
+  const run = await saveEvaluationRun(
+    {
+      kind: "holdout",
+      strategy,
+      params,
+      backend,
+      pipeline,
+      modelVersion,
+      samples: samples.length,
+      accuracy: evaluation.accuracy,
+      macro: evaluation.macro,
+      weighted: evaluation.weighted,
+      metrics: evaluation.metrics,
+      confusionMatrix: evaluation.confusionMatrix,
+      durationMs: Date.now() - startTime,
+    },
+    userId
+  );
+
+  return {
+    runId: run._id,
+    backend,
+    pipeline,
+    modelVersion,
+    strategy,
+    ...params,
+    accuracy: evaluation.accuracy,
+    macroF1: evaluation.macroF1,
+    macro: evaluation.macro,
+    weighted: evaluation.weighted,
+    totalTestSamples: evaluation.totalTestSamples,
+    confusionMatrix: evaluation.confusionMatrix,
+    metrics: evaluation.metrics,
+    predictions: evaluation.predictions.slice(0, 20), // Sample predictions
+  };
+};
+
+/**
+ * k-fold cross validation on the `limit` most recent transactions
+ * ({ k, backend, pipeline, stratified, seed, limit }). The run is stored;
+ * `job` is a background job context.
+ */
+const runCrossValidation = async (options = {}, { userId = null, job = null } = {}) => {
+  const startTime = Date.now();
+  const k = options.k || 5; // Number of folds
+  const backend = options.backend || DEFAULT_BACKEND;
+  const pipeline = resolvePipeline(options.pipeline);
+  const stratified = options.stratified !== false;
+  const params = {
+    k,
+    seed: options.seed ?? randomSeed(),
+    limit: options.limit || 500,
+  };
+
+  const samples = await loadTrainingSamples(pipeline, { limit: params.limit, job });
+  if (samples.length < k * 2) {
+    throw new ErrorHandler(`Not enough data for ${k}-fold cross validation`, 400);
+  }
+
+  const folds = kFolds(samples, k, { stratified, seed: params.seed });
+  const result = await crossValidate(() => createClassifier(backend), folds, {
+    onProgress: reportTo(job, "evaluating"),
+  });
+
+  const run = await saveEvaluationRun(
+    {
+      kind: "cross-validation",
+      strategy: stratified ? "stratified" : "random",
+      params,
+      backend,
+      pipeline,
+      samples: samples.length,
+      accuracy: result.accuracy,
+      macro: result.macro,
+      weighted: result.weighted,
+      folds: result.folds,
+      std: result.std,
+      durationMs: Date.now() - startTime,
+    },
+    userId
+  );
+
+  return {
+    runId: run._id,
+    backend,
+    pipeline,
+    stratified,
+    ...params,
+    averageAccuracy: result.accuracy,
+    macro: result.macro,
+    weighted: result.weighted,
+    std: result.std,
+    folds: result.folds,
+    totalSamples: samples.length,
+  };
+};
+
+module.exports = {
+  runHoldoutEvaluation,
+  runCrossValidation,
+};
@@ -0,0 +1,276 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const ErrorHandler = require("./ErrorHandler");
+const { restoreClassifier } = require("./classifiers");
+const { getModelStorage } = require("./modelStorage");
+const { LEGACY_PIPELINE } = require("./textPreprocessing");
+
+const DEFAULT_KEEP_VERSIONS = 10;
+const DEFAULT_TRAINING_LOCK_MS = 30 * 60 * 1000;
+// Tries of a registry change that keeps colliding with other instances
+const MAX_REGISTRY_ATTEMPTS = 5;
+
+// Identifies this process when holding the training lock
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+// Single-file model of earlier releases, imported as version 1
+const LEGACY_MODEL_PATH = path.join(__dirname, "../model.json");
+const LEGACY_BACKUP_PATH = path.join(__dirname, "../model_backup.json");
+
+/**
+ * { revision, activeVersion, previous: [version] (rollback stack), versions: [entry] }
+ */
+const readRegistry = async () =>
+  (await getModelStorage().readRegistry()) || { revision: 0, activeVersion: null, previous: [], versions: [] };
+
+/**
+ * Apply `change(registry)` to a fresh copy of the registry and write it.
+ * When another instance wrote in between the write is refused and the
+ * change is applied again to its result, so concurrent promotes, rollbacks
+ * and new versions never undo each other. `change` may be async; resolves
+ * with what it returned.
+ */
+const updateRegistry = async (change) => {
+  for (let attempt = 0; attempt < MAX_REGISTRY_ATTEMPTS; attempt++) {
+    const registry = await readRegistry();
+    const result = await change(registry);
+    if (await getModelStorage().writeRegistry(registry)) return result;
+  }
+  throw new ErrorHandler("The model registry is busy, try again", 409);
+};
+
+const findVersion = (registry, version) => {
+  const entry = registry.versions.find((v) => v.version === Number(version));
+  if (!entry) {
+    throw new ErrorHandler(`Model version ${version} not found`, 404);
+  }
+  return entry;
+};
+
+/**
+ * Drop the oldest versions beyond MODEL_KEEP_VERSIONS from the registry;
+ * the active one is kept. Returns the dropped versions, whose models are
+ * removed once the registry is written.
+ */
+const pruneVersions = (registry) => {
+  const keep = Number(process.env.MODEL_KEEP_VERSIONS) || DEFAULT_KEEP_VERSIONS;
+  const removable = registry.versions.filter((v) => v.version !== registry.activeVersion);
+  const excess = removable.slice(0, Math.max(0, registry.versions.length - keep));
+  if (excess.length === 0) return [];
+
+  const dropped = new Set(excess.map((v) => v.version));
+  registry.versions = registry.versions.filter((v) => !dropped.has(v.version));
+  registry.previous = registry.previous.filter((version) => !dropped.has(version));
+  return [...dropped];
+};
+
+/**
+ * Online learning counters ({ learned, unlearned, corrections, updatedAt })
+ * of `stats` plus the ones learned since
+ */
+const addOnlineStats = (stats, learned) => ({
+  learned: (stats?.learned || 0) + (learned?.learned || 0),
+  unlearned: (stats?.unlearned || 0) + (learned?.unlearned || 0),
+  corrections: (stats?.corrections || 0) + (learned?.corrections || 0),
+  updatedAt: learned?.updatedAt || stats?.updatedAt || null,
+});
+
+/**
+ * Versions, newest first, with the active one flagged
+ */
+const listVersions = async () => {
+  const registry = await readRegistry();
+  return {
+    storage: getModelStorage().name,
+    activeVersion: registry.activeVersion,
+    canRollback: registry.previous.length > 0,
+    versions: [...registry.versions]
+      .reverse()
+      .map((entry) => ({ ...entry, isActive: entry.version === registry.activeVersion })),
+  };
+};
+
+/**
+ * Store a trained classifier as the next version (pipeline: the text
+ * preprocessing it was trained with, metadata: training details,
+ * scores: holdout evaluation or null)
+ */
+const registerVersion = async ({ backend, classifier, pipeline, metadata = {}, scores = null }) => {
+  const createdAt = new Date();
+  const { entry, dropped } = await updateRegistry((registry) => {
+    const version = registry.versions.reduce((max, v) => Math.max(max, v.version), 0) + 1;
+    const entry = {
+      version,
+      backend,
+      pipeline,
+      createdAt,
+      metadata,
+      scores,
+      online: null,
+      activatedAt: null,
+      activatedBy: null,
+    };
+    registry.versions.push(entry);
+    return { entry, dropped: pruneVersions(registry) };
+  });
+
+  // the version number is only ours once the registry holds it; nothing
+  // loads the new version before it is activated, after this
+  try {
+    await getModelStorage().writeModel(entry.version, { backend, state: classifier.toJSON() });
+  } catch (err) {
+    await updateRegistry((registry) => {
+      registry.versions = registry.versions.filter((v) => v.version !== entry.version);
+    });
+    throw err;
+  }
+
+  await Promise.all(dropped.map((version) => getModelStorage().removeModel(version)));
+  return entry;
+};
+
+/**
+ * Registry entry of a stored version (404 when unknown)
+ */
+const getVersion = async (version) => findVersion(await readRegistry(), version);
+
+/**
+ * Classifier of a stored version
+ */
+const loadVersion = async (version) => {
+  const stored = await getModelStorage().readModel(version);
+  if (!stored) {
+    throw new ErrorHandler(`Model version ${version} not found`, 404);
+  }
+  return restoreClassifier(stored.backend, stored.state);
+};
+
+/**
+ * Overwrite a version with its online-updated classifier; `learned` holds
+ * the learning counters since the last save ({ learned, unlearned,
+ * corrections, updatedAt }), added to the version's
+ */
+const saveVersionState = async (version, classifier, learned) => {
+  const { backend } = await getVersion(version);
+  await getModelStorage().writeModel(Number(version), { backend, state: classifier.toJSON() });
+
+  return updateRegistry((registry) => {
+    const entry = findVersion(registry, version);
+    entry.online = addOnlineStats(entry.online, learned);
+    return entry;
+  });
+};
+
+/**
+ * Make `version` the one used for predictions. The previously active one
+ * goes on the rollback stack, a rollback takes it off again. `guard` is
+ * awaited in every attempt right before the registry is written; throwing
+ * from it leaves the active version as it is.
+ */
+const activateVersion = async (version, { userId = null, isRollback = false, guard = null } = {}) =>
+  updateRegistry(async (registry) => {
+    const entry = findVersion(registry, version);
+
+    if (isRollback) {
+      if (registry.previous[registry.previous.length - 1] !== entry.version) {
+        throw new ErrorHandler("The model versions changed meanwhile, roll back again", 409);
+      }
+      registry.previous.pop();
+    } else if (registry.activeVersion !== null && registry.activeVersion !== entry.version) {
+      registry.previous.push(registry.activeVersion);
+    }
+
+    if (guard) await guard();
+
+    registry.activeVersion = entry.version;
+    entry.activatedAt = new Date();
+    entry.activatedBy = userId;
+    return entry;
+  });
+
+/**
+ * Version a rollback goes back to: the last one active before the current one
+ */
+const previousVersion = async () => {
+  const registry = await readRegistry();
+  const version = registry.previous[registry.previous.length - 1];
+  if (version === undefined) {
+    throw new ErrorHandler("No previous model version to roll back to", 400);
+  }
+  return version;
+};
+
+/**
+ * Stop using any version; they all stay available for promotion
+ */
+const deactivate = () =>
+  updateRegistry((registry) => {
+    if (registry.activeVersion !== null) {
+      registry.previous.push(registry.activeVersion);
+    }
+    registry.activeVersion = null;
+  });
+
+const storageInfo = () => ({ storage: getModelStorage().name, location: getModelStorage().location });
+
+const getActiveVersion = async () => {
+  const registry = await readRegistry();
+  if (registry.activeVersion === null) return null;
+  return registry.versions.find((v) => v.version === registry.activeVersion) || null;
+};
+
+/**
+ * Only one instance trains at a time. The lock expires after
+ * MODEL_TRAINING_LOCK_MS in case its holder dies mid-training.
+ */
+const acquireTrainingLock = () =>
+  getModelStorage().acquireLock(INSTANCE_ID, Number(process.env.MODEL_TRAINING_LOCK_MS) || DEFAULT_TRAINING_LOCK_MS);
+
+const releaseTrainingLock = () => getModelStorage().releaseLock(INSTANCE_ID);
+
+/**
+ * Import model.json (or its backup) of earlier releases as an active
+ * version 1 when the registry is still empty. Returns the entry or null.
+ */
+const importLegacyModel = async () => {
+  const registry = await readRegistry();
+  if (registry.versions.length > 0) return null;
+
+  for (const file of [LEGACY_MODEL_PATH, LEGACY_BACKUP_PATH]) {
+    if (!fs.existsSync(file)) continue;
+    try {
+      const classifier = restoreClassifier("bayes", JSON.parse(fs.readFileSync(file, "utf8")));
+      const entry = await registerVersion({
+        backend: "bayes",
+        classifier,
+        pipeline: LEGACY_PIPELINE,
+        metadata: { source: path.basename(file), samples: classifier.toJSON().totalDocuments },
+      });
+      console.log(`📦 Imported ${path.basename(file)} as model version ${entry.version}`);
+      return activateVersion(entry.version);
+    } catch (err) {
+      console.error(`❌ Failed to import ${path.basename(file)}:`, err.message);
+    }
+  }
+  return null;
+};
+
+module.exports = {
+  INSTANCE_ID,
+  addOnlineStats,
+  listVersions,
+  registerVersion,
+  getVersion,
+  loadVersion,
+  saveVersionState,
+  activateVersion,
+  previousVersion,
+  deactivate,
+  getActiveVersion,
+  storageInfo,
+  acquireTrainingLock,
+  releaseTrainingLock,
+  importLegacyModel,
+};
@@ -0,0 +1,83 @@
+const fs = require("fs");
+const path = require("path");
+
+const MODEL_DIR = path.resolve(process.env.MODEL_DIR || path.join(__dirname, "../../models"));
+const REGISTRY_PATH = path.join(MODEL_DIR, "registry.json");
+
+const modelPath = (version) => path.join(MODEL_DIR, `model-v${Number(version)}.json`);
+
+let tmpCounter = 0;
+
+/**
+ * Write through a temporary file so a crash never leaves half a JSON file
+ * (one per write: concurrent writes of a file must not share it)
+ */
+const writeJson = async (file, data) => {
+  await fs.promises.mkdir(MODEL_DIR, { recursive: true });
+  const tmp = `${file}.${process.pid}.${++tmpCounter}.tmp`;
+  await fs.promises.writeFile(tmp, JSON.stringify(data), "utf8");
+  await fs.promises.rename(tmp, file);
+};
+
+const readRegistry = async () => {
+  try {
+    return JSON.parse(await fs.promises.readFile(REGISTRY_PATH, "utf8"));
+  } catch (err) {
+    if (err.code !== "ENOENT") {
+      console.error("❌ Model registry is unreadable, starting a new one:", err.message);
+    }
+    return null;
+  }
+};
+
+// a single process uses the files, so the training lock lives in memory and
+// registry writes are queued (the revision check and the write are one step)
+let lock = null;
+let registryWrites = Promise.resolve();
+
+/**
+ * Model registry in MODEL_DIR (local development): registry.json plus one
+ * model-v<version>.json per version
+ */
+module.exports = {
+  name: "file",
+  location: MODEL_DIR,
+
+  readRegistry,
+
+  writeRegistry: (registry) => {
+    const write = registryWrites.then(async () => {
+      const stored = await readRegistry();
+      const revision = registry.revision || 0;
+      if (((stored && stored.revision) || 0) !== revision) return false;
+
+      await writeJson(REGISTRY_PATH, { ...registry, revision: revision + 1 });
+      return true;
+    });
+    registryWrites = write.catch(() => {});
+    return write;
+  },
+
+  writeModel: (version, { backend, state }) => writeJson(modelPath(version), { version, backend, state }),
+
+  readModel: async (version) => {
+    try {
+      return JSON.parse(await fs.promises.readFile(modelPath(version), "utf8"));
+    } catch (err) {
+      if (err.code === "ENOENT") return null;
+      throw err;
+    }
+  },
+
+  removeModel: (version) => fs.promises.rm(modelPath(version), { force: true }),
+
+  acquireLock: async (owner, ttlMs) => {
+    if (lock && lock.owner !== owner && lock.expiresAt > Date.now()) return false;
+    lock = { owner, expiresAt: Date.now() + ttlMs };
+    return true;
+  },
+
+  releaseLock: async (owner) => {
+    if (lock && lock.owner === owner) lock = null;
+  },
+};
@@ -0,0 +1,30 @@
+const fileStorage = require("./fileStorage");
+const mongoStorage = require("./mongoStorage");
+
+const BACKENDS = {
+  file: fileStorage,
+  mongo: mongoStorage,
+};
+
+let storage = BACKENDS[process.env.MODEL_STORAGE] || mongoStorage;
+
+/**
+ * Where the classifier model registry lives. Every backend exposes
+ * readRegistry() -> { revision, activeVersion, previous, versions } | null,
+ * writeRegistry(registry) -> written? (only onto the revision it was read
+ * at), writeModel(version, { backend, state }),
+ * readModel(version) -> { backend, state } | null, removeModel(version),
+ * acquireLock(owner, ttlMs) -> acquired? and releaseLock(owner).
+ * Chosen with MODEL_STORAGE=mongo|file (file is for local development),
+ * or swapped at runtime with setModelStorage() (tests).
+ */
+const getModelStorage = () => storage;
+
+const setModelStorage = (backend) => {
+  storage = typeof backend === "string" ? BACKENDS[backend] : backend;
+};
+
+module.exports = {
+  getModelStorage,
+  setModelStorage,
+};
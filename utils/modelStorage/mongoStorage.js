@@ -0,0 +1,103 @@
+const zlib = require("zlib");
+const { promisify } = require("util");
+
+const ClassifierRegistry = require("../../model/ClassifierRegistry");
+const ClassifierModel = require("../../model/ClassifierModel");
+
+const deflate = promisify(zlib.deflate);
+const inflate = promisify(zlib.inflate);
+
+const REGISTRY_KEY = "category";
+
+/**
+ * Model registry in MongoDB, shared by every instance (the default: the
+ * deployed filesystem is read-only and does not survive a cold start)
+ */
+module.exports = {
+  name: "mongo",
+  location: "mongodb",
+
+  readRegistry: async () => {
+    const registry = await ClassifierRegistry.findOne({ key: REGISTRY_KEY }).lean();
+    if (!registry) return null;
+
+    const { revision, activeVersion, previous, versions } = registry;
+    return { revision: revision || 0, activeVersion, previous, versions };
+  },
+
+  /**
+   * Write the registry unless another instance wrote since it was read
+   * (its revision moved on); false then
+   */
+  writeRegistry: async ({ revision = 0, activeVersion, previous, versions }) => {
+    try {
+      await ClassifierRegistry.findOneAndUpdate(
+        // registries from before the revision existed have none
+        { key: REGISTRY_KEY, revision: revision || { $in: [0, null] } },
+        { $set: { activeVersion, previous, versions, revision: revision + 1 } },
+        { upsert: true }
+      );
+      return true;
+    } catch (err) {
+      // the upsert collided with the registry at a newer revision
+      if (err.code === 11000) return false;
+      throw err;
+    }
+  },
+
+  writeModel: async (version, { backend, state }) => {
+    await ClassifierModel.findOneAndUpdate(
+      { version },
+      { backend, data: await deflate(JSON.stringify(state)) },
+      { upsert: true }
+    );
+  },
+
+  readModel: async (version) => {
+    const stored = await ClassifierModel.findOne({ version: Number(version) });
+    if (!stored) return null;
+
+    return {
+      version: stored.version,
+      backend: stored.backend,
+      state: JSON.parse((await inflate(stored.data)).toString("utf8")),
+    };
+  },
+
+  removeModel: async (version) => {
+    await ClassifierModel.deleteOne({ version });
+  },
+
+  /**
+   * Take the training lock unless another instance holds an unexpired one
+   */
+  acquireLock: async (owner, ttlMs) => {
+    const now = new Date();
+    try {
+      const registry = await ClassifierRegistry.findOneAndUpdate(
+        {
+          key: REGISTRY_KEY,
+          $or: [
+            { "trainingLock.expiresAt": null },
+            { "trainingLock.expiresAt": { $lte: now } },
+            { "trainingLock.owner": owner },
+          ],
+        },
+        { $set: { trainingLock: { owner, expiresAt: new Date(now.getTime() + ttlMs) } } },
+        { upsert: true, new: true }
+      );
+      return Boolean(registry);
+    } catch (err) {
+      // the upsert collided with the existing (locked) registry
+      if (err.code === 11000) return false;
+      throw err;
+    }
+  },
+
+  releaseLock: async (owner) => {
+    await ClassifierRegistry.updateOne(
+      { key: REGISTRY_KEY, "trainingLock.owner": owner },
+      { $unset: { trainingLock: 1 } }
+    );
+  },
+};
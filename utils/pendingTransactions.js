@@ -0,0 +1,87 @@
+const Transaction = require("../model/Transaction");
+const runInTransaction = require("./dbTransaction");
+const { UNAPPROVED, signedAmount, applySaldoDelta } = require("./saldoBalance");
+
+const DEFAULT_INTERVAL_MS = 15 * 60 * 1000;
+
+let timer = null;
+let isRunning = false;
+
+/**
+ * Apply the saldo effect of one pending transaction whose date has arrived.
+ * The flag is flipped conditionally in the same DB transaction, so two
+ * instances (or a concurrent PUT) never post it twice.
+ * Returns false when it was already posted, edited or trashed meanwhile.
+ */
+const postPendingTransaction = (id, now) =>
+  runInTransaction(async (session) => {
+    const tx = await Transaction.findOneAndUpdate(
+      { _id: id, pending: true, date: { $lte: now }, approvalStatus: { $nin: UNAPPROVED } },
+      { pending: false },
+      { session }
+    );
+    if (!tx) return false;
+
+    await applySaldoDelta(tx.saldo, signedAmount(tx.type, tx.amount), session);
+    return true;
+  });
+
+/**
+ * Post every future-dated transaction whose date is now due, oldest first.
+ * One still waiting for approval is posted by the approval instead.
+ */
+const postDueTransactions = async (now = new Date()) => {
+  if (isRunning) {
+    return { posted: 0, alreadyRunning: true };
+  }
+
+  isRunning = true;
+  let posted = 0;
+
+  try {
+    const due = await Transaction.find({ pending: true, date: { $lte: now }, approvalStatus: { $nin: UNAPPROVED } })
+      .select("_id")
+      .sort({ date: 1 });
+
+    for (const { _id } of due) {
+      try {
+        if (await postPendingTransaction(_id, now)) {
+          posted++;
+        }
+      } catch (err) {
+        // e.g. its saldo was trashed: stays pending and is retried next run
+        console.error(`❌ Pending transaction ${_id} failed:`, err.message);
+      }
+    }
+
+    if (posted > 0) {
+      console.log(`📅 Posted ${posted} pending transaction(s)`);
+    }
+    return { posted, alreadyRunning: false };
+  } finally {
+    isRunning = false;
+  }
+};
+
+/**
+ * Post what is due immediately, then check every `intervalMs`
+ */
+const startPendingPoster = (intervalMs = Number(process.env.PENDING_INTERVAL_MS) || DEFAULT_INTERVAL_MS) => {
+  if (timer) return;
+
+  const tick = () =>
+    postDueTransactions().catch((err) => {
+      console.error("❌ Pending transaction poster failed:", err.message);
+    });
+
+  tick();
+  timer = setInterval(tick, intervalMs);
+  timer.unref();
+};
+
+const stopPendingPoster = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = { postDueTransactions, startPendingPoster, stopPendingPoster };
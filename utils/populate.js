@@ -0,0 +1,12 @@
+/**
+ * Populate spec for transaction responses. Saldo and category are looked up
+ * `withDeleted`, so a transaction keeps showing the name of a trashed one.
+ */
+const TRANSACTION_POPULATE = [
+  { path: "user", select: "name email" },
+  { path: "category", select: "name", options: { withDeleted: true } },
+  { path: "saldo", select: "name amount", options: { withDeleted: true } },
+  { path: "splits.category", select: "name", options: { withDeleted: true } },
+];
+
+module.exports = { TRANSACTION_POPULATE };
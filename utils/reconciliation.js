@@ -0,0 +1,88 @@
+const Transaction = require("../model/Transaction");
+const Saldo = require("../model/Saldo");
+const ErrorHandler = require("./ErrorHandler");
+const { startOfDay, roundAmount } = require("./exchangeRates");
+const { UNAPPROVED } = require("./saldoBalance");
+
+// Rounding slack when comparing balances (amounts have at most 2 decimals)
+const RECONCILIATION_TOLERANCE = 0.005;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Transactions up to and including the statement day belong to the statement
+ */
+const statementCutoff = (statementDate) => new Date(startOfDay(statementDate).getTime() + DAY_MS);
+
+/**
+ * Refuse changes to reconciled transactions: they are locked until
+ * POST /reconciliation/transaction/:id/unlock
+ */
+const assertUnlocked = (transactions) => {
+  const locked = transactions.filter((tx) => tx && tx.reconciliation);
+  if (locked.length > 0) {
+    throw new ErrorHandler(
+      `Transaction ${locked[0]._id} is reconciled and locked, unlock it first with POST /reconciliation/transaction/${locked[0]._id}/unlock`,
+      423
+    );
+  }
+};
+
+/**
+ * Live figures of a reconciliation:
+ * - startingBalance: the saldo before any of its transactions
+ * - clearedBalance: startingBalance plus every cleared transaction up to the statement date
+ * - difference: statementBalance - clearedBalance, 0 when reconciled
+ * - bookBalance: Saldo.amount (all transactions, cleared or not)
+ */
+const reconciliationSummary = async (reconciliation, session = null) => {
+  const saldo = await Saldo.findById(reconciliation.saldo)
+    .select("name amount currency")
+    .setOptions({ withDeleted: true })
+    .session(session);
+  if (!saldo) {
+    throw new ErrorHandler("Saldo not found", 404);
+  }
+
+  const cutoff = statementCutoff(reconciliation.statementDate);
+  const signed = { $cond: [{ $eq: ["$type", "income"] }, "$amount", { $multiply: ["$amount", -1] }] };
+  const inStatement = { $lt: ["$date", cutoff] };
+
+  const [totals = {}] = await Transaction.aggregate([
+    // pending and unapproved transactions are not in Saldo.amount
+    { $match: { saldo: saldo._id, pending: { $ne: true }, approvalStatus: { $nin: UNAPPROVED } } },
+    {
+      $group: {
+        _id: null,
+        total: { $sum: signed },
+        cleared: { $sum: { $cond: [{ $and: ["$cleared", inStatement] }, signed, 0] } },
+        clearedCount: { $sum: { $cond: [{ $and: ["$cleared", inStatement] }, 1, 0] } },
+        unclearedCount: { $sum: { $cond: [{ $and: [{ $not: ["$cleared"] }, inStatement] }, 1, 0] } },
+      },
+    },
+  ]).session(session);
+
+  const startingBalance = roundAmount(saldo.amount - (totals.total || 0));
+  const clearedBalance = roundAmount(startingBalance + (totals.cleared || 0));
+  const difference = roundAmount(reconciliation.statementBalance - clearedBalance);
+
+  return {
+    saldo: { _id: saldo._id, name: saldo.name, currency: saldo.currency },
+    statementDate: reconciliation.statementDate,
+    statementBalance: reconciliation.statementBalance,
+    startingBalance,
+    clearedBalance,
+    bookBalance: saldo.amount,
+    difference,
+    balanced: Math.abs(difference) < RECONCILIATION_TOLERANCE,
+    cleared: totals.clearedCount || 0,
+    uncleared: totals.unclearedCount || 0,
+  };
+};
+
+module.exports = {
+  RECONCILIATION_TOLERANCE,
+  statementCutoff,
+  assertUnlocked,
+  reconciliationSummary,
+};
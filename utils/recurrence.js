@@ -0,0 +1,82 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const daysInMonth = (year, monthIndex) => new Date(Date.UTC(year, monthIndex + 1, 0)).getUTCDate();
+
+/**
+ * Date of occurrence number `index` (0-based) of a recurring rule, or null
+ * when the rule has ended (past endDate or maxOccurrences reached).
+ * Every occurrence is computed from startDate, so clamping a short month
+ * (31 -> 28 Feb) never drifts the following months.
+ */
+const occurrenceAt = (rule, index) => {
+  if (rule.maxOccurrences && index >= rule.maxOccurrences) {
+    return null;
+  }
+
+  const start = new Date(rule.startDate);
+  const interval = rule.interval || 1;
+  let date;
+
+  if (rule.frequency === "daily" || rule.frequency === "weekly") {
+    const stepDays = rule.frequency === "weekly" ? 7 * interval : interval;
+    date = new Date(start.getTime() + index * stepDays * DAY_MS);
+  } else {
+    const stepMonths = rule.frequency === "yearly" ? 12 * interval : interval;
+    const totalMonths = start.getUTCMonth() + index * stepMonths;
+    const year = start.getUTCFullYear() + Math.floor(totalMonths / 12);
+    const month = totalMonths % 12;
+    const day = Math.min(rule.dayOfMonth || start.getUTCDate(), daysInMonth(year, month));
+
+    date = new Date(Date.UTC(
+      year,
+      month,
+      day,
+      start.getUTCHours(),
+      start.getUTCMinutes(),
+      start.getUTCSeconds()
+    ));
+  }
+
+  if (rule.endDate && date > new Date(rule.endDate)) {
+    return null;
+  }
+
+  return date;
+};
+
+const isSkipped = (rule, date) =>
+  (rule.skippedDates || []).some((skipped) => new Date(skipped).getTime() === date.getTime());
+
+/**
+ * Next `count` occurrences starting at the rule's current position,
+ * each flagged when it has been skipped
+ */
+const upcomingOccurrences = (rule, count) => {
+  const occurrences = [];
+
+  for (let index = rule.nextIndex || 0; occurrences.length < count; index++) {
+    const date = occurrenceAt(rule, index);
+    if (!date) break;
+    occurrences.push({ index, date, skipped: isSkipped(rule, date) });
+  }
+
+  return occurrences;
+};
+
+/**
+ * Index of the first occurrence on or after `from` (used when resuming a
+ * paused rule, so the paused period is not posted retroactively)
+ */
+const firstIndexFrom = (rule, from) => {
+  let index = rule.nextIndex || 0;
+  let date = occurrenceAt(rule, index);
+
+  while (date && date < from) {
+    index++;
+    date = occurrenceAt(rule, index);
+  }
+
+  return index;
+};
+
+module.exports = { daysInMonth, occurrenceAt, isSkipped, upcomingOccurrences, firstIndexFrom };
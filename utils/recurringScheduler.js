@@ -0,0 +1,147 @@
+const RecurringTransaction = require("../model/RecurringTransaction");
+const Transaction = require("../model/Transaction");
+const User = require("../model/User");
+const runInTransaction = require("./dbTransaction");
+const { signedAmount, applySaldoDelta } = require("./saldoBalance");
+const { exceededApprovalThreshold, notifyApprovers } = require("./approval");
+const { occurrenceAt, isSkipped } = require("./recurrence");
+
+const DEFAULT_INTERVAL_MS = 60 * 60 * 1000;
+
+let timer = null;
+let isRunning = false;
+
+/**
+ * Post (or skip) the occurrence the rule is currently pointing at and move
+ * the rule forward, all in one DB transaction.
+ * The update is conditional on `nextIndex`, so two instances racing on the
+ * same rule conflict and retry instead of double-posting; the unique
+ * (recurring, occurrenceDate) index on Transaction is the last guard.
+ * An expense above its approval threshold is posted as pending approval
+ * and leaves the saldo alone, like POST /transaction.
+ * Returns false when there was nothing due, else { transaction } (null
+ * for a skipped occurrence).
+ */
+const postNextOccurrence = async (ruleId, now) =>
+  runInTransaction(async (session) => {
+    const rule = await RecurringTransaction.findById(ruleId).session(session);
+    if (!rule || rule.status !== "active" || !rule.nextRunAt || rule.nextRunAt > now) {
+      return false;
+    }
+
+    const index = rule.nextIndex;
+    const occurrenceDate = occurrenceAt(rule, index);
+    const skipped = !occurrenceDate || isSkipped(rule, occurrenceDate);
+
+    let transaction = null;
+    if (occurrenceDate && !skipped) {
+      const approvalThreshold = await exceededApprovalThreshold(
+        { type: rule.type, saldo: rule.saldo, category: rule.category, amount: rule.amount, date: occurrenceDate },
+        session
+      );
+      if (!approvalThreshold) {
+        await applySaldoDelta(rule.saldo, signedAmount(rule.type, rule.amount), session);
+      }
+      [transaction] = await Transaction.create(
+        [
+          {
+            user: rule.user,
+            category: rule.category,
+            saldo: rule.saldo,
+            amount: rule.amount,
+            description: rule.description,
+            type: rule.type,
+            recurring: rule._id,
+            occurrenceDate,
+            // report the occurrence in the period it belongs to, not when it was caught up
+            date: occurrenceDate,
+            approvalStatus: approvalThreshold ? "pending" : null,
+            approvalThreshold,
+          },
+        ],
+        { session }
+      );
+    }
+
+    const nextRunAt = occurrenceAt(rule, index + 1);
+    const result = await RecurringTransaction.updateOne(
+      { _id: rule._id, nextIndex: index },
+      {
+        $set: {
+          nextIndex: index + 1,
+          nextRunAt,
+          lastRunAt: now,
+          status: nextRunAt ? "active" : "completed",
+        },
+        $inc: { postedCount: occurrenceDate && !skipped ? 1 : 0 },
+      },
+      { session }
+    );
+
+    return result.modifiedCount === 1 && { transaction };
+  });
+
+/**
+ * Materialize every occurrence that is due by `now`. Running it after
+ * downtime catches up all missed occurrences, one by one, in order.
+ */
+const runRecurringTransactions = async (now = new Date()) => {
+  if (isRunning) {
+    return { processed: 0, alreadyRunning: true };
+  }
+
+  isRunning = true;
+  let processed = 0;
+
+  try {
+    const dueRules = await RecurringTransaction.find({
+      status: "active",
+      nextRunAt: { $ne: null, $lte: now },
+    }).select("_id");
+
+    for (const { _id } of dueRules) {
+      try {
+        let posted;
+        while ((posted = await postNextOccurrence(_id, now))) {
+          processed++;
+          const { transaction } = posted;
+          if (transaction && transaction.approvalStatus === "pending") {
+            await notifyApprovers(transaction, await User.findById(transaction.user).select("name email"));
+          }
+        }
+      } catch (err) {
+        console.error(`❌ Recurring transaction ${_id} failed:`, err.message);
+      }
+    }
+
+    if (processed > 0) {
+      console.log(`🔁 Processed ${processed} recurring occurrence(s)`);
+    }
+    return { processed, alreadyRunning: false };
+  } finally {
+    isRunning = false;
+  }
+};
+
+/**
+ * Catch up immediately, then check for due occurrences every `intervalMs`
+ */
+const startRecurringScheduler = (intervalMs = Number(process.env.RECURRING_INTERVAL_MS) || DEFAULT_INTERVAL_MS) => {
+  if (timer) return;
+
+  const tick = () =>
+    runRecurringTransactions().catch((err) => {
+      console.error("❌ Recurring scheduler failed:", err.message);
+    });
+
+  tick();
+  timer = setInterval(tick, intervalMs);
+  timer.unref();
+};
+
+const stopRecurringScheduler = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = { runRecurringTransactions, startRecurringScheduler, stopRecurringScheduler };
@@ -0,0 +1,71 @@
+const Saldo = require("../model/Saldo");
+const ErrorHandler = require("./ErrorHandler");
+
+/**
+ * Signed effect of a transaction on its saldo (income adds, expense subtracts)
+ */
+const signedAmount = (type, amount) => (type === "income" ? amount : -amount);
+
+/**
+ * Atomically add `delta` to a saldo with `$inc`, so concurrent requests
+ * never overwrite each other's balance.
+ * When `allowNegative` is false the update only matches if the balance
+ * stays >= 0, otherwise a 400 is thrown and the caller's transaction aborts.
+ * Trashed saldos are refused unless `allowTrashed` (used when reverting
+ * the effect of a transaction that already belongs to one).
+ */
+const applySaldoDelta = async (saldoId, delta, session, { allowNegative = true, allowTrashed = false } = {}) => {
+  const filter = { _id: saldoId };
+  if (!allowNegative && delta < 0) {
+    filter.amount = { $gte: -delta };
+  }
+
+  const saldo = await Saldo.findOneAndUpdate(
+    filter,
+    { $inc: { amount: delta } },
+    { new: true, session, withDeleted: allowTrashed }
+  );
+
+  if (!saldo) {
+    const exists = await Saldo.exists({ _id: saldoId }).setOptions({ withDeleted: allowTrashed }).session(session);
+    if (!exists) {
+      throw new ErrorHandler("Saldo not found", 404);
+    }
+    throw new ErrorHandler("Insufficient balance for this transaction", 400);
+  }
+
+  return saldo;
+};
+
+/**
+ * A transaction dated after `now` is pending: it does not touch its saldo
+ * until its date arrives
+ */
+const isFutureDated = (date, now = new Date()) => Boolean(date) && new Date(date) > now;
+
+// Approval states in which an expense has not touched its saldo
+const UNAPPROVED = ["pending", "rejected"];
+
+/**
+ * Whether the transaction is currently counted in its saldo: not future-dated
+ * and not waiting for (or refused) approval
+ */
+const hasSaldoEffect = (tx) => !tx.pending && !UNAPPROVED.includes(tx.approvalStatus);
+
+/**
+ * Undo the saldo effect of an existing transaction (works on trashed saldos
+ * too). Pending or unapproved transactions have no effect to undo.
+ */
+const revertTransactionEffect = async (tx, session) => {
+  if (!hasSaldoEffect(tx)) return null;
+  return applySaldoDelta(tx.saldo, -signedAmount(tx.type, tx.amount), session, { allowTrashed: true });
+};
+
+module.exports = {
+  UNAPPROVED,
+  signedAmount,
+  applySaldoDelta,
+  isFutureDated,
+  hasSaldoEffect,
+  revertTransactionEffect,
+};
@@ -1,6 +1,23 @@
 const Mailjet = require("node-mailjet");
 
-const sendMail = async (options) => {
+// Messages "sent" with MAIL_TRANSPORT=local, newest last (tests / development)
+const localOutbox = [];
+
+const escapeHtml = (text) =>
+  String(text).replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+
+const mailTransport = () => (process.env.MAIL_TRANSPORT || "mailjet").toLowerCase();
+
+/**
+ * Send { to: [emails], subject, text, html } through Mailjet, or keep it in
+ * `localOutbox` when MAIL_TRANSPORT=local so nothing leaves the machine
+ */
+const deliver = async ({ to, subject, text, html }) => {
+  if (mailTransport() === "local") {
+    localOutbox.push({ to, subject, text, html, sentAt: new Date() });
+    return { transport: "local", to };
+  }
+
   const mailjet = Mailjet.apiConnect(
     process.env.MJ_APIKEY_PUBLIC,
     process.env.MJ_APIKEY_PRIVATE
@@ -13,18 +30,13 @@ const sendMail = async (options) => {
           Email: process.env.MJ_SENDER_EMAIL,
           Name: "Admin",
         },
-        To: [
-          {
-            Email: options.email,
-            Name: "Users",
-          },
-        ],
-        Subject: options.subject,
-        TextPart: options.messsage,
-        HTMLPart:
-          '<h3>Dear Users, welcome to our website</h3><br />Please click on the link below to activate your account:<br /><a href="' +
-          options.url +
-          '">Activate</a>',
+        To: to.map((email) => ({
+          Email: email,
+          Name: "Users",
+        })),
+        Subject: subject,
+        TextPart: text,
+        HTMLPart: html,
       },
     ],
   });
@@ -39,43 +51,49 @@ const sendMail = async (options) => {
   }
 };
 
-const sendMailForgotPW = async (options) => {
-  const mailjet = Mailjet.apiConnect(
-    process.env.MJ_APIKEY_PUBLIC,
-    process.env.MJ_APIKEY_PRIVATE
-  );
+const sendMail = async (options) =>
+  deliver({
+    to: [options.email],
+    subject: options.subject,
+    text: options.messsage,
+    html:
+      '<h3>Dear Users, welcome to our website</h3><br />Please click on the link below to activate your account:<br /><a href="' +
+      options.url +
+      '">Activate</a>',
+  });
 
-  const request = mailjet.post("send", { version: "v3.1" }).request({
-    Messages: [
-      {
-        From: {
-          Email: process.env.MJ_SENDER_EMAIL,
-          Name: "Admin",
-        },
-        To: [
-          {
-            Email: options.email,
-            Name: "Users",
-          },
-        ],
-        Subject: options.subject,
-        TextPart: options.messsage,
-        HTMLPart:
-          '<h3>Dear Users, This Email For Reset Your Password</h3><br />Please change your password after login!, your new password is: <b>"' +
-          options.password +
-          '"</b>',
-      },
-    ],
+const sendMailForgotPW = async (options) =>
+  deliver({
+    to: [options.email],
+    subject: options.subject,
+    text: options.messsage,
+    html:
+      '<h3>Dear Users, This Email For Reset Your Password</h3><br />Please change your password after login!, your new password is: <b>"' +
+      options.password +
+      '"</b>',
   });
 
-  try {
-    const result = await request;
-    console.log(result.body);
-    return result.body;
-  } catch (error) {
-    console.error("Error sending email:", error);
-    throw error;
-  }
+/**
+ * Ask approvers (options.emails) to approve or reject a large expense
+ */
+const sendApprovalRequestMail = async (options) => {
+  const { transaction, requester, threshold } = options;
+  const amount = `${transaction.currency} ${Number(transaction.amount).toLocaleString("id-ID")}`;
+
+  return deliver({
+    to: options.emails,
+    subject: `Approval needed: ${transaction.description} (${amount})`,
+    text:
+      `${requester} recorded an expense of ${amount} above the approval threshold of ${threshold}.\n` +
+      `Description: ${transaction.description}\n` +
+      `Approve: POST /approval/${transaction._id}/approve\n` +
+      `Reject: POST /approval/${transaction._id}/reject`,
+    html:
+      "<h3>An expense is waiting for your approval</h3>" +
+      `<p><b>${escapeHtml(requester)}</b> recorded an expense of <b>${amount}</b>, above the approval threshold of ${threshold}.</p>` +
+      `<p>Description: ${escapeHtml(transaction.description)}</p>` +
+      `<p>Transaction ID: ${transaction._id}</p>`,
+  });
 };
 
-module.exports = { sendMail, sendMailForgotPW };
+module.exports = { sendMail, sendMailForgotPW, sendApprovalRequestMail, localOutbox };
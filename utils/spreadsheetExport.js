@@ -0,0 +1,207 @@
+const { once } = require("events");
+const ExcelJS = require("exceljs");
+
+const IDR_FORMAT = '"Rp" #,##0;[Red]-"Rp" #,##0';
+// transaction amounts can be in any currency (see the Mata Uang column)
+const AMOUNT_FORMAT = "#,##0.##;[Red]-#,##0.##";
+const DATE_FORMAT = "dd/mm/yyyy hh:mm";
+
+const TRANSACTION_COLUMNS = [
+  { header: "Tanggal", key: "date", width: 18, style: { numFmt: DATE_FORMAT } },
+  { header: "Deskripsi", key: "description", width: 40 },
+  { header: "Tipe", key: "type", width: 10 },
+  { header: "Kategori", key: "category", width: 22 },
+  { header: "Saldo", key: "saldo", width: 20 },
+  { header: "User", key: "user", width: 20 },
+  { header: "Transfer", key: "transfer", width: 10 },
+  { header: "Mata Uang", key: "currency", width: 10 },
+  { header: "Jumlah", key: "amount", width: 18, style: { numFmt: AMOUNT_FORMAT } },
+];
+
+const setDownloadHeaders = (res, filename, contentType) => {
+  res.setHeader("Content-Type", contentType);
+  res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+};
+
+/**
+ * Flatten a populated Transaction into one spreadsheet row
+ */
+const transactionRow = (tx) => ({
+  date: tx.date || tx.createdAt,
+  description: tx.description,
+  type: tx.type,
+  category: tx.splits && tx.splits.length > 0
+    ? tx.splits.map((split) => `${split.category ? split.category.name : "?"} (${split.amount})`).join(", ")
+    : tx.category ? tx.category.name : "",
+  saldo: tx.saldo ? tx.saldo.name : "",
+  user: tx.user ? tx.user.name : "",
+  transfer: tx.transferLeg || "",
+  currency: tx.currency,
+  amount: tx.amount,
+});
+
+/**
+ * Streaming XLSX workbook written straight into the response,
+ * so rows are flushed as they are added instead of held in memory
+ */
+const createXlsxStream = (res, filename) => {
+  setDownloadHeaders(
+    res,
+    filename,
+    "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+  );
+
+  return new ExcelJS.stream.xlsx.WorkbookWriter({
+    stream: res,
+    useStyles: true,
+    useSharedStrings: false,
+  });
+};
+
+const styleHeader = (sheet) => {
+  const header = sheet.getRow(1);
+  header.font = { bold: true };
+  header.fill = { type: "pattern", pattern: "solid", fgColor: { argb: "FFE2EFDA" } };
+};
+
+/**
+ * Add a bold totals row summing the `totals` columns over every data row written so far
+ */
+const addTotalsRow = (sheet, columns, totals, rowCount) => {
+  const row = {};
+  columns.forEach((col, index) => {
+    if (index === 0) {
+      row[col.key] = "TOTAL";
+    } else if (col.key in totals) {
+      const letter = sheet.getColumn(col.key).letter;
+      row[col.key] = rowCount > 0
+        ? { formula: `SUM(${letter}2:${letter}${rowCount + 1})`, result: totals[col.key] }
+        : 0;
+    }
+  });
+
+  const totalsRow = sheet.addRow(row);
+  totalsRow.font = { bold: true };
+  totalsRow.commit();
+};
+
+/**
+ * One bold totals row per currency (amounts in different currencies are
+ * never added together), each summing the amounts of its currency
+ */
+const addCurrencyTotalsRows = (sheet, totals, rowCount) => {
+  if (totals.size === 0) {
+    addTotalsRow(sheet, TRANSACTION_COLUMNS, { amount: 0 }, 0);
+    return;
+  }
+
+  const currencyLetter = sheet.getColumn("currency").letter;
+  const amountLetter = sheet.getColumn("amount").letter;
+  const last = rowCount + 1;
+
+  [...totals.keys()].sort().forEach((currency) => {
+    const totalsRow = sheet.addRow({
+      date: "TOTAL",
+      currency,
+      amount: {
+        formula: `SUMIF(${currencyLetter}2:${currencyLetter}${last},"${currency}",${amountLetter}2:${amountLetter}${last})`,
+        result: totals.get(currency),
+      },
+    });
+    totalsRow.font = { bold: true };
+    totalsRow.commit();
+  });
+};
+
+/**
+ * Stream every document of a (populated) mongoose cursor into a new
+ * worksheet of transactions, followed by a totals row per currency.
+ * Resolves with { totals: Map(currency => total), count }.
+ */
+const writeTransactionSheet = async (workbook, name, cursor) => {
+  const sheet = workbook.addWorksheet(name);
+  sheet.columns = TRANSACTION_COLUMNS;
+  styleHeader(sheet);
+
+  const totals = new Map();
+  let count = 0;
+
+  for await (const tx of cursor) {
+    sheet.addRow(transactionRow(tx)).commit();
+    totals.set(tx.currency, (totals.get(tx.currency) || 0) + tx.amount);
+    count++;
+  }
+
+  addCurrencyTotalsRows(sheet, totals, count);
+  sheet.commit();
+
+  return { totals, count };
+};
+
+/**
+ * Write already-computed rows (small reports) into a new worksheet,
+ * with a totals row over `totalKeys`
+ */
+const writeReportSheet = (workbook, name, columns, rows, totalKeys = []) => {
+  const sheet = workbook.addWorksheet(name);
+  sheet.columns = columns;
+  styleHeader(sheet);
+
+  const totals = Object.fromEntries(totalKeys.map((key) => [key, 0]));
+  rows.forEach((row) => {
+    sheet.addRow(row).commit();
+    totalKeys.forEach((key) => {
+      totals[key] += row[key] || 0;
+    });
+  });
+
+  if (totalKeys.length > 0) {
+    addTotalsRow(sheet, columns, totals, rows.length);
+  }
+  sheet.commit();
+};
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return "";
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Stream rows (any sync or async iterable of objects) as CSV,
+ * waiting for the response to drain when its buffer is full
+ */
+const streamCsv = async (res, filename, columns, rows) => {
+  setDownloadHeaders(res, filename, "text/csv; charset=utf-8");
+
+  // BOM so Excel opens UTF-8 correctly
+  res.write("\uFEFF" + columns.map((col) => csvCell(col.header)).join(",") + "\r\n");
+
+  for await (const row of rows) {
+    const line = columns.map((col) => csvCell(row[col.key])).join(",") + "\r\n";
+    if (!res.write(line)) {
+      await once(res, "drain");
+    }
+  }
+
+  res.end();
+};
+
+/**
+ * Lazily map a mongoose cursor of transactions to CSV rows
+ */
+async function* transactionRows(cursor) {
+  for await (const tx of cursor) {
+    yield transactionRow(tx);
+  }
+}
+
+module.exports = {
+  IDR_FORMAT,
+  TRANSACTION_COLUMNS,
+  createXlsxStream,
+  writeTransactionSheet,
+  writeReportSheet,
+  streamCsv,
+  transactionRows,
+};
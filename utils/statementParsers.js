@@ -0,0 +1,231 @@
+const path = require("path");
+
+const MAX_DESCRIPTION_LENGTH = 1024;
+
+const STATEMENT_FORMATS = ["ofx", "qif", "mt940"];
+
+const EXTENSION_FORMATS = {
+  ".ofx": "ofx",
+  ".qfx": "ofx",
+  ".qif": "qif",
+  ".sta": "mt940",
+  ".940": "mt940",
+  ".mt940": "mt940",
+};
+
+/**
+ * Bank downloads are UTF-8 or Windows-1252; fall back to latin1 when the
+ * bytes are not valid UTF-8
+ */
+const decodeStatement = (buffer) => {
+  const text = buffer.toString("utf8");
+  return (text.includes("\uFFFD") ? buffer.toString("latin1") : text).replace(/^\uFEFF/, "");
+};
+
+const cleanText = (...parts) => {
+  const seen = new Set();
+  return parts
+    .map((part) => String(part || "").replace(/\s+/g, " ").trim())
+    .filter((part) => part && !seen.has(part.toLowerCase()) && seen.add(part.toLowerCase()))
+    .join(" - ")
+    .slice(0, MAX_DESCRIPTION_LENGTH);
+};
+
+const utcDate = (year, month, day) => {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCMonth() === month - 1 && date.getUTCDate() === day ? date : null;
+};
+
+/**
+ * Pick the format from the `format` option, the file extension or the content
+ */
+const detectFormat = (file, text, format) => {
+  if (format) return format;
+
+  const byExtension = EXTENSION_FORMATS[path.extname(file.originalname || "").toLowerCase()];
+  if (byExtension) return byExtension;
+
+  if (/<OFX>/i.test(text) || /^OFXHEADER:/m.test(text)) return "ofx";
+  if (/^!Type:/im.test(text)) return "qif";
+  if (/^:20:/m.test(text) && /^:61:/m.test(text)) return "mt940";
+  return null;
+};
+
+/* ---------- OFX / QFX (SGML 1.x and XML 2.x) ---------- */
+
+const ofxValue = (block, tag) => {
+  const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, "i"));
+  return match ? match[1].trim() : "";
+};
+
+// 20250131, 20250131120000, 20250131120000.000[+7:WIB]
+const parseOfxDate = (value) => {
+  const match = String(value || "").match(/^(\d{4})(\d{2})(\d{2})/);
+  return match ? utcDate(Number(match[1]), Number(match[2]), Number(match[3])) : null;
+};
+
+const parseOfx = (text) => {
+  const blocks = text.match(/<STMTTRN>[\s\S]*?(?=<\/STMTTRN>|<STMTTRN>|<\/BANKTRANLIST>)/gi) || [];
+
+  return {
+    currency: ofxValue(text, "CURDEF").toUpperCase() || null,
+    account: ofxValue(text, "ACCTID") || null,
+    lines: blocks.map((block) => {
+      const rawDate = ofxValue(block, "DTPOSTED");
+      const rawAmount = ofxValue(block, "TRNAMT");
+      return {
+        externalId: ofxValue(block, "FITID") || null,
+        date: parseOfxDate(rawDate),
+        rawDate,
+        amount: Number(rawAmount.replace(",", ".")),
+        rawAmount,
+        description: cleanText(ofxValue(block, "NAME") || ofxValue(block, "PAYEE"), ofxValue(block, "MEMO")),
+      };
+    }),
+  };
+};
+
+/* ---------- QIF ---------- */
+
+// 31/01/2025, 31/01/25, 1/31'25 (with dateOrder "mdy"), 2025-01-31
+const parseQifDate = (value, dateOrder) => {
+  const text = String(value || "").trim().replace(/\s/g, "");
+
+  let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  if (match) return utcDate(Number(match[1]), Number(match[2]), Number(match[3]));
+
+  match = text.match(/^(\d{1,2})[/.-](\d{1,2})(?:[/.-]|')(\d{2,4})$/);
+  if (!match) return null;
+
+  const [first, second] = [Number(match[1]), Number(match[2])];
+  const year = match[3].length === 2 ? 2000 + Number(match[3]) : Number(match[3]);
+  return dateOrder === "mdy" ? utcDate(year, first, second) : utcDate(year, second, first);
+};
+
+const parseQifAmount = (value) => {
+  const text = String(value || "").replace(/[^0-9,.-]/g, "");
+  // 1,250,000.50 or 1.250.000,50: the last separator is the decimal one
+  const decimal = Math.max(text.lastIndexOf("."), text.lastIndexOf(","));
+  if (decimal === -1 || text.length - decimal - 1 === 3) {
+    return Number(text.replace(/[,.]/g, ""));
+  }
+  return Number(`${text.slice(0, decimal).replace(/[,.]/g, "")}.${text.slice(decimal + 1)}`);
+};
+
+const parseQif = (text, { dateOrder } = {}) => {
+  const lines = [];
+  let record = {};
+
+  const flush = () => {
+    if (Object.keys(record).length > 0) {
+      lines.push({
+        // QIF has no transaction IDs; the check/reference number is the closest thing
+        externalId: record.N && /\d/.test(record.N) ? record.N : null,
+        date: parseQifDate(record.D, dateOrder),
+        rawDate: record.D || "",
+        amount: parseQifAmount(record.T ?? record.U),
+        rawAmount: record.T ?? record.U ?? "",
+        description: cleanText(record.P, record.M),
+      });
+    }
+    record = {};
+  };
+
+  text.split(/\r?\n/).forEach((line) => {
+    if (!line.trim() || line.startsWith("!")) return;
+    if (line.startsWith("^")) return flush();
+
+    const code = line[0];
+    // split lines (S/E/$) belong to the bank's own categories, not ours
+    if (!record[code] && "DTUPMN".includes(code)) {
+      record[code] = line.slice(1).trim();
+    }
+  });
+  flush();
+
+  return { currency: null, account: null, lines };
+};
+
+/* ---------- MT940 (SWIFT customer statement) ---------- */
+
+const mt940Amount = (value) => Number(String(value || "").replace(",", "."));
+
+// :61:2501310131D125000,00NTRFNONREF//BR2501310001
+const MT940_LINE = /^(\d{2})(\d{2})(\d{2})(\d{4})?(R?[CD])[A-Z]?(\d+,\d*)([A-Z0-9]{4})([^/\n]*?)(?:\/\/(\S+))?\s*(?:\n([\s\S]*))?$/;
+
+const parseMt940 = (text) => {
+  // fields start with :XX: at the beginning of a line, continuation lines follow
+  const fields = [];
+  text.replace(/\r/g, "").split("\n").forEach((line) => {
+    const match = line.match(/^:(\d{2}[A-Z]?):(.*)$/);
+    if (match) {
+      fields.push({ tag: match[1], value: match[2] });
+    } else if (fields.length > 0 && line.trim() && line.trim() !== "-" && !line.startsWith("-}")) {
+      fields[fields.length - 1].value += `\n${line}`;
+    }
+  });
+
+  let currency = null;
+  let account = null;
+  const lines = [];
+
+  fields.forEach(({ tag, value }) => {
+    if (tag === "25") account = account || value.trim();
+    if ((tag === "60F" || tag === "60M") && !currency) {
+      currency = (value.match(/^[CD]\d{6}([A-Z]{3})/) || [])[1] || null;
+    }
+
+    if (tag === "61") {
+      const match = value.trim().match(MT940_LINE);
+      if (!match) {
+        lines.push({ externalId: null, date: null, rawDate: "", amount: NaN, rawAmount: value, description: "" });
+        return;
+      }
+
+      const [, yy, mm, dd, , mark, rawAmount, , , bankRef, extra] = match;
+      // C credit, D debit; RC/RD reverse an earlier entry, so the sign flips
+      const credit = mark === "C" || mark === "RD";
+      lines.push({
+        // the customer reference is free text (often NONREF), only the bank's is unique
+        externalId: bankRef || null,
+        date: utcDate(2000 + Number(yy), Number(mm), Number(dd)),
+        rawDate: `${yy}${mm}${dd}`,
+        amount: (credit ? 1 : -1) * mt940Amount(rawAmount),
+        rawAmount,
+        description: cleanText(extra),
+      });
+    }
+
+    // :86: describes the :61: line right before it; ?20..?29 are structured subfields
+    if (tag === "86" && lines.length > 0) {
+      const last = lines[lines.length - 1];
+      last.description = cleanText(value.replace(/\?\d{2}/g, " ").replace(/\n/g, ""), last.description);
+    }
+  });
+
+  return { currency, account, lines };
+};
+
+const PARSERS = { ofx: parseOfx, qif: parseQif, mt940: parseMt940 };
+
+/**
+ * Parse an uploaded bank statement into signed lines (negative = money out):
+ * { format, currency, account, lines: [{ externalId, date, amount, description }] }.
+ * `externalId` is the bank's own transaction ID (OFX FITID, MT940 bank
+ * reference, QIF check number) or null when the bank did not send one.
+ */
+const parseStatement = (file, { format, dateOrder } = {}) => {
+  const text = decodeStatement(file.buffer);
+  const detected = detectFormat(file, text, format);
+  if (!detected) return null;
+
+  return { format: detected, ...PARSERS[detected](text, { dateOrder }) };
+};
+
+module.exports = {
+  STATEMENT_FORMATS,
+  parseOfx,
+  parseQif,
+  parseMt940,
+  parseStatement,
+};
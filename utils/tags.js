@@ -0,0 +1,33 @@
+const MAX_TAG_LENGTH = 50;
+const MAX_TAGS = 20;
+
+/**
+ * " Trip Bali 2026 " -> "trip-bali-2026": lowercase, whitespace becomes "-",
+ * anything but letters, digits, "-", "_" and "." is dropped
+ */
+const normalizeTag = (value) =>
+  String(value ?? "")
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, "-")
+    .replace(/[^\p{L}\p{N}\-_.]/gu, "")
+    .slice(0, MAX_TAG_LENGTH);
+
+/**
+ * Normalized, de-duplicated tags without empty ones
+ */
+const normalizeTags = (values) => [...new Set((values || []).map(normalizeTag).filter(Boolean))];
+
+/**
+ * "a, Trip Bali" -> ["a", "trip-bali"]
+ */
+const parseTagList = (value) => normalizeTags(String(value || "").split(","));
+
+const tagsSchema = {
+  type: "array",
+  optional: true,
+  max: MAX_TAGS,
+  items: { type: "string", empty: false, max: MAX_TAG_LENGTH },
+};
+
+module.exports = { MAX_TAG_LENGTH, MAX_TAGS, normalizeTag, normalizeTags, parseTagList, tagsSchema };
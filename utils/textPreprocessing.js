@@ -0,0 +1,233 @@
+/**
+ * Text preprocessing for the category classifier. A pipeline config is
+ * stored with every model version so a model always sees its input
+ * prepared the way it was trained:
+ * - normalize: strip accents and punctuation, "25.000" -> 25000,
+ *   "25rb" -> "25 rb", bare numbers -> num
+ * - slang: expand abbreviations (yg -> yang, rb -> ribu)
+ * - stopwords: drop Indonesian / English filler words
+ * - stem: basic Indonesian affix stripping (pembayaran -> bayar)
+ * - amountBuckets: add a token for the amount's order of magnitude
+ * - ngrams: also add word n-grams up to this length (1 = words only)
+ */
+
+const DEFAULT_PIPELINE = {
+  normalize: true,
+  slang: true,
+  stopwords: true,
+  stem: true,
+  amountBuckets: true,
+  ngrams: 2,
+};
+
+// Plain `${description} ${type}`.toLowerCase() of models trained before
+// the pipeline existed
+const LEGACY_PIPELINE = {
+  normalize: false,
+  slang: false,
+  stopwords: false,
+  stem: false,
+  amountBuckets: false,
+  ngrams: 1,
+};
+
+// fastest-validator schema of pipeline overrides
+const pipelineSchema = {
+  type: "object",
+  optional: true,
+  strict: "remove",
+  props: {
+    normalize: { type: "boolean", convert: true, optional: true },
+    slang: { type: "boolean", convert: true, optional: true },
+    stopwords: { type: "boolean", convert: true, optional: true },
+    stem: { type: "boolean", convert: true, optional: true },
+    amountBuckets: { type: "boolean", convert: true, optional: true },
+    ngrams: { type: "number", integer: true, min: 1, max: 3, convert: true, optional: true },
+  },
+};
+
+const SLANG = {
+  yg: "yang",
+  utk: "untuk",
+  untk: "untuk",
+  dgn: "dengan",
+  dg: "dengan",
+  dr: "dari",
+  dri: "dari",
+  krn: "karena",
+  tdk: "tidak",
+  gak: "tidak",
+  ga: "tidak",
+  sdh: "sudah",
+  udh: "sudah",
+  blm: "belum",
+  sm: "sama",
+  rb: "ribu",
+  rbu: "ribu",
+  k: "ribu",
+  jt: "juta",
+  jtn: "juta",
+  bln: "bulan",
+  thn: "tahun",
+  tgl: "tanggal",
+  byr: "bayar",
+  byar: "bayar",
+  bli: "beli",
+  blnj: "belanja",
+  mkn: "makan",
+  mkan: "makan",
+  mnm: "minum",
+  tf: "transfer",
+  trf: "transfer",
+  trx: "transaksi",
+  adm: "admin",
+  dll: "lain",
+  dsb: "lain",
+  ongkir: "ongkos kirim",
+};
+
+const STOPWORDS = new Set([
+  // Indonesian
+  "yang", "untuk", "dan", "di", "ke", "dari", "dengan", "ini", "itu", "pada", "adalah", "atau",
+  "juga", "dalam", "akan", "sudah", "telah", "masih", "belum", "saya", "aku", "kami", "kita",
+  "ada", "tidak", "bisa", "oleh", "karena", "sebagai", "secara", "para", "lagi", "buat", "sama",
+  "nya", "pun", "jadi", "kalau", "agar", "supaya", "bagi", "hingga", "sampai", "yaitu", "serta",
+  "tersebut", "hanya", "lebih", "sangat", "per", "via", "rp", "idr",
+  // English
+  "the", "a", "an", "and", "or", "of", "to", "for", "in", "on", "at", "by", "with", "from",
+  "is", "was", "are", "be", "this", "that", "it", "as", "my", "our", "your",
+]);
+
+// Words an affix rule would wrongly cut
+const UNSTEMMED = new Set([
+  "diskon", "digital", "dividen", "diesel", "pertamina", "permata", "terminal", "pensiun",
+  "pesawat", "metode", "member",
+]);
+
+const VOWEL = /^[aiueo]/;
+
+// [prefix, recode(rest) | null, only together with the -an suffix (confix)]
+const PREFIXES = [
+  ["meny", (rest) => `s${rest}`, false],
+  ["peny", (rest) => `s${rest}`, false],
+  ["meng", null, false],
+  ["peng", null, false],
+  ["mem", (rest) => (VOWEL.test(rest) ? `p${rest}` : rest), false],
+  ["pem", (rest) => (VOWEL.test(rest) ? `p${rest}` : rest), false],
+  ["men", (rest) => (VOWEL.test(rest) ? `t${rest}` : rest), false],
+  ["pen", (rest) => (VOWEL.test(rest) ? `t${rest}` : rest), false],
+  ["ber", null, false],
+  ["ter", null, false],
+  ["per", null, true],
+  ["me", null, false],
+  ["pe", null, false],
+  ["di", null, false],
+  ["ke", null, true],
+];
+
+/**
+ * Dictionary-less Indonesian stemming: -nya, then -an on long words, then
+ * one prefix. Crude, but maps most word families in transaction
+ * descriptions (bayar, membayar, pembayaran, dibayar) onto one token.
+ */
+const stem = (word) => {
+  if (word.length < 5 || UNSTEMMED.has(word) || /[^a-z]/.test(word)) return word;
+
+  let result = word;
+  let hadSuffix = false;
+  if (result.length > 5 && result.endsWith("nya")) {
+    result = result.slice(0, -3);
+  }
+  if (result.length >= 7 && result.endsWith("an")) {
+    result = result.slice(0, -2);
+    hadSuffix = true;
+  }
+
+  const rule = PREFIXES.find(([prefix]) => result.startsWith(prefix));
+  if (rule && (!rule[2] || hadSuffix)) {
+    const rest = result.slice(rule[0].length);
+    const candidate = rule[1] ? rule[1](rest) : rest;
+    if (candidate.length >= 4) result = candidate;
+  }
+  return result;
+};
+
+const normalize = (text) =>
+  text
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    // thousands separators: 25.000 / 1,250,000
+    .replace(/(\d)[.,](?=\d{3}(\D|$))/g, "$1")
+    // glued amounts and units: 25rb, rp25000
+    .replace(/(\d)([a-z])/g, "$1 $2")
+    .replace(/([a-z])(\d)/g, "$1 $2")
+    .replace(/[^a-z0-9\s]/g, " ")
+    .split(/\s+/)
+    .filter(Boolean)
+    .map((token) => (/^\d+$/.test(token) ? "num" : token));
+
+// Upper bounds (exclusive) of the amount buckets and their tokens
+const AMOUNT_BUCKETS = [
+  [10000, "amt_lt10k"],
+  [50000, "amt_10k_50k"],
+  [100000, "amt_50k_100k"],
+  [500000, "amt_100k_500k"],
+  [1000000, "amt_500k_1m"],
+  [5000000, "amt_1m_5m"],
+  [10000000, "amt_5m_10m"],
+  [Infinity, "amt_gte10m"],
+];
+
+const amountBucket = (amount) => {
+  const value = Math.abs(Number(amount));
+  if (!isFinite(value)) return null;
+  return AMOUNT_BUCKETS.find(([upper]) => value < upper)[1];
+};
+
+/**
+ * Fill in the defaults for pipeline overrides
+ */
+const resolvePipeline = (overrides = {}) => ({ ...DEFAULT_PIPELINE, ...overrides });
+
+/**
+ * Classifier input of a transaction ({ description, type, amount }) as a
+ * space-separated token string
+ */
+const preprocess = ({ description, type, amount }, pipeline = DEFAULT_PIPELINE) => {
+  const text = String(description || "").toLowerCase();
+  let tokens = pipeline.normalize ? normalize(text) : text.split(/\s+/).filter(Boolean);
+
+  if (pipeline.slang) {
+    tokens = tokens.flatMap((token) => (SLANG[token] ? SLANG[token].split(" ") : [token]));
+  }
+  if (pipeline.stopwords) {
+    tokens = tokens.filter((token) => !STOPWORDS.has(token));
+  }
+  if (pipeline.stem) {
+    tokens = tokens.map(stem);
+  }
+
+  const words = tokens;
+  tokens = [...words];
+  for (let n = 2; n <= (pipeline.ngrams || 1); n++) {
+    for (let i = 0; i + n <= words.length; i++) {
+      tokens.push(words.slice(i, i + n).join("_"));
+    }
+  }
+
+  if (pipeline.amountBuckets && amount !== undefined && amount !== null) {
+    const bucket = amountBucket(amount);
+    if (bucket) tokens.push(bucket);
+  }
+
+  return [...tokens, type].filter(Boolean).join(" ");
+};
+
+module.exports = {
+  DEFAULT_PIPELINE,
+  LEGACY_PIPELINE,
+  pipelineSchema,
+  resolvePipeline,
+  stem,
+  preprocess,
+};
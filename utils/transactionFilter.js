@@ -0,0 +1,154 @@
+const mongoose = require("mongoose");
+const Validator = require("fastest-validator");
+const v = new Validator();
+const { parseTagList } = require("./tags");
+
+const SORT_FIELDS = ["date", "createdAt", "amount", "description", "type"];
+
+const querySchema = {
+  startDate: { type: "date", convert: true, optional: true },
+  endDate: { type: "date", convert: true, optional: true },
+  type: { type: "enum", values: ["income", "expense"], optional: true },
+  category: { type: "string", empty: false, optional: true },
+  saldo: { type: "string", empty: false, optional: true },
+  user: { type: "string", empty: false, optional: true },
+  minAmount: { type: "number", min: 0, convert: true, optional: true },
+  maxAmount: { type: "number", min: 0, convert: true, optional: true },
+  search: { type: "string", empty: false, max: 200, optional: true },
+  tags: { type: "string", empty: false, optional: true },
+  tagMode: { type: "enum", values: ["any", "all"], optional: true },
+  status: { type: "enum", values: ["pending", "posted"], optional: true },
+  approval: { type: "enum", values: ["pending", "approved", "rejected"], optional: true },
+  sortBy: { type: "enum", values: SORT_FIELDS, optional: true },
+  sortOrder: { type: "enum", values: ["asc", "desc"], optional: true },
+  page: { type: "number", integer: true, min: 1, convert: true, optional: true },
+  limit: { type: "number", integer: true, min: 1, max: 500, convert: true, optional: true },
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * "id1,id2" -> [ObjectId, ObjectId]; null if any ID is malformed.
+ * Real ObjectIds (not strings) so the filter also works in aggregate $match.
+ */
+const parseIdList = (value) => {
+  const ids = String(value).split(",").map((id) => id.trim()).filter(Boolean);
+  if (ids.length === 0 || !ids.every((id) => mongoose.Types.ObjectId.isValid(id))) {
+    return null;
+  }
+  return ids.map((id) => new mongoose.Types.ObjectId(id));
+};
+
+const idCondition = (ids) => (ids.length === 1 ? ids[0] : { $in: ids });
+
+/**
+ * Turn list query parameters into a MongoDB filter, sort and pagination.
+ * Shared by /transaction/list, the exports and the dashboard aggregations
+ * so every screen counts the same transactions.
+ *
+ * - startDate / endDate: transaction `date` range; a date-only endDate includes that whole day
+ * - type, user
+ * - category, saldo: one ID or a comma-separated list; category also matches
+ *   split transactions with a split in that category (`categories` is returned
+ *   so reports can count only the matching splits)
+ * - minAmount / maxAmount: inclusive
+ * - search: case-insensitive substring of description
+ * - tags: comma-separated; tagMode=any (default) or all of them (`tags` is
+ *   returned too so tag reports can stick to the requested tags)
+ * - status: pending (future-dated, saldo not yet adjusted) or posted
+ * - approval: pending, approved or rejected (large expenses only)
+ * - sortBy (date|createdAt|amount|description|type, default date), sortOrder (asc|desc)
+ *
+ * Returns { errors } when the query is invalid.
+ */
+const buildTransactionQuery = (query = {}) => {
+  const params = { ...query };
+  const validation = v.validate(params, querySchema);
+  if (validation !== true) {
+    return { errors: validation };
+  }
+
+  const errors = [];
+  const filter = {};
+  let categories = null;
+  let tags = null;
+
+  if (params.startDate || params.endDate) {
+    filter.date = {};
+    if (params.startDate) filter.date.$gte = params.startDate;
+    if (params.endDate) {
+      if (/^\d{4}-\d{2}-\d{2}$/.test(String(query.endDate))) {
+        filter.date.$lt = new Date(params.endDate.getTime() + 24 * 60 * 60 * 1000);
+      } else {
+        filter.date.$lte = params.endDate;
+      }
+    }
+  }
+
+  if (params.type) filter.type = params.type;
+  if (params.status) filter.pending = params.status === "pending" ? true : { $ne: true };
+  if (params.approval) filter.approvalStatus = params.approval;
+
+  ["category", "saldo", "user"].forEach((field) => {
+    if (!params[field]) return;
+    const ids = parseIdList(params[field]);
+    if (!ids) {
+      errors.push({ field, message: `The '${field}' field must be one or more valid IDs.` });
+      return;
+    }
+    if (field === "category") {
+      categories = idCondition(ids);
+      filter.$or = [{ category: categories }, { "splits.category": categories }];
+      return;
+    }
+    filter[field] = idCondition(ids);
+  });
+
+  if (params.minAmount !== undefined || params.maxAmount !== undefined) {
+    filter.amount = {};
+    if (params.minAmount !== undefined) filter.amount.$gte = params.minAmount;
+    if (params.maxAmount !== undefined) filter.amount.$lte = params.maxAmount;
+  }
+
+  if (params.search) {
+    filter.description = { $regex: escapeRegex(params.search), $options: "i" };
+  }
+
+  if (params.tags) {
+    tags = parseTagList(params.tags);
+    if (tags.length === 0) {
+      errors.push({ field: "tags", message: "The 'tags' field must contain at least one tag." });
+    } else {
+      filter.tags = params.tagMode === "all" ? { $all: tags } : { $in: tags };
+    }
+  }
+
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  const sortBy = params.sortBy || "date";
+  const sort = { [sortBy]: params.sortOrder === "asc" ? 1 : -1 };
+  if (sortBy !== "date") sort.date = -1;
+  if (sortBy !== "createdAt") sort.createdAt = -1;
+
+  return {
+    filter,
+    categories,
+    tags,
+    sort,
+    page: params.page || 1,
+    limit: params.limit || 50,
+  };
+};
+
+/**
+ * Combine several filters with $and, dropping empty ones
+ */
+const mergeFilters = (...filters) => {
+  const parts = filters.filter((f) => f && Object.keys(f).length > 0);
+  if (parts.length === 0) return {};
+  return parts.length === 1 ? parts[0] : { $and: parts };
+};
+
+module.exports = { SORT_FIELDS, escapeRegex, buildTransactionQuery, mergeFilters };
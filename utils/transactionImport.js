@@ -0,0 +1,150 @@
+const crypto = require("crypto");
+const path = require("path");
+const XLSX = require("xlsx");
+
+const IMPORT_FIELDS = ["date", "description", "amount", "type", "category", "saldo"];
+
+const TYPE_ALIASES = {
+  income: "income",
+  pemasukan: "income",
+  masuk: "income",
+  kredit: "income",
+  credit: "income",
+  cr: "income",
+  expense: "expense",
+  pengeluaran: "expense",
+  keluar: "expense",
+  debit: "expense",
+  db: "expense",
+};
+
+const isCsvFile = (file) =>
+  path.extname(file.originalname || "").toLowerCase() === ".csv" ||
+  /csv|text\/plain/.test(file.mimetype || "");
+
+/**
+ * Read the first sheet of a CSV/XLSX upload as an array of
+ * { header: value } objects. CSV cells are kept as raw strings so
+ * "01/02/2025" is not reinterpreted as a US date.
+ */
+const readSheetRows = (file) => {
+  const csv = isCsvFile(file);
+  const workbook = XLSX.read(csv ? file.buffer.toString("utf8") : file.buffer, {
+    type: csv ? "string" : "buffer",
+    cellDates: true,
+    raw: csv,
+  });
+
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  if (!sheet) return [];
+
+  return XLSX.utils.sheet_to_json(sheet, { defval: "", raw: true });
+};
+
+/**
+ * Resolve a { field: header } mapping against the actual headers,
+ * case-insensitively. Unmapped fields fall back to a header named like the field.
+ */
+const resolveColumns = (headers, mapping = {}) => {
+  const byLowerName = new Map(headers.map((h) => [String(h).trim().toLowerCase(), h]));
+  const columns = {};
+
+  IMPORT_FIELDS.forEach((field) => {
+    const wanted = String(mapping[field] || field).trim().toLowerCase();
+    if (byLowerName.has(wanted)) {
+      columns[field] = byLowerName.get(wanted);
+    }
+  });
+
+  return columns;
+};
+
+/**
+ * "Rp 1.250.000", "1,250,000.50", "-25000", "25.000,75" -> number (NaN if unreadable)
+ */
+const parseAmount = (value) => {
+  if (typeof value === "number") return value;
+
+  let text = String(value || "").replace(/[^0-9,.-]/g, "");
+  if (!text) return NaN;
+
+  const lastDot = text.lastIndexOf(".");
+  const lastComma = text.lastIndexOf(",");
+
+  if (lastDot !== -1 && lastComma !== -1) {
+    // whichever separator comes last is the decimal one
+    const decimal = lastDot > lastComma ? "." : ",";
+    const thousands = decimal === "." ? "," : ".";
+    text = text.split(thousands).join("").replace(decimal, ".");
+  } else if (lastComma !== -1) {
+    // 1,250,000 is thousands, 25,5 is a decimal comma
+    text = /^-?\d{1,3}(,\d{3})+$/.test(text) ? text.split(",").join("") : text.replace(",", ".");
+  } else if (/^-?\d{1,3}(\.\d{3})+$/.test(text)) {
+    // Indonesian thousands separator: 25.000
+    text = text.split(".").join("");
+  }
+
+  return Number(text);
+};
+
+/**
+ * Date cell -> Date (UTC midnight for date-only values), or null.
+ * Accepts real dates, Excel serial numbers, YYYY-MM-DD and DD/MM/YYYY.
+ */
+const parseDate = (value) => {
+  if (value instanceof Date) {
+    return isNaN(value) ? null : value;
+  }
+
+  if (typeof value === "number") {
+    const parsed = XLSX.SSF.parse_date_code(value);
+    return parsed ? new Date(Date.UTC(parsed.y, parsed.m - 1, parsed.d, parsed.H, parsed.M, parsed.S)) : null;
+  }
+
+  const text = String(value || "").trim();
+  if (!text) return null;
+
+  let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  if (match) {
+    const date = new Date(text.length > 10 ? text : Date.UTC(match[1], match[2] - 1, match[3]));
+    return isNaN(date) ? null : date;
+  }
+
+  match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2,4})$/);
+  if (match) {
+    const year = match[3].length === 2 ? 2000 + Number(match[3]) : Number(match[3]);
+    return new Date(Date.UTC(year, match[2] - 1, match[1]));
+  }
+
+  return null;
+};
+
+const parseType = (value) => TYPE_ALIASES[String(value || "").trim().toLowerCase()] || null;
+
+/**
+ * Fingerprint of an imported row. `occurrence` is how many identical rows came
+ * before it in the same file, so two genuine identical lines are both kept
+ * while re-importing the file matches every row again.
+ */
+const importHash = ({ saldo, date, amount, type, description }, occurrence) =>
+  crypto
+    .createHash("sha1")
+    .update([
+      saldo,
+      date ? date.toISOString().slice(0, 10) : "",
+      amount,
+      type,
+      String(description || "").trim().toLowerCase(),
+      occurrence,
+    ].join("|"))
+    .digest("hex");
+
+module.exports = {
+  IMPORT_FIELDS,
+  readSheetRows,
+  resolveColumns,
+  parseAmount,
+  parseDate,
+  parseType,
+  importHash,
+};
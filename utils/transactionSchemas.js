@@ -0,0 +1,72 @@
+const { tagsSchema } = require("./tags");
+
+// Rounding slack when comparing split totals (amounts have at most 2 decimals)
+const SPLIT_TOLERANCE = 0.005;
+
+/**
+ * Split lines of a transaction: each part of the amount booked to its own category
+ */
+const splitsSchema = {
+  type: "array",
+  optional: true,
+  max: 50,
+  items: {
+    type: "object",
+    strict: "remove",
+    props: {
+      category: { type: "string", empty: false },
+      amount: { type: "number", positive: true, convert: true },
+      note: { type: "string", max: 255, optional: true },
+    },
+  },
+};
+
+/**
+ * fastest-validator schemas shared by every route that creates transactions,
+ * so an imported row is held to the same rules as POST /transaction
+ */
+const createTransactionSchema = {
+  user: { type: "string", empty: false },
+  // required unless `splits` is given, see validateSplits
+  category: { type: "string", empty: false, optional: true },
+  saldo: { type: "string", empty: false },
+  amount: { type: "number", empty: false, convert: true },
+  description: { type: "string", empty: false, max: 1024 },
+  type: { type: "enum", values: ["income", "expense"] },
+  // backdated or future (pending until then); defaults to now
+  date: { type: "date", convert: true, optional: true },
+  splits: splitsSchema,
+  tags: tagsSchema,
+};
+
+/**
+ * Rules the schema cannot express: a transaction needs a category or at
+ * least two splits, and the splits must add up to its amount.
+ * Returns true or an array of errors shaped like fastest-validator's.
+ */
+const validateSplits = ({ category, splits, amount }) => {
+  if (!splits || splits.length === 0) {
+    return category
+      ? true
+      : [{ type: "required", field: "category", message: "The 'category' field is required." }];
+  }
+
+  if (splits.length < 2) {
+    return [{ type: "arrayMin", field: "splits", message: "A split transaction needs at least 2 splits." }];
+  }
+
+  const total = splits.reduce((sum, split) => sum + split.amount, 0);
+  if (Math.abs(total - amount) > SPLIT_TOLERANCE) {
+    return [{
+      type: "splitsTotal",
+      field: "splits",
+      message: `The splits add up to ${total}, which does not match the amount ${amount}.`,
+      expected: amount,
+      actual: total,
+    }];
+  }
+
+  return true;
+};
+
+module.exports = { SPLIT_TOLERANCE, splitsSchema, createTransactionSchema, validateSplits };
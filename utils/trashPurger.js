@@ -0,0 +1,99 @@
+const Transaction = require("../model/Transaction");
+const RecurringTransaction = require("../model/RecurringTransaction");
+const Saldo = require("../model/Saldo");
+const Category = require("../model/Category");
+const { removeAttachmentFiles } = require("./attachmentStorage");
+
+const DEFAULT_RETENTION_DAYS = 30;
+const DEFAULT_INTERVAL_MS = 6 * 60 * 60 * 1000; // 6 jam
+
+let timer = null;
+
+const retentionDays = () => {
+  const days = Number(process.env.TRASH_RETENTION_DAYS);
+  return days > 0 ? days : DEFAULT_RETENTION_DAYS;
+};
+
+/**
+ * Trashed saldos / categories that nothing points to anymore. Documents
+ * still referenced (by a live or trashed transaction, one of its split
+ * lines, or a recurring rule) stay in the trash so those references never
+ * dangle. `splitField` is the reference inside Transaction.splits, if any.
+ */
+const unreferenced = async (Model, field, cutoff, splitField = null) => {
+  const candidates = await Model.find({ deletedAt: { $ne: null, $lte: cutoff } }).distinct("_id");
+  if (candidates.length === 0) return [];
+
+  const transactionFields = splitField ? [field, splitField] : [field];
+  const [usedByRules, ...usedByTransactions] = await Promise.all([
+    RecurringTransaction.distinct(field, { [field]: { $in: candidates } }),
+    ...transactionFields.map((path) =>
+      Transaction.distinct(path, { [path]: { $in: candidates } }).setOptions({ withDeleted: true })
+    ),
+  ]);
+  const used = new Set([...usedByTransactions.flat(), ...usedByRules].map(String));
+
+  return candidates.filter((id) => !used.has(String(id)));
+};
+
+/**
+ * Permanently remove everything trashed more than TRASH_RETENTION_DAYS ago.
+ * Transactions go first (with their attachment files), then the saldos and
+ * categories that are no longer referenced.
+ */
+const purgeTrash = async (now = new Date()) => {
+  const cutoff = new Date(now.getTime() - retentionDays() * 24 * 60 * 60 * 1000);
+
+  const expired = await Transaction.find({ deletedAt: { $ne: null, $lte: cutoff } }).select("attachments");
+  if (expired.length > 0) {
+    await Transaction.deleteMany({ _id: { $in: expired.map((t) => t._id) } });
+    await removeAttachmentFiles(expired.flatMap((t) => t.attachments));
+  }
+
+  const saldoIds = await unreferenced(Saldo, "saldo", cutoff);
+  if (saldoIds.length > 0) {
+    await Saldo.deleteMany({ _id: { $in: saldoIds } });
+  }
+
+  const categoryIds = await unreferenced(Category, "category", cutoff, "splits.category");
+  if (categoryIds.length > 0) {
+    await Category.deleteMany({ _id: { $in: categoryIds } });
+  }
+
+  const result = {
+    transactions: expired.length,
+    saldos: saldoIds.length,
+    categories: categoryIds.length,
+  };
+
+  if (result.transactions + result.saldos + result.categories > 0) {
+    console.log(
+      `🗑️  Purged ${result.transactions} transaction(s), ${result.saldos} saldo(s), ${result.categories} category(ies) from trash`
+    );
+  }
+
+  return result;
+};
+
+/**
+ * Purge once now, then every `intervalMs`
+ */
+const startTrashPurger = (intervalMs = Number(process.env.TRASH_PURGE_INTERVAL_MS) || DEFAULT_INTERVAL_MS) => {
+  if (timer) return;
+
+  const tick = () =>
+    purgeTrash().catch((err) => {
+      console.error("❌ Trash purge failed:", err.message);
+    });
+
+  tick();
+  timer = setInterval(tick, intervalMs);
+  timer.unref();
+};
+
+const stopTrashPurger = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = { retentionDays, purgeTrash, startTrashPurger, stopTrashPurger };